@@ -3,11 +3,34 @@
  * Handles API calls, storage, and badge updates
  */
 
+importScripts(
+  'lib/text-hash.js',
+  'lib/providers.js',
+  'lib/api-client.js',
+  'lib/key-vault.js',
+  'lib/behavior-settings.js',
+  'lib/analysis-cache.js',
+  'lib/draft-store.js',
+  'lib/language.js',
+  'lib/prompt-templates.js',
+  'lib/reply-policy.js',
+  'lib/knowledge-base.js',
+  'lib/kb-matcher.js',
+  'lib/offline-engine.js',
+  'lib/review-db.js',
+  'lib/review-analytics.js',
+  'lib/emerging-issues.js',
+  'lib/embedding-cache.js',
+  'lib/text-diff.js',
+  'lib/history-store.js',
+  'lib/usage-tracker.js'
+);
+
 // State management
 let extensionState = {
   apiKey: null,
-  reviews: {},
-  isProcessing: false,
+  llmConfig: null,
+  draftingIds: new Set(),
   prompts: null,
   knowledgeBase: null
 };
@@ -24,18 +47,21 @@ chrome.runtime.onInstalled.addListener(() => {
 
   // Load saved API key and configuration files
   loadApiKey();
+  loadLLMConfig();
   loadPrompts();
-  loadKnowledgeBase();
+  seedKnowledgeBase().then(loadKnowledgeBase);
+  removeLegacyAnalysisCache();
+  removeLegacyEmbeddingCache();
+  migrateLegacyHistory().catch(error => console.error('Error migrating reply history:', error));
 });
 
 /**
- * Load API key from storage
+ * Load the API key from the key vault; null while it is locked
  */
 async function loadApiKey() {
   try {
-    const result = await chrome.storage.local.get(['apiKey']);
-    if (result.apiKey) {
-      extensionState.apiKey = result.apiKey;
+    extensionState.apiKey = await readApiKey();
+    if (extensionState.apiKey) {
       console.log('API key loaded');
     }
   } catch (error) {
@@ -43,16 +69,46 @@ async function loadApiKey() {
   }
 }
 
+// The popup saves, unlocks and locks the key; reload it on next use
+onApiKeyChanged(() => {
+  extensionState.apiKey = null;
+});
+
+/**
+ * Error for a missing API key, telling a locked key apart from none at all
+ */
+async function missingApiKeyError() {
+  const { locked } = await getKeyVaultStatus();
+  return locked
+    ? new LLMError(LLM_ERROR_TYPES.LOCKED, 'API key is locked')
+    : new LLMError(LLM_ERROR_TYPES.NOT_CONFIGURED, 'API key not configured');
+}
+
+/**
+ * Load LLM provider configuration from storage
+ */
+async function loadLLMConfig() {
+  try {
+    const result = await chrome.storage.local.get(['llmConfig']);
+    extensionState.llmConfig = resolveLLMConfig(result.llmConfig);
+    console.log('LLM config loaded:', extensionState.llmConfig.provider);
+  } catch (error) {
+    console.error('Error loading LLM config:', error);
+    extensionState.llmConfig = resolveLLMConfig();
+  }
+}
+
 /**
- * Save API key to storage
+ * Save LLM provider configuration to storage
  */
-async function saveApiKey(apiKey) {
+async function saveLLMConfig(llmConfig) {
   try {
-    await chrome.storage.local.set({ apiKey });
-    extensionState.apiKey = apiKey;
-    console.log('API key saved');
+    await chrome.storage.local.set({ llmConfig });
+    extensionState.llmConfig = resolveLLMConfig(llmConfig);
+    embeddingsFailedAt = 0;
+    console.log('LLM config saved:', extensionState.llmConfig.provider);
   } catch (error) {
-    console.error('Error saving API key:', error);
+    console.error('Error saving LLM config:', error);
   }
 }
 
@@ -74,52 +130,360 @@ async function loadPrompts() {
  */
 async function loadKnowledgeBase() {
   try {
-    const response = await fetch(chrome.runtime.getURL('knowledgebase.json'));
-    extensionState.knowledgeBase = await response.json();
+    extensionState.knowledgeBase = await getKnowledgeBase();
     console.log('Knowledge base loaded');
   } catch (error) {
     console.error('Error loading knowledge base:', error);
   }
 }
 
+// Reload the knowledge base lazily after it is edited in the options page
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && changes[KNOWLEDGE_BASE_CONFIG.STORAGE_KEY]) {
+    extensionState.knowledgeBase = null;
+  }
+});
+
 /**
- * Call OpenAI API with retry logic
+ * Call the configured LLM provider and return normalized
+ * `{ content, model, usage }`. Pass `json: true` for JSON output, or
+ * `onDelta` to stream the text as it is generated. `usage: { operation, appId }`
+ * says what the tokens are recorded under.
+ * Requests go through the shared queue and are retried on transient errors.
  */
-async function callOpenAI(messages, options = {}) {
+async function callLLM(messages, options = {}) {
+  // The service worker may have been restarted since install
+  if (!extensionState.llmConfig) {
+    await loadLLMConfig();
+  }
   if (!extensionState.apiKey) {
-    throw new Error('API key not configured');
+    await loadApiKey();
   }
 
-  const requestBody = {
-    model: 'gpt-4o-mini',
-    messages: messages,
-    temperature: options.temperature || 0.7,
-    max_tokens: options.max_tokens || 500,
-    ...options
-  };
+  const config = extensionState.llmConfig;
+  const provider = LLM_PROVIDERS[config.provider];
+
+  await refuseOfflineApp(options.usage?.appId);
+  if (provider.requiresApiKey && !extensionState.apiKey) {
+    throw await missingApiKeyError();
+  }
+  if (!config.model) {
+    throw new LLMError(LLM_ERROR_TYPES.NOT_CONFIGURED, `Model not configured for ${provider.label}`);
+  }
 
-  console.log('Calling OpenAI API:', { model: requestBody.model, messageCount: messages.length });
+  const releaseBudget = await enforceBudget({
+    model: config.model,
+    promptTokens: estimateTokens(messages.map(message => message.content).join('\n')),
+    completionTokens: options.max_tokens || 0
+  });
+  try {
+    return await sendChatRequest(provider, config, messages, options);
+  } finally {
+    releaseBudget();
+  }
+}
 
-  const response = await fetch('https://api.openai.com/v1/chat/completions', {
+/**
+ * Send a chat request through the queue and record its usage
+ */
+async function sendChatRequest(provider, config, messages, options) {
+  const preparedMessages = options.json ? applyJsonInstruction(provider, messages) : messages;
+  const request = provider.buildChatRequest(config, extensionState.apiKey, preparedMessages, {
+    ...options,
+    stream: Boolean(options.onDelta)
+  });
+
+  console.log(`Calling ${provider.label} API:`, { model: config.model, messageCount: messages.length });
+
+  if (options.onDelta) {
+    const streamed = await streamLLM(provider, request, options);
+    await trackUsage(options.usage, streamed.model || config.model, streamed.usage);
+    return streamed;
+  }
+
+  const body = await fetchJsonWithRetry(request.url, {
     method: 'POST',
-    headers: {
-      'Authorization': `Bearer ${extensionState.apiKey}`,
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify(requestBody)
+    headers: request.headers,
+    body: JSON.stringify(request.body),
+    signal: options.signal
+  }, { label: provider.label });
+
+  const data = provider.parseChatResponse(body);
+  console.log(`${provider.label} API response received:`, { tokens: data.usage.total_tokens });
+  await trackUsage(options.usage, data.model || config.model, data.usage);
+
+  return data;
+}
+
+/**
+ * Whether offline mode is on for an app (or globally, without an app)
+ */
+async function isOfflineMode(appId) {
+  return resolveBehaviorSettings(await getBehaviorSettings(), appId).offlineMode;
+}
+
+/**
+ * Last line of defense: never send review text of an offline app to the
+ * provider. Calls without an app follow the global setting.
+ */
+async function refuseOfflineApp(appId) {
+  if (await isOfflineMode(appId)) {
+    throw new LLMError(LLM_ERROR_TYPES.NOT_CONFIGURED, 'Offline mode is on for this app, so the AI provider is not used');
+  }
+}
+
+// Estimated cost of the calls that passed the budget check and have not
+// recorded their usage yet, so calls running side by side see each other
+let reservedBudgetCost = 0;
+
+/**
+ * Check the budget before a call with the given estimated token counts.
+ * The projection counts the estimates of calls still in flight. When the
+ * budget blocks, refuse a call that would take the spend past it; alert
+ * before the call when it would reach the warning threshold or the budget.
+ * Reserves the call's estimate and returns a function that releases it,
+ * to call once the usage is recorded.
+ */
+async function enforceBudget({ model, promptTokens = 0, completionTokens = 0 } = {}) {
+  const settings = await getUsageSettings();
+  const cost = estimateUsageCost(settings.prices, model, promptTokens, completionTokens) || 0;
+
+  // Reserve before reading the spend, so checks running side by side count each other
+  reservedBudgetCost += cost;
+  let released = false;
+  const release = () => {
+    if (released) return;
+    released = true;
+    reservedBudgetCost = Math.max(0, reservedBudgetCost - cost);
+  };
+
+  try {
+    const status = await getBudgetStatus(settings, { pendingCost: reservedBudgetCost });
+    if (status.projectedLevel === 'exceeded' && status.mode === 'block') {
+      throw new LLMError(
+        LLM_ERROR_TYPES.BUDGET,
+        status.level === 'exceeded'
+          ? `Monthly budget of ${formatUsageCost(status.budget)} reached (${formatUsageCost(status.spent)} spent)`
+          : `This AI call would exceed the monthly budget of ${formatUsageCost(status.budget)} (${formatUsageCost(status.projectedSpent)} with calls in progress)`
+      );
+    }
+
+    const level = status.projectedLevel;
+    if ((level === 'warning' || level === 'exceeded') && await markBudgetAlert(status.month, level, 'projected')) {
+      broadcastBudgetAlert(status, level);
+    }
+  } catch (error) {
+    release();
+    throw error;
+  }
+  return release;
+}
+
+/**
+ * Record a call's token usage and alert once per month and level when
+ * spending passes the warning threshold or the budget. Alerts sent before
+ * calls are tracked separately, so the two never undo each other.
+ */
+async function trackUsage(context = {}, model, usage) {
+  try {
+    await recordUsage({
+      operation: context.operation || 'other',
+      appId: context.appId || null,
+      model,
+      promptTokens: usage.prompt_tokens || 0,
+      completionTokens: usage.completion_tokens || 0
+    });
+
+    const status = await getBudgetStatus(await getUsageSettings());
+    if ((status.level === 'warning' || status.level === 'exceeded') && await markBudgetAlert(status.month, status.level, 'actual')) {
+      broadcastBudgetAlert(status);
+    }
+  } catch (error) {
+    console.error('Error recording usage:', error);
+  }
+}
+
+/**
+ * Tell extension pages and App Store Connect tabs about a budget alert at
+ * `level`. Alerts sent before a call report the spend that call is
+ * expected to reach.
+ */
+async function broadcastBudgetAlert(status, level = status.level) {
+  const projected = level !== status.level;
+  const spentAmount = projected ? status.projectedSpent : status.spent;
+  const spent = `${formatUsageCost(spentAmount)} of ${formatUsageCost(status.budget)}`;
+  let message;
+  if (level === 'exceeded') {
+    message = projected
+      ? `AI calls in progress are expected to use up the monthly AI budget (${spent})`
+      : `Monthly AI budget used up (${spent})${status.mode === 'block' ? '; AI calls are paused until next month' : ''}`;
+  } else {
+    message = `${Math.round(spentAmount / status.budget * 100)}% of the monthly AI budget ${projected ? 'will be used by AI calls in progress' : 'used'} (${spent})`;
+  }
+  const alert = { type: 'BUDGET_ALERT', data: { ...status, level, message } };
+  console.warn(message);
+
+  chrome.runtime.sendMessage(alert).catch(() => {
+    // No extension page listening
   });
+  const tabs = await chrome.tabs.query({ url: 'https://appstoreconnect.apple.com/*' });
+  tabs.forEach(tab => chrome.tabs.sendMessage(tab.id, alert).catch(() => {}));
+}
+
+/**
+ * Stream a chat request, passing each text delta to `options.onDelta`.
+ * Aborting `options.signal` resolves with the text so far and
+ * `stopped: true` instead of rejecting.
+ */
+async function streamLLM(provider, request, options) {
+  const data = {
+    content: '',
+    model: null,
+    usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 },
+    stopped: false
+  };
 
-  if (!response.ok) {
-    const error = await response.json();
-    throw new Error(`OpenAI API error: ${error.error?.message || response.statusText}`);
+  const handleEvent = ({ event, data: raw }) => {
+    if (raw === '[DONE]') return;
+
+    let parsed;
+    try {
+      parsed = provider.parseStreamEvent(event, JSON.parse(raw));
+    } catch (error) {
+      throw new LLMError(LLM_ERROR_TYPES.MALFORMED_JSON, `${provider.label} API sent an unreadable stream event`);
+    }
+
+    if (parsed.error) {
+      throw new LLMError(LLM_ERROR_TYPES.SERVER, `${provider.label} API error: ${parsed.error}`);
+    }
+    if (parsed.model) {
+      data.model = parsed.model;
+    }
+    Object.assign(data.usage, parsed.usage);
+    if (parsed.delta) {
+      data.content += parsed.delta;
+      options.onDelta(parsed.delta);
+    }
+  };
+
+  try {
+    await fetchStreamWithRetry(request.url, {
+      method: 'POST',
+      headers: request.headers,
+      body: JSON.stringify(request.body),
+      signal: options.signal
+    }, handleEvent, { label: provider.label });
+  } catch (error) {
+    if (!options.signal?.aborted) {
+      throw error;
+    }
+    data.stopped = true;
   }
 
-  const data = await response.json();
-  console.log('OpenAI API response received:', { tokens: data.usage?.total_tokens });
+  data.usage.total_tokens = data.usage.prompt_tokens + data.usage.completion_tokens;
+  console.log(`${provider.label} stream ${data.stopped ? 'stopped' : 'finished'}:`, { tokens: data.usage.total_tokens });
 
   return data;
 }
 
+/**
+ * Embed texts with the configured provider. Returns `{ vectors, model, usage }`.
+ * Usage is recorded as the embedding operation for `usageContext.appId`.
+ */
+async function callEmbeddings(inputs, usageContext = {}) {
+  if (!extensionState.llmConfig) {
+    await loadLLMConfig();
+  }
+  if (!extensionState.apiKey) {
+    await loadApiKey();
+  }
+
+  const config = extensionState.llmConfig;
+  const provider = LLM_PROVIDERS[config.provider];
+
+  await refuseOfflineApp(usageContext.appId);
+  if (!config.embeddingModel) {
+    throw new LLMError(LLM_ERROR_TYPES.NOT_CONFIGURED, `No embedding model configured for ${provider.label}`);
+  }
+  if (provider.requiresApiKey && !extensionState.apiKey) {
+    throw await missingApiKeyError();
+  }
+
+  const releaseBudget = await enforceBudget({
+    model: config.embeddingModel,
+    promptTokens: estimateTokens(inputs.join('\n'))
+  });
+  try {
+    const request = provider.buildEmbeddingRequest(config, extensionState.apiKey, inputs);
+    const body = await fetchJsonWithRetry(request.url, {
+      method: 'POST',
+      headers: request.headers,
+      body: JSON.stringify(request.body)
+    }, { label: `${provider.label} embeddings` });
+
+    const data = provider.parseEmbeddingResponse(body);
+    await trackUsage(
+      { operation: 'embedding', appId: usageContext.appId },
+      data.model || config.embeddingModel,
+      { prompt_tokens: data.usage.prompt_tokens || data.usage.total_tokens, completion_tokens: 0 }
+    );
+    return data;
+  } finally {
+    releaseBudget();
+  }
+}
+
+// After an embeddings error, match lexically for a while instead of failing every draft
+const EMBEDDING_RETRY_AFTER_MS = 10 * 60 * 1000;
+let embeddingsFailedAt = 0;
+
+/**
+ * Semantic confidence per trouble ID from cached embeddings, or null when
+ * embeddings are unavailable
+ */
+async function scoreKnowledgeBaseSemantic(review, troubles) {
+  if (!extensionState.llmConfig) {
+    await loadLLMConfig();
+  }
+  const model = extensionState.llmConfig.embeddingModel;
+  if (!model || Date.now() - embeddingsFailedAt < EMBEDDING_RETRY_AFTER_MS) {
+    return null;
+  }
+
+  try {
+    const texts = [reviewMatchText(review), ...troubles.map(troubleMatchText)];
+    const [reviewVector, ...troubleVectors] = await getOrCreateEmbeddings(model, texts, async missing => {
+      return (await callEmbeddings(missing, { appId: review.appId })).vectors;
+    });
+
+    return Object.fromEntries(troubles.map((item, i) => [
+      item.id,
+      semanticConfidence(cosineSimilarity(reviewVector, troubleVectors[i]))
+    ]));
+  } catch (error) {
+    console.warn('Embedding match failed, using lexical scores only:', error.message);
+    embeddingsFailedAt = Date.now();
+    return null;
+  }
+}
+
+/**
+ * Match a review against the knowledge base with lexical and, when available,
+ * embedding scores. Returns the top matches with confidence. Offline matching
+ * is lexical only.
+ */
+async function matchKnowledgeBaseForReview(review, { offline = false } = {}) {
+  if (!extensionState.knowledgeBase) {
+    await loadKnowledgeBase();
+  }
+
+  const troubles = extensionState.knowledgeBase.troubles;
+  const lexical = scoreKnowledgeBaseLexical(reviewMatchText(review), troubles);
+  const semantic = offline ? null : await scoreKnowledgeBaseSemantic(review, troubles);
+
+  return combineKnowledgeBaseScores(troubles, lexical, semantic);
+}
+
 /**
  * Handle messages from content script
  */
@@ -132,43 +496,163 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       sendResponse({ success: true });
       break;
 
-    case 'SAVE_API_KEY':
-      saveApiKey(request.data.apiKey);
+    case 'SAVE_LLM_CONFIG':
+      saveLLMConfig(request.data.llmConfig);
       sendResponse({ success: true });
       break;
 
-    case 'GET_API_KEY':
-      sendResponse({ apiKey: extensionState.apiKey });
-      break;
-
     case 'ANALYZE_REVIEWS':
       handleReviewAnalysis(request.data)
         .then(result => sendResponse({ success: true, data: result }))
-        .catch(error => sendResponse({ success: false, error: error.message }));
+        .catch(error => sendResponse(toErrorResponse(error)));
       return true; // Keep channel open for async response
       break;
 
     case 'GENERATE_RESPONSE':
       handleResponseGeneration(request.data)
         .then(result => sendResponse({ success: true, data: result }))
-        .catch(error => sendResponse({ success: false, error: error.message }));
+        .catch(error => sendResponse(toErrorResponse(error)));
       return true; // Keep channel open for async response
       break;
 
     case 'BATCH_ANALYZE_REVIEWS':
-      batchAnalyzeReviews(request.data)
+      analyzeReviewsIncremental(request.data.reviews, sender.tab?.id, request.data)
         .then(result => sendResponse({ success: true, data: result }))
-        .catch(error => sendResponse({ success: false, error: error.message }));
+        .catch(error => sendResponse(toErrorResponse(error)));
       return true;
       break;
 
     case 'GENERATE_AI_RESPONSE':
       generateAIResponse(request.data)
         .then(result => sendResponse({ success: true, data: result }))
-        .catch(error => sendResponse({ success: false, error: error.message }));
+        .catch(error => sendResponse(toErrorResponse(error)));
+      return true;
+      break;
+
+    case 'GENERATE_REPLY_VARIANTS':
+      generateReplyVariants(request.data)
+        .then(result => sendResponse({ success: true, data: result }))
+        .catch(error => sendResponse(toErrorResponse(error)));
+      return true;
+
+    case 'REFINE_REPLY':
+      refineReply(request.data)
+        .then(result => sendResponse({ success: true, data: result }))
+        .catch(error => sendResponse(toErrorResponse(error)));
+      return true;
+
+    case 'DRAFT_ALL_UNANSWERED':
+      draftAllUnanswered(request.data.reviews)
+        .then(result => sendResponse({ success: true, data: result }))
+        .catch(error => sendResponse(toErrorResponse(error)));
+      return true;
+
+    case 'GET_DRAFTS':
+      getDrafts(request.data?.reviewIds)
+        .then(drafts => sendResponse({ success: true, data: { drafts, pending: extensionState.draftingIds.size } }))
+        .catch(error => sendResponse(toErrorResponse(error)));
+      return true;
+
+    case 'UPDATE_DRAFT':
+      updateDraft(request.data.reviewId, request.data)
+        .then(async draft => {
+          await recordDraftChange(draft, request.data);
+          notifyDraftsUpdated();
+          sendResponse({ success: true, data: draft });
+        })
+        .catch(error => sendResponse(toErrorResponse(error)));
+      return true;
+
+    case 'SYNC_REPLY_STATUS':
+      markDraftsPosted(request.data.answeredReviewIds)
+        .then(updated => {
+          if (updated > 0) notifyDraftsUpdated();
+          sendResponse({ success: true, data: { updated } });
+        })
+        .catch(error => sendResponse(toErrorResponse(error)));
+      return true;
+
+    case 'RENAME_REVIEW_IDS':
+      renameReviewIds(request.data.renames)
+        .then(() => sendResponse({ success: true }))
+        .catch(error => sendResponse(toErrorResponse(error)));
+      return true;
+
+    case 'RECORD_REPLY_POSTED':
+      recordReplyPosted(request.data)
+        .then(result => sendResponse({ success: true, data: result }))
+        .catch(error => sendResponse(toErrorResponse(error)));
+      return true;
+
+    case 'GET_HISTORY':
+      getHistory(request.data)
+        .then(history => sendResponse({ success: true, data: history }))
+        .catch(error => sendResponse(toErrorResponse(error)));
+      return true;
+
+    case 'GET_HISTORY_PROMPT':
+      getHistoryPrompt(request.data.promptId)
+        .then(prompt => sendResponse({ success: true, data: prompt }))
+        .catch(error => sendResponse(toErrorResponse(error)));
+      return true;
+
+    case 'STORE_REVIEWS':
+      storeReviews(request.data.reviews)
+        .then(result => sendResponse({ success: true, data: result }))
+        .catch(error => sendResponse(toErrorResponse(error)));
+      return true;
+
+    case 'SEARCH_REVIEWS':
+      searchStoredReviews(request.data)
+        .then(result => sendResponse({ success: true, data: result }))
+        .catch(error => sendResponse(toErrorResponse(error)));
       return true;
+
+    case 'EXPORT_REVIEWS':
+      getReviewsForExport(request.data)
+        .then(result => sendResponse({ success: true, data: result }))
+        .catch(error => sendResponse(toErrorResponse(error)));
+      return true;
+
+    case 'GET_REVIEW_ANALYTICS':
+      getReviewAnalytics(request.data)
+        .then(result => sendResponse({ success: true, data: result }))
+        .catch(error => sendResponse(toErrorResponse(error)));
+      return true;
+
+    case 'GET_EMERGING_ISSUES':
+      getEmergingIssues(request.data.appId)
+        .then(result => sendResponse({ success: true, data: result }))
+        .catch(error => sendResponse(toErrorResponse(error)));
+      return true;
+
+    case 'DISMISS_EMERGING_ISSUE':
+      dismissIssue(request.data.appId, request.data.id, request.data.recentCount)
+        .then(() => sendResponse({ success: true }))
+        .catch(error => sendResponse(toErrorResponse(error)));
+      return true;
+
+    case 'OPEN_KB_ENTRY':
+      chrome.tabs.create({ url: chrome.runtime.getURL(`options.html#trouble=${encodeURIComponent(request.data.id)}`) });
+      sendResponse({ success: true });
       break;
 
+    case 'GET_REVIEW_FACETS':
+      getStoredReviewFacets()
+        .then(result => sendResponse({ success: true, data: result }))
+        .catch(error => sendResponse(toErrorResponse(error)));
+      return true;
+
+    case 'CLEAR_REVIEW_DB':
+      clearStoredReviews()
+        .then(() => sendResponse({ success: true }))
+        .catch(error => sendResponse(toErrorResponse(error)));
+      return true;
+
+    case 'REVIEWS_UPDATED':
+      // Broadcast from content scripts to the side panel, nothing to do here
+      return false;
+
     default:
       sendResponse({ success: false, error: 'Unknown message type' });
   }
@@ -176,6 +660,50 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   return false;
 });
 
+/**
+ * Analytics of the stored reviews matching the filters (see searchStoredReviews),
+ * bucketed by `bucket` ('week' or 'month')
+ */
+async function getReviewAnalytics({ bucket, ...filters } = {}) {
+  const { reviews } = await searchStoredReviews({ ...filters, limit: Infinity });
+  return computeReviewAnalytics(reviews, { bucket });
+}
+
+/**
+ * Every stored review matching the filters (see searchStoredReviews), with
+ * lexical knowledge base matches
+ */
+async function getReviewsForExport(filters = {}) {
+  if (!extensionState.knowledgeBase) {
+    await loadKnowledgeBase();
+  }
+
+  const troubles = extensionState.knowledgeBase.troubles;
+  const { reviews } = await searchStoredReviews({ ...filters, limit: Infinity });
+  return reviews.map(review => ({
+    ...review,
+    kbMatches: combineKnowledgeBaseScores(troubles, scoreKnowledgeBaseLexical(reviewMatchText(review), troubles))
+      .map(({ id, confidence }) => ({ id, confidence }))
+  }));
+}
+
+/**
+ * Emerging issues of an app from its stored reviews, leaving out dismissed
+ * issues that no more reviews have mentioned since
+ */
+async function getEmergingIssues(appId) {
+  if (!extensionState.knowledgeBase) {
+    await loadKnowledgeBase();
+  }
+
+  const [{ reviews }, dismissed] = await Promise.all([
+    searchStoredReviews({ appId, from: emergingIssuesStartDate(), limit: Infinity }),
+    getDismissedIssues(appId)
+  ]);
+  const issues = detectEmergingIssues(reviews, { troubles: extensionState.knowledgeBase.troubles });
+  return issues.filter(issue => !(issue.id in dismissed) || issue.recentCount > dismissed[issue.id]);
+}
+
 /**
  * Update extension badge with review count
  */
@@ -202,243 +730,499 @@ function handleBadgeUpdate(data, tabId) {
 }
 
 /**
- * Handle review analysis with OpenAI
+ * Analyze reviews with the offline engine; no API key needed
  */
 async function handleReviewAnalysis(reviews) {
-  if (!extensionState.apiKey) {
-    throw new Error('API key not configured');
+  if (!extensionState.knowledgeBase) {
+    await loadKnowledgeBase();
   }
 
-  if (extensionState.isProcessing) {
-    throw new Error('Analysis already in progress');
-  }
+  return reviews.map(review => analyzeReviewOffline(review, extensionState.knowledgeBase.troubles));
+}
 
-  extensionState.isProcessing = true;
+/**
+ * Draft a templated reply with the offline engine; no API key needed
+ */
+async function handleResponseGeneration(data) {
+  const { review, tone, length } = data;
+  const context = await prepareReplyContext(review, { tone, length, offline: true });
+  return generateOfflineResponse(review, context, { source: 'modal', tone, length });
+}
 
-  try {
-    // Prepare reviews for batch analysis
-    const reviewsForAnalysis = reviews.map(review => ({
-      id: review.id,
-      title: review.title,
-      rating: review.rating,
-      content: review.content
-    }));
+// Chunking limits for batch analysis. Output is roughly 60 tokens per
+// review, so MAX_REVIEWS_PER_CHUNK keeps responses well under max_tokens.
+const BATCH_CONFIG = {
+  INPUT_TOKEN_BUDGET: 3000,
+  MAX_REVIEWS_PER_CHUNK: 25,
+  OUTPUT_TOKENS_PER_REVIEW: 80,
+  CHUNK_RETRY_PASSES: 1
+};
 
-    // For MVP, return mock analysis
-    // TODO: Integrate with OpenAI API
-    const mockAnalysis = reviewsForAnalysis.map(review => {
-      // Simple sentiment based on rating
-      let sentiment = 'neutral';
-      if (review.rating >= 4) sentiment = 'positive';
-      else if (review.rating <= 2) sentiment = 'negative';
-
-      // Simple category detection based on keywords
-      let category = 'general';
-      const content = (review.title + ' ' + review.content).toLowerCase();
-
-      if (content.includes('bug') || content.includes('crash') || content.includes('error')) {
-        category = 'bug';
-      } else if (content.includes('feature') || content.includes('add') || content.includes('want')) {
-        category = 'feature';
-      } else if (content.includes('love') || content.includes('great') || content.includes('excellent')) {
-        category = 'praise';
-      } else if (content.includes('hate') || content.includes('terrible') || content.includes('awful')) {
-        category = 'complaint';
-      } else if (content.includes('?') || content.includes('how')) {
-        category = 'question';
-      } else if (content.includes('should') || content.includes('could')) {
-        category = 'suggestion';
-      }
+// Errors that will fail every chunk the same way, so retrying is pointless
+const FATAL_BATCH_ERRORS = [
+  LLM_ERROR_TYPES.AUTH,
+  LLM_ERROR_TYPES.QUOTA,
+  LLM_ERROR_TYPES.NOT_CONFIGURED
+];
 
-      return {
-        id: review.id,
-        sentiment,
-        category,
-        language: detectLanguage(review.content)
-      };
-    });
+/**
+ * Rough token estimate (~4 characters per token)
+ */
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
 
-    // Cache analysis results
-    mockAnalysis.forEach(analysis => {
-      extensionState.reviews[analysis.id] = analysis;
-    });
+/**
+ * Split reviews into chunks that fit the input token budget
+ */
+function chunkReviewsByTokenBudget(reviews) {
+  const chunks = [];
+  let current = [];
+  let currentTokens = 0;
+
+  reviews.forEach(review => {
+    const tokens = estimateTokens(JSON.stringify(review));
+    const overBudget = currentTokens + tokens > BATCH_CONFIG.INPUT_TOKEN_BUDGET;
+    const overCount = current.length >= BATCH_CONFIG.MAX_REVIEWS_PER_CHUNK;
+
+    if (current.length > 0 && (overBudget || overCount)) {
+      chunks.push(current);
+      current = [];
+      currentTokens = 0;
+    }
 
-    return mockAnalysis;
+    current.push(review);
+    currentTokens += tokens;
+  });
 
-  } finally {
-    extensionState.isProcessing = false;
+  if (current.length > 0) {
+    chunks.push(current);
   }
+
+  return chunks;
 }
 
 /**
- * Handle response generation with OpenAI
+ * Map analyses keyed by chunk-local refs back to review IDs, one-to-one.
+ * Unknown and duplicate refs are dropped; reviews without a result are
+ * returned as `missing` so the caller can re-queue them.
  */
-async function handleResponseGeneration(data) {
-  const { review, context } = data;
+function mapChunkResults(chunk, analyses) {
+  const byRef = new Map();
 
-  if (!extensionState.apiKey) {
-    throw new Error('API key not configured');
-  }
+  analyses.forEach(analysis => {
+    const ref = String(analysis.id);
+    const index = Number(ref) - 1;
 
-  try {
-    // For MVP, return enhanced dummy responses
-    // TODO: Integrate with OpenAI API
-    const templates = {
-      positive: [
-        `Thank you so much for your wonderful ${review.rating}-star review! We're thrilled to hear that you're enjoying the app.`,
-        `We're delighted by your positive feedback! Your ${review.rating}-star rating motivates our team to keep improving.`,
-        `Thank you for taking the time to share your experience! We're so happy you love the app.`
-      ],
-      negative: [
-        `Thank you for your feedback. We're sorry to hear about your experience and take your concerns seriously.`,
-        `We apologize for the issues you've encountered. Your feedback helps us identify areas for improvement.`,
-        `Thank you for bringing this to our attention. We're working hard to address these concerns.`
-      ],
-      neutral: [
-        `Thank you for your ${review.rating}-star review and honest feedback. We value your input.`,
-        `We appreciate you taking the time to share your thoughts about the app.`,
-        `Thanks for your review! Your feedback helps us understand how we can better serve our users.`
-      ],
-      bug: [
-        `Thank you for reporting this issue. Our development team is investigating the problem you described.`,
-        `We apologize for the technical difficulties. We're working on a fix for this bug.`,
-        `Thanks for the detailed bug report. We'll address this in our next update.`
-      ],
-      feature: [
-        `Thanks for the feature suggestion! We'll share this with our product team for consideration.`,
-        `Great idea! We're always looking for ways to enhance the app based on user feedback.`,
-        `We appreciate your feature request and will consider it for future updates.`
-      ]
-    };
+    if (!Number.isInteger(index) || !chunk[index]) {
+      console.warn('Analysis returned unknown review ref:', ref);
+    } else if (byRef.has(ref)) {
+      console.warn('Analysis returned duplicate review ref:', ref);
+    } else {
+      byRef.set(ref, { ...analysis, id: chunk[index].id });
+    }
+  });
 
-    // Get cached analysis or do simple analysis
-    const analysis = extensionState.reviews[review.id] || {
-      sentiment: review.rating >= 4 ? 'positive' : review.rating <= 2 ? 'negative' : 'neutral',
-      category: 'general'
-    };
+  const missing = chunk.filter((review, index) => !byRef.has(String(index + 1)));
+  if (missing.length > 0) {
+    console.warn(`Analysis omitted ${missing.length} of ${chunk.length} reviews`);
+  }
 
-    // Select appropriate template
-    let responseTemplates = templates[analysis.category] || templates[analysis.sentiment] || templates.neutral;
-    let response = responseTemplates[Math.floor(Math.random() * responseTemplates.length)];
+  return { analyses: Array.from(byRef.values()), missing };
+}
 
-    // Add personalization
-    if (review.nickname) {
-      response = `Hi ${review.nickname}, ${response.charAt(0).toLowerCase()}${response.slice(1)}`;
-    }
+/**
+ * Analyze a single chunk of reviews. The model only sees short chunk-local
+ * refs instead of review IDs, so it cannot mangle or invent them.
+ */
+async function analyzeReviewChunk(chunk) {
+  const reviewsWithRefs = chunk.map((review, index) => ({ ...review, id: String(index + 1) }));
 
-    // Add specific acknowledgment
-    if (review.title) {
-      response += ` We noted your comment about "${review.title}".`;
+  const messages = [
+    {
+      role: 'system',
+      content: extensionState.prompts.system_prompt + '\n\n' + extensionState.prompts.batch_analysis_prompt
+    },
+    {
+      role: 'user',
+      content: JSON.stringify({ reviews: reviewsWithRefs })
     }
+  ];
 
-    // Add closing based on sentiment
-    if (analysis.sentiment === 'positive') {
-      response += ' Thank you for being a valued user!';
-    } else if (analysis.sentiment === 'negative') {
-      response += ' We hope to improve your experience with future updates.';
-    } else {
-      response += ' Your input is valuable to us.';
-    }
+  const response = await callLLM(messages, {
+    temperature: 0.3,
+    max_tokens: 200 + chunk.length * BATCH_CONFIG.OUTPUT_TOKENS_PER_REVIEW,
+    json: true,
+    usage: { operation: 'analysis', appId: chunk.find(review => review.appId)?.appId }
+  });
 
-    return {
-      response,
-      analysis,
-      generated: true
-    };
+  let analysisResult;
+  try {
+    analysisResult = parseJsonContent(response.content);
+  } catch (parseError) {
+    throw new LLMError(LLM_ERROR_TYPES.MALFORMED_JSON, 'Analysis response was not valid JSON');
+  }
 
-  } catch (error) {
-    console.error('Error generating response:', error);
-    throw error;
+  if (!Array.isArray(analysisResult.reviews)) {
+    throw new LLMError(LLM_ERROR_TYPES.MALFORMED_JSON, 'Analysis response is missing the reviews array');
   }
+
+  return mapChunkResults(chunk, analysisResult.reviews);
 }
 
 /**
- * Batch analyze reviews with OpenAI
+ * Report batch progress to the requesting tab
  */
-async function batchAnalyzeReviews(reviews) {
+function sendAnalysisProgress(tabId, progress) {
+  if (!tabId) return;
+
+  chrome.tabs.sendMessage(tabId, {
+    type: 'ANALYSIS_PROGRESS',
+    data: progress
+  }).catch(() => {
+    // Tab may have navigated away, ignore
+  });
+}
+
+/**
+ * Batch analyze reviews with the configured LLM. Reviews are split into
+ * token-budgeted chunks that run through the shared request queue; failed
+ * chunks are retried (split in half when the output was unreadable) and
+ * partial results are merged.
+ */
+async function batchAnalyzeReviews(reviews, tabId) {
   if (!extensionState.prompts) {
     await loadPrompts();
   }
 
-  console.log(`Batch analyzing ${reviews.length} reviews`);
-
   // Prepare reviews for analysis (strip DOM elements)
   const reviewsForAnalysis = reviews.map(r => ({
     id: r.id,
     title: r.title,
     rating: r.rating,
     content: r.content,
-    nickname: r.nickname
+    nickname: r.nickname,
+    territory: r.territory,
+    appVersion: r.appVersion
   }));
 
-  const messages = [
-    {
-      role: 'system',
-      content: extensionState.prompts.system_prompt + '\n\n' + extensionState.prompts.batch_analysis_prompt
-    },
-    {
-      role: 'user',
-      content: JSON.stringify({ reviews: reviewsForAnalysis })
+  let pending = chunkReviewsByTokenBudget(reviewsForAnalysis);
+  console.log(`Batch analyzing ${reviews.length} reviews in ${pending.length} chunks`);
+
+  const results = [];
+  let completed = 0;
+  let lastError = null;
+  sendAnalysisProgress(tabId, { completed, total: reviews.length, done: false });
+
+  for (let pass = 0; pass <= BATCH_CONFIG.CHUNK_RETRY_PASSES && pending.length > 0; pass++) {
+    const outcomes = await Promise.allSettled(pending.map(async chunk => {
+      const { analyses, missing } = await analyzeReviewChunk(chunk);
+      results.push(...analyses);
+      completed += analyses.length;
+      sendAnalysisProgress(tabId, { completed, total: reviews.length, done: false });
+      return missing;
+    }));
+
+    const failed = [];
+    outcomes.forEach((outcome, index) => {
+      if (outcome.status === 'fulfilled') {
+        // Reviews the model skipped are re-queued for the next pass
+        if (outcome.value.length > 0) {
+          failed.push(outcome.value);
+        }
+        return;
+      }
+
+      lastError = outcome.reason;
+      console.error(`Batch chunk failed (pass ${pass + 1}):`, lastError.message);
+
+      const chunk = pending[index];
+      if (lastError.type === LLM_ERROR_TYPES.MALFORMED_JSON && chunk.length > 1) {
+        // Likely truncated output, retry as two smaller chunks
+        const middle = Math.ceil(chunk.length / 2);
+        failed.push(chunk.slice(0, middle), chunk.slice(middle));
+      } else {
+        failed.push(chunk);
+      }
+    });
+
+    pending = failed;
+    if (lastError && FATAL_BATCH_ERRORS.includes(lastError.type)) {
+      break;
     }
-  ];
+  }
+
+  const failedReviewIds = pending.flat().map(review => review.id);
+  sendAnalysisProgress(tabId, { completed, total: reviews.length, failed: failedReviewIds.length, done: true });
+
+  if (results.length === 0 && lastError) {
+    throw lastError;
+  }
+  if (results.length === 0 && failedReviewIds.length > 0) {
+    throw new LLMError(LLM_ERROR_TYPES.MALFORMED_JSON, 'Analysis response did not match any review');
+  }
+
+  console.log(`Batch analysis completed: ${results.length} analyzed, ${failedReviewIds.length} failed`);
+
+  return {
+    reviews: results,
+    failedReviewIds
+  };
+}
+
+/**
+ * Analyze reviews using the per-review cache. Only reviews without a cached
+ * analysis are sent to batchAnalyzeReviews; fresh results are cached. In
+ * offline mode they are analyzed locally instead and not cached, so turning
+ * offline mode off later gets them a full analysis.
+ */
+async function analyzeReviewsIncremental(reviews, tabId, { manual = false } = {}) {
+  const { hits, missingIds } = await getCachedAnalyses(reviews.map(r => r.id));
+  console.log(`Analysis cache: ${hits.length} hits, ${missingIds.length} to analyze`);
+
+  if (missingIds.length === 0) {
+    return { reviews: hits, failedReviewIds: [], skippedReviewIds: [], cachedCount: hits.length };
+  }
+
+  const appId = reviews.find(review => review.appId)?.appId;
+  const behavior = resolveBehaviorSettings(await getBehaviorSettings(), appId);
+
+  // With auto-analyze off for the app, page loads only get cached analyses
+  if (!manual && !behavior.autoAnalyze) {
+    console.log(`Auto-analyze is off, skipping ${missingIds.length} reviews`);
+    return { reviews: hits, failedReviewIds: [], skippedReviewIds: missingIds, cachedCount: hits.length };
+  }
+
+  const missing = new Set(missingIds);
+
+  if (behavior.offlineMode) {
+    const analyses = await handleReviewAnalysis(reviews.filter(r => missing.has(r.id)));
+    console.log(`Offline analysis completed: ${analyses.length} analyzed`);
+    sendAnalysisProgress(tabId, { completed: analyses.length, total: analyses.length, done: true });
+    return { reviews: [...hits, ...analyses], failedReviewIds: [], skippedReviewIds: [], cachedCount: hits.length };
+  }
+
+  const result = await batchAnalyzeReviews(reviews.filter(r => missing.has(r.id)), tabId);
+
+  // Only cache analyses that belong to reviews we actually asked about
+  const fresh = result.reviews.filter(analysis => missing.has(analysis.id));
+  await storeAnalyses(fresh);
+
+  return {
+    reviews: [...hits, ...fresh],
+    failedReviewIds: result.failedReviewIds,
+    skippedReviewIds: [],
+    cachedCount: hits.length
+  };
+}
+
+// KB template offered as suggested wording per analysis category
+const REPLY_TEMPLATE_BY_CATEGORY = {
+  bug: 'bug_acknowledgment',
+  feature: 'feature_request',
+  praise: 'praise_response',
+  complaint: 'complaint_response',
+  question: 'question_response',
+  suggestion: 'suggestion_response'
+};
+
+// Translated KB solutions, keyed by language and source text
+const kbTranslationCache = new Map();
+
+/**
+ * Solution text of a KB item for the reply language. Follows the fallback
+ * chain; when no entry exists for the reply language and translation is
+ * enabled, the best available text is translated with the LLM.
+ */
+async function localizeKnowledgeBaseSolution(kbItem, language, chain, settings, appId = null) {
+  const localized = getLocalizedText(kbItem.solution, chain);
+  if (!localized || localized.language === language || !settings.translateKnowledgeBase) {
+    return localized?.text || null;
+  }
+
+  const cacheKey = `${language}:${localized.text}`;
+  if (kbTranslationCache.has(cacheKey)) {
+    return kbTranslationCache.get(cacheKey);
+  }
 
   try {
-    const response = await callOpenAI(messages, {
-      temperature: 0.3,
-      max_tokens: 2000,
-      response_format: { type: 'json_object' }
+    const response = await callLLM([
+      {
+        role: 'user',
+        content: renderPromptTemplate(extensionState.prompts.kb_translation_prompt, {
+          LANGUAGE: languageName(language),
+          TEXT: localized.text
+        })
+      }
+    ], {
+      temperature: 0,
+      max_tokens: 400,
+      usage: { operation: 'translation', appId }
     });
 
-    const analysisResult = JSON.parse(response.choices[0].message.content);
-    console.log('Batch analysis completed:', analysisResult);
-
-    return analysisResult;
+    const translated = response.content.trim();
+    kbTranslationCache.set(cacheKey, translated);
+    console.log(`Translated KB solution ${kbItem.id} from ${localized.language} to ${language}`);
+    return translated;
   } catch (error) {
-    console.error('Batch analysis error:', error);
-    throw error;
+    console.warn(`KB translation failed for ${kbItem.id}, using ${localized.language}:`, error.message);
+    return localized.text;
   }
 }
 
 /**
- * Generate AI response for a single review with KB context
+ * Everything a reply prompt needs for a review: matched KB items, reply
+ * language, the app's prompt profile, prompt variables and reply policy.
+ * In offline mode (`offline` defaults to the app's setting) the review is
+ * analyzed locally when it has no analysis, and KB matching and solutions
+ * use no provider calls.
  */
-async function generateAIResponse(data) {
-  const { review, matchedKBItems = [] } = data;
-
+async function prepareReplyContext(review, { tone, length, offline } = {}) {
   if (!extensionState.prompts) {
     await loadPrompts();
   }
+  if (offline === undefined) {
+    offline = await isOfflineMode(review.appId);
+  }
 
-  if (!extensionState.knowledgeBase) {
-    await loadKnowledgeBase();
+  const matchedKBItems = await matchKnowledgeBaseForReview(review, { offline });
+  console.log('Matched KB items:', matchedKBItems.map(item => `${item.id} (${item.confidence})`));
+
+  const analysis = review.analysis || (offline ? analyzeReviewOffline(review, extensionState.knowledgeBase.troubles) : null);
+  const languageSettings = await getLanguageSettings();
+  const replyLanguage = resolveReplyLanguage(review.language || analysis?.language, languageSettings);
+  const languageChain = languageFallbackChain(replyLanguage, languageSettings);
+  const solutionSettings = offline ? { ...languageSettings, translateKnowledgeBase: false } : languageSettings;
+
+  // Build context from matched KB items, in the reply language where possible
+  const contextParts = [];
+  const solutions = [];
+  for (const item of matchedKBItems) {
+    const kbItem = extensionState.knowledgeBase.troubles.find(t => t.id === item.id);
+    if (kbItem) {
+      const solution = await localizeKnowledgeBaseSolution(kbItem, replyLanguage, languageChain, solutionSettings, review.appId);
+      if (solution) {
+        solutions.push(solution);
+        contextParts.push(`Problem: ${kbItem.problem}\nSolution: ${solution}`);
+      }
+    }
+  }
+
+  const template = getLocalizedText(
+    extensionState.knowledgeBase.templates?.[REPLY_TEMPLATE_BY_CATEGORY[analysis?.category]],
+    languageChain
+  );
+  if (template) {
+    contextParts.push(`Suggested wording (${template.language}): ${template.text}`);
   }
+  const contextText = contextParts.join('\n\n');
+
+  // Build prompts from the app's profile
+  const { profile, prompts, appName, brandVoice } = resolvePromptProfile(
+    await getPromptProfiles(),
+    review.appId,
+    extensionState.prompts
+  );
+  const variables = buildPromptVariables(review, {
+    language: languageName(replyLanguage),
+    context: contextText,
+    appName,
+    brandVoice,
+    tone,
+    length
+  });
+  const replyPolicy = await getReplyPolicy();
+  variables.REPLY_POLICY = describeReplyPolicy(replyPolicy, replyLanguage, variables);
+
+  return {
+    matchedKBItems,
+    replyLanguage,
+    languageChain,
+    profile,
+    prompts,
+    variables,
+    replyPolicy,
+    offline,
+    analysis,
+    template: template?.text || null,
+    solutions
+  };
+}
+
+/**
+ * Offline engine inputs for a prepared reply context
+ */
+function offlineReplyOptions(review, context) {
+  return {
+    analysis: context.analysis || analyzeReviewOffline(review, extensionState.knowledgeBase.troubles),
+    phrases: extensionState.knowledgeBase.phrases,
+    chain: context.languageChain,
+    template: context.template,
+    solution: context.solutions[0] || null,
+    rules: resolvePolicyLanguage(context.replyPolicy, context.replyLanguage, context.variables)
+  };
+}
 
-  console.log('Generating AI response for review:', review.id);
+/**
+ * Templated reply from the offline engine, with the same result and history
+ * event as an LLM reply. A streaming caller gets the reply as one delta.
+ */
+async function generateOfflineResponse(review, context, { source = 'modal', tone, length, onDelta } = {}) {
+  const { matchedKBItems, replyLanguage, profile, variables, replyPolicy } = context;
+
+  const text = composeOfflineReply(review, { ...offlineReplyOptions(review, context), tone, length });
+  const enforced = enforceReplyPolicy(text, replyPolicy, { language: replyLanguage, variables });
+  onDelta?.(enforced.text);
+
+  await appendHistoryEvent(review, {
+    type: 'generated',
+    source,
+    text: enforced.text,
+    kbItems: matchedKBItems.map(item => `${item.id} (${Math.round(item.confidence * 100)}%)`),
+    language: replyLanguage,
+    tone,
+    promptProfile: profile.name,
+    policyRepairs: enforced.repairs,
+    policyViolations: enforced.violations,
+    model: 'offline',
+    tokens: 0
+  });
 
-  // Build context from matched KB items
-  let contextText = '';
-  if (matchedKBItems.length > 0) {
-    contextText = matchedKBItems.map(item => {
-      const kbItem = extensionState.knowledgeBase.troubles.find(t => t.id === item.id);
-      if (kbItem) {
-        return `Problem: ${kbItem.problem}\nSolution: ${kbItem.solution[review.analysis?.language || 'en']}`;
-      }
-      return '';
-    }).filter(Boolean).join('\n\n');
+  return {
+    response: enforced.text,
+    matchedKBItems,
+    language: replyLanguage,
+    policy: { repairs: enforced.repairs, violations: enforced.violations },
+    tokensUsed: 0,
+    offline: true
+  };
+}
+
+/**
+ * Generate AI response for a single review with KB context, in the given
+ * tone and length
+ */
+async function generateAIResponse(data) {
+  const { review, source = 'modal', tone, length, onDelta, signal } = data;
+
+  console.log('Generating AI response for review:', review.id, tone ? `(${tone})` : '');
+
+  const context = await prepareReplyContext(review, { tone, length });
+  if (context.offline) {
+    return generateOfflineResponse(review, context, { source, tone, length, onDelta });
   }
+  const { matchedKBItems, replyLanguage, profile, prompts, variables, replyPolicy } = context;
 
-  // Build prompt from template
-  const prompt = extensionState.prompts.response_generation_prompt
-    .replace('{LANGUAGE}', review.analysis?.language || 'en')
-    .replace('{TITLE}', review.title)
-    .replace('{RATING}', review.rating)
-    .replace('{CONTENT}', review.content)
-    .replace('{CONTEXT}', contextText || 'No specific knowledge base items matched.');
+  let prompt = renderReplyPrompt(prompts.response_generation_prompt, variables);
+  // Custom prompts written before tones existed still get the chosen tone
+  if (!prompts.response_generation_prompt.includes('{TONE}') && (tone || length)) {
+    prompt += `\n\nTone: ${variables.TONE}`;
+  }
 
   const messages = [
     {
       role: 'system',
-      content: extensionState.prompts.system_prompt
+      content: renderPromptTemplate(prompts.system_prompt, variables)
     },
     {
       role: 'user',
@@ -447,18 +1231,59 @@ async function generateAIResponse(data) {
   ];
 
   try {
-    const response = await callOpenAI(messages, {
+    const response = await callLLM(messages, {
       temperature: 0.7,
-      max_tokens: 300
+      // Roughly three characters per token, with room for the model to overshoot
+      max_tokens: Math.max(300, Math.ceil(replyPolicy.maxLength / 2)),
+      onDelta,
+      signal,
+      usage: { operation: 'reply', appId: review.appId }
     });
 
-    const generatedResponse = response.choices[0].message.content.trim();
-    console.log('AI response generated');
+    const historyEvent = {
+      type: 'generated',
+      source,
+      prompt,
+      kbItems: matchedKBItems.map(item => `${item.id} (${Math.round(item.confidence * 100)}%)`),
+      language: replyLanguage,
+      tone,
+      promptProfile: profile.name,
+      model: response.model || extensionState.llmConfig.model,
+      tokens: response.usage.total_tokens
+    };
+
+    // A stopped stream keeps exactly the text the user saw, so it is checked but not repaired
+    if (response.stopped) {
+      const partial = response.content.trim();
+      if (partial) {
+        const checked = enforceReplyPolicy(partial, { ...replyPolicy, autoRepair: false }, { language: replyLanguage, variables });
+        await appendHistoryEvent(review, {
+          ...historyEvent,
+          text: partial,
+          stopped: true,
+          policyViolations: checked.violations
+        });
+      }
+      return { response: partial, stopped: true, matchedKBItems, language: replyLanguage, tokensUsed: response.usage.total_tokens };
+    }
+
+    const enforced = enforceReplyPolicy(response.content.trim(), replyPolicy, { language: replyLanguage, variables });
+    const generatedResponse = enforced.text;
+    console.log('AI response generated', enforced.repairs.length ? `(repaired: ${enforced.repairs.join('; ')})` : '');
+
+    await appendHistoryEvent(review, {
+      ...historyEvent,
+      text: generatedResponse,
+      policyRepairs: enforced.repairs,
+      policyViolations: enforced.violations
+    });
 
     return {
       response: generatedResponse,
       matchedKBItems: matchedKBItems,
-      tokensUsed: response.usage?.total_tokens
+      language: replyLanguage,
+      policy: { repairs: enforced.repairs, violations: enforced.violations },
+      tokensUsed: response.usage.total_tokens
     };
   } catch (error) {
     console.error('AI response generation error:', error);
@@ -467,19 +1292,296 @@ async function generateAIResponse(data) {
 }
 
 /**
- * Simple language detection
+ * Generate one reply per tone so they can be compared side by side. Tones
+ * that give the same text (offline templates) are shown once.
+ */
+async function generateReplyVariants(data) {
+  const { review, tones = DEFAULT_VARIANT_TONES, length } = data;
+
+  const variants = await Promise.all(tones.map(async tone => {
+    const result = await generateAIResponse({ review, source: 'variant', tone, length });
+    return { tone, ...result };
+  }));
+
+  return { variants: variants.filter((variant, index) => variants.findIndex(other => other.response === variant.response) === index) };
+}
+
+/**
+ * Apply a refine action (shorter, warmer, add KB fix, translate) to the
+ * reply text currently in the editor
+ */
+async function refineReply(data) {
+  const { review, text, action } = data;
+  const refineAction = REFINE_ACTIONS[action];
+  if (!refineAction) {
+    throw new Error(`Unknown refine action: ${action}`);
+  }
+  if (!text || !text.trim()) {
+    throw new Error('Nothing to refine: the reply is empty');
+  }
+
+  console.log('Refining reply for review:', review.id, `(${action})`);
+
+  const context = await prepareReplyContext(review);
+  if (context.offline) {
+    return refineOfflineResponse(review, context, text, action);
+  }
+  const { matchedKBItems, replyLanguage, profile, prompts, variables, replyPolicy } = context;
+
+  const values = {
+    ...variables,
+    REPLY: text.trim(),
+    INSTRUCTION: renderPromptTemplate(refineAction.instruction, variables)
+  };
+  const prompt = renderPromptTemplate(prompts.reply_refine_prompt, values);
+
+  const response = await callLLM([
+    { role: 'system', content: renderPromptTemplate(prompts.system_prompt, variables) },
+    { role: 'user', content: prompt }
+  ], {
+    temperature: 0.4,
+    max_tokens: Math.max(300, Math.ceil(replyPolicy.maxLength / 2)),
+    usage: { operation: 'refine', appId: review.appId }
+  });
+
+  const enforced = enforceReplyPolicy(response.content.trim(), replyPolicy, { language: replyLanguage, variables });
+
+  await appendHistoryEvent(review, {
+    type: 'generated',
+    source: 'refine',
+    refineAction: action,
+    text: enforced.text,
+    prompt,
+    language: replyLanguage,
+    promptProfile: profile.name,
+    policyRepairs: enforced.repairs,
+    policyViolations: enforced.violations,
+    model: response.model || extensionState.llmConfig.model,
+    tokens: response.usage.total_tokens
+  });
+
+  return {
+    response: enforced.text,
+    matchedKBItems,
+    language: replyLanguage,
+    policy: { repairs: enforced.repairs, violations: enforced.violations },
+    tokensUsed: response.usage.total_tokens
+  };
+}
+
+/**
+ * Refine a reply with the offline engine (shorter, warmer or add KB fix)
+ */
+async function refineOfflineResponse(review, context, text, action) {
+  const { matchedKBItems, replyLanguage, profile, variables, replyPolicy } = context;
+
+  const refined = refineOfflineReply(text, action, { review, ...offlineReplyOptions(review, context) });
+  const enforced = enforceReplyPolicy(refined, replyPolicy, { language: replyLanguage, variables });
+
+  await appendHistoryEvent(review, {
+    type: 'generated',
+    source: 'refine',
+    refineAction: action,
+    text: enforced.text,
+    language: replyLanguage,
+    promptProfile: profile.name,
+    policyRepairs: enforced.repairs,
+    policyViolations: enforced.violations,
+    model: 'offline',
+    tokens: 0
+  });
+
+  return {
+    response: enforced.text,
+    matchedKBItems,
+    language: replyLanguage,
+    policy: { repairs: enforced.repairs, violations: enforced.violations },
+    tokensUsed: 0,
+    offline: true
+  };
+}
+
+/**
+ * Stream reply generation to a content script over a port: the script sends
+ * START with the review, receives DELTA messages and then DONE or ERROR.
+ * STOP, or closing the port, aborts the request.
+ */
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== 'reviewllama-generate') return;
+
+  const controller = new AbortController();
+  let connected = true;
+  const post = (message) => {
+    if (connected) {
+      port.postMessage(message);
+    }
+  };
+
+  port.onDisconnect.addListener(() => {
+    connected = false;
+    controller.abort();
+  });
+
+  port.onMessage.addListener((message) => {
+    if (message.type === 'STOP') {
+      controller.abort();
+      return;
+    }
+    if (message.type !== 'START') return;
+
+    generateAIResponse({
+      review: message.data.review,
+      tone: message.data.tone,
+      length: message.data.length,
+      onDelta: text => post({ type: 'DELTA', text }),
+      signal: controller.signal
+    })
+      .then(result => post({ type: 'DONE', data: result }))
+      .catch(error => post({ type: 'ERROR', ...toErrorResponse(error) }));
+  });
+});
+
+/**
+ * Tell open extension pages (side panel) that drafts changed
+ */
+function notifyDraftsUpdated() {
+  chrome.runtime.sendMessage({
+    type: 'DRAFTS_UPDATED',
+    data: { pending: extensionState.draftingIds.size }
+  }).catch(() => {
+    // No extension page listening
+  });
+}
+
+// Bulk drafts are generated one at a time across all batches, leaving the
+// second request slot for replies the user is waiting on
+const bulkDraftQueue = createRequestQueue(1);
+
+/**
+ * Generate drafts for every given unanswered review that has no draft yet
+ * (rejected drafts are regenerated). Returns as soon as generation is queued;
+ * each draft is stored as it completes.
+ */
+async function draftAllUnanswered(reviews) {
+  const existing = await getDrafts(reviews.map(r => r.id));
+  const skip = new Set(existing.filter(d => d.status !== 'rejected').map(d => d.reviewId));
+
+  const toDraft = reviews.filter(review =>
+    !review.hasResponse && !skip.has(review.id) && !extensionState.draftingIds.has(review.id)
+  );
+
+  toDraft.forEach(review => extensionState.draftingIds.add(review.id));
+  notifyDraftsUpdated();
+
+  runBulkDrafts(toDraft);
+
+  return { queued: toDraft.length, skipped: reviews.length - toDraft.length };
+}
+
+/**
+ * Draft replies through the bulk queue. Each failure is reported to the
+ * side panel, and a summary once the batch is done. Errors that would fail
+ * every draft the same way skip the rest of the batch.
+ */
+async function runBulkDrafts(reviews) {
+  const failed = [];
+  let drafted = 0;
+  let fatalError = null;
+
+  await Promise.all(reviews.map(review => bulkDraftQueue.run(async () => {
+    try {
+      if (fatalError) throw fatalError;
+
+      const result = await generateAIResponse({ review, source: 'bulk' });
+      await saveDraft(review, result.response, {
+        matchedKBItems: result.matchedKBItems.map(({ id, problem, confidence }) => ({ id, problem, confidence })),
+        policyViolations: result.policy.violations,
+        tokensUsed: result.tokensUsed
+      });
+      drafted++;
+    } catch (error) {
+      console.error(`Draft generation failed for ${review.id}:`, error.message);
+      if ([...FATAL_BATCH_ERRORS, LLM_ERROR_TYPES.BUDGET, LLM_ERROR_TYPES.LOCKED].includes(error.type)) {
+        fatalError = error;
+      }
+      const failure = { reviewId: review.id, title: review.title || '', error: error.message, errorType: error.type || 'unknown' };
+      failed.push(failure);
+      broadcastDraftMessage('BULK_DRAFT_FAILED', failure);
+    } finally {
+      extensionState.draftingIds.delete(review.id);
+      notifyDraftsUpdated();
+    }
+  })));
+
+  broadcastDraftMessage('BULK_DRAFTS_FINISHED', { drafted, failed });
+}
+
+function broadcastDraftMessage(type, data) {
+  chrome.runtime.sendMessage({ type, data }).catch(() => {
+    // No side panel listening
+  });
+}
+
+/**
+ * Name recorded as the author of history events
+ */
+async function getReviewerName() {
+  const result = await chrome.storage.local.get(['reviewerName']);
+  return result.reviewerName || null;
+}
+
+/**
+ * Log draft edits and approval decisions to the review history
+ */
+async function recordDraftChange(draft, changes) {
+  const event = { user: await getReviewerName(), text: draft.text };
+
+  if (changes.status === 'approved' || changes.status === 'rejected') {
+    await appendHistoryEvent({ id: draft.reviewId, ...draft.review }, { type: changes.status, ...event });
+  } else if (changes.text !== undefined) {
+    await appendHistoryEvent({ id: draft.reviewId, ...draft.review }, { type: 'edited', ...event });
+  }
+}
+
+/**
+ * Carry cached analyses, drafts and history over when reviews first seen by
+ * their hash ID are found by their ASC ID (the review database merges by
+ * fingerprint itself)
  */
-function detectLanguage(text) {
-  // Basic language detection based on common words
-  const czechWords = ['je', 'na', 'že', 'ale', 'když', 'jak', 'nebo', 'který'];
-  const lowerText = text.toLowerCase();
+async function renameReviewIds(renames) {
+  const [, drafts] = await Promise.all([
+    renameCachedAnalyses(renames),
+    renameDrafts(renames),
+    renameHistoryEntries(renames)
+  ]);
+  if (drafts > 0) notifyDraftsUpdated();
+}
 
-  let czechCount = 0;
-  czechWords.forEach(word => {
-    if (lowerText.includes(` ${word} `)) czechCount++;
+/**
+ * Log the reply text submitted in the ASC modal, with its diff from the AI draft
+ */
+async function recordReplyPosted({ review, text, draftText }) {
+  const aiDraft = draftText || await getLastGeneratedText(review.id);
+
+  const entry = await appendHistoryEvent(review, {
+    type: 'posted',
+    text,
+    draftText: aiDraft,
+    similarity: aiDraft ? Math.round(textSimilarity(aiDraft, text) * 100) / 100 : null,
+    user: await getReviewerName()
+  });
+
+  await storePostedReply(review, text).catch(error => {
+    console.warn('Could not store the posted reply in the review database:', error.message);
   });
 
-  return czechCount >= 2 ? 'cs' : 'en';
+  const [draft] = await getDrafts([review.id]);
+  if (draft && draft.status !== 'posted') {
+    await updateDraft(review.id, { text, status: 'posted' });
+    notifyDraftsUpdated();
+  }
+
+  return entry;
 }
 
 /**
@@ -14,6 +14,12 @@
   // Configuration
   const CONFIG = {
     DEBUG: true,
+    ANALYSIS_MAX_ATTEMPTS: 3,
+    ANALYSIS_RETRY_DELAY: 30000,
+    // How long the first scan waits for the page bridge to find ASC review IDs
+    BRIDGE_WAIT_MS: 2000,
+    // Quiet time after storing reviews before looking for emerging issues
+    EMERGING_ISSUES_DELAY: 5000,
     SELECTORS: {
       reviewContainer: '.review-container',
       reviewTitle: '.review-top h3 span',
@@ -33,6 +39,21 @@
     reviews: new Map(),
     totalReviews: 0,
     unansweredReviews: 0,
+    analysisProgress: null,
+    isAnalyzing: false,
+    analysisQueued: false,
+    analysisAttempts: new Map(),
+    // Reviews left unanalyzed because auto-analyze is off
+    analysisSkipped: new Set(),
+    // Hash IDs of reviews that have since been found by their ASC ID
+    renamedIds: new Map(),
+    // Topic spikes of this app, from the review database
+    emergingIssues: [],
+    emergingIssuesTimer: null,
+    behaviorSettings: { ...DEFAULT_BEHAVIOR_SETTINGS },
+    knowledgeBase: null,
+    activeReply: null,
+    generationPort: null,
     isProcessing: false,
     observer: null
   };
@@ -47,7 +68,141 @@
   }
 
   /**
-   * Extract review data from DOM element
+   * Show a transient status toast in the page
+   */
+  function showStatus(message, type = 'info') {
+    const existing = document.getElementById('reviewllama-status');
+    if (existing) {
+      existing.remove();
+    }
+
+    const statusDiv = document.createElement('div');
+    statusDiv.id = 'reviewllama-status';
+    statusDiv.className = `reviewllama-status ${type}`;
+    statusDiv.textContent = message;
+    document.body.appendChild(statusDiv);
+
+    setTimeout(() => statusDiv.remove(), type === 'error' ? 8000 : 4000);
+  }
+
+  /**
+   * Turn a typed error response from the background worker into a user-facing message
+   */
+  function describeError(response) {
+    switch (response.errorType) {
+      case 'auth':
+        return 'API key was rejected. Check it in the Reviewllama popup.';
+      case 'not_configured':
+        return `${response.error}. Configure it in the Reviewllama popup.`;
+      case 'locked':
+        return 'API key is locked. Unlock it with your passphrase in the Reviewllama popup.';
+      case 'quota':
+        return 'Your AI provider quota is exhausted. Check your plan or billing.';
+      case 'rate_limit': {
+        const wait = response.retryAfter ? ` in ${Math.ceil(response.retryAfter / 1000)}s` : ' in a moment';
+        return `AI provider is rate limiting requests. Try again${wait}.`;
+      }
+      case 'timeout':
+        return 'The AI provider took too long to respond. Try again.';
+      case 'network':
+        return 'Could not reach the AI provider. Check your connection.';
+      case 'server':
+        return 'The AI provider is having problems. Try again later.';
+      case 'malformed_json':
+        return 'The AI returned an unreadable result. Try again.';
+      case 'budget':
+        return `${response.error}. Raise the budget in the Reviewllama popup.`;
+      default:
+        return `Error: ${response.error}`;
+    }
+  }
+
+  /**
+   * App being viewed: its ID from the URL and, best effort, its name from the
+   * page title ("Ratings and Reviews - My App - App Store Connect")
+   */
+  function getAppContext() {
+    const appName = document.title
+      .split(/\s+[-–|]\s+/)
+      .map(part => part.trim())
+      .find(part => part && !/app store connect|ratings|reviews/i.test(part)) || null;
+
+    return { appId: parseAppIdFromUrl(window.location.href), appName };
+  }
+
+  /**
+   * Hash of all identifying fields, used as the review ID until the page
+   * bridge finds App Store Connect's own ID
+   */
+  function buildHashReviewId(fields) {
+    const key = [fields.nickname, fields.date, fields.territory, fields.rating, fields.title, fields.content]
+      .map(value => String(value || '').replace(/\s+/g, ' ').trim())
+      .join('\u241F');
+    return `h_${hashText(key)}`;
+  }
+
+  /**
+   * Stable review ID: App Store Connect's own ID when the page bridge found it,
+   * otherwise the hash ID
+   */
+  function buildReviewId(element, hashId) {
+    const ascId = element.getAttribute('data-reviewllama-asc-id');
+    return ascId ? `asc_${ascId}` : hashId;
+  }
+
+  /**
+   * Read the ASC record summary written by the page bridge, if any
+   */
+  function readBridgeRecord(element) {
+    try {
+      return JSON.parse(element.getAttribute('data-reviewllama-record') || 'null');
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Parse a displayed date (e.g. "Oct 3, 2024") to ISO at UTC midnight of
+   * that day, or null. The browser parses it as local midnight, which would
+   * fall on the previous day in UTC east of Greenwich.
+   */
+  function parseDisplayDate(text) {
+    const date = new Date(text);
+    if (!text || isNaN(date.getTime())) return null;
+    return new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate())).toISOString();
+  }
+
+  /**
+   * Read the existing developer reply from the DOM
+   */
+  function extractDeveloperReply(element) {
+    const container = element.querySelector(CONFIG.SELECTORS.devResponse);
+    if (!container) {
+      return null;
+    }
+
+    const textElement = container.querySelector('[ng-bind*="developerResponse"]') ||
+                        container.querySelector('[ng-bind*="response"]');
+    let text = textElement?.textContent?.trim();
+
+    if (!text) {
+      // Fall back to the container text without headings and action links
+      const clone = container.cloneNode(true);
+      clone.querySelectorAll('h1, h2, h3, h4, a, button, .review-meta').forEach(node => node.remove());
+      text = clone.textContent.replace(/\s+/g, ' ').trim();
+    }
+
+    const statusText = container.textContent.toLowerCase();
+    return {
+      text: text || '',
+      status: statusText.includes('pending') ? 'pending' : 'published',
+      updatedAt: null
+    };
+  }
+
+  /**
+   * Extract review data from DOM element, enriched with the ASC record
+   * summary from the page bridge when available
    */
   function extractReviewData(element) {
     try {
@@ -64,25 +219,52 @@
       const reviewContent = element.querySelector('div[ng-bind*=".value.review"]')?.textContent?.trim() ||
                            element.querySelector('.review-body')?.textContent?.trim() || '';
 
-      const hasResponse = !!element.querySelector(CONFIG.SELECTORS.devResponse);
-
-      // Get nickname - parse from "by Username – Date" format
+      // Meta line: "by Username – Date[ – Territory]", optionally with "Version x.y"
+      const metaText = element.querySelector('.review-meta')?.textContent?.replace(/\s+/g, ' ').trim() || '';
       const nicknameText = element.querySelector('.review-meta span')?.textContent || '';
-      const nicknameMatch = nicknameText.match(/by (.+?) –/);
+      const nicknameMatch = nicknameText.match(/by (.+?) –\s*(.*)/);
       const nickname = nicknameMatch ? nicknameMatch[1] : '';
+      const [dateText = '', territoryText = ''] = (nicknameMatch ? nicknameMatch[2] : '')
+        .split('–')
+        .map(part => part.trim());
+      const versionMatch = metaText.match(/Version\s+([\d.]+)/i);
 
-      debug('Extracted review:', { title, rating, content: reviewContent.substring(0, 50), nickname, hasResponse });
-
-      // Generate unique ID based on content
-      const id = btoa(encodeURIComponent(title + nickname + reviewContent)).substring(0, 16);
+      const record = readBridgeRecord(element);
+      const developerReply = record?.reply || extractDeveloperReply(element);
+      const hasResponse = !!developerReply || !!element.querySelector(CONFIG.SELECTORS.devResponse);
 
-      return {
-        id,
+      const review = {
         title,
         rating,
         content: reviewContent,
         nickname,
+        date: record?.date || parseDisplayDate(dateText),
+        dateText,
+        territory: record?.territory || territoryText || null,
+        appVersion: record?.appVersion || (versionMatch ? versionMatch[1] : null),
+        edited: record?.edited || /\(edited\)/i.test(metaText),
+        lastModified: record?.lastModified || null,
+        developerReply,
         hasResponse,
+        language: detectLanguage(`${title}\n${reviewContent}`),
+        ...getAppContext()
+      };
+
+      debug('Extracted review:', { title, rating, content: reviewContent.substring(0, 50), nickname, hasResponse });
+
+      const hashId = buildHashReviewId({
+        nickname,
+        date: dateText,
+        territory: review.territory,
+        rating,
+        title,
+        content: reviewContent
+      });
+
+      return {
+        id: buildReviewId(element, hashId),
+        hashId,
+        ...review,
         element
       };
     } catch (error) {
@@ -99,13 +281,27 @@
     const reviewElements = document.querySelectorAll(CONFIG.SELECTORS.reviewContainer);
     debug(`Found ${reviewElements.length} elements matching ${CONFIG.SELECTORS.reviewContainer}`);
 
+    // Keep analysis and drafts of reviews that are still on the page
+    const previousReviews = new Map(state.reviews);
     state.reviews.clear();
     state.totalReviews = 0;
     state.unansweredReviews = 0;
+    const renames = [];
 
     reviewElements.forEach(element => {
       const reviewData = extractReviewData(element);
       if (reviewData) {
+        // A review first seen by its hash ID keeps its analysis and draft under the ASC ID
+        let previous = previousReviews.get(reviewData.id);
+        if (!previous && reviewData.id !== reviewData.hashId && previousReviews.has(reviewData.hashId)) {
+          previous = previousReviews.get(reviewData.hashId);
+          state.renamedIds.set(reviewData.hashId, reviewData.id);
+          renames.push({ from: reviewData.hashId, to: reviewData.id });
+        }
+        if (previous) {
+          reviewData.analysis = previous.analysis;
+          reviewData.generatedResponse = previous.generatedResponse;
+        }
         state.reviews.set(reviewData.id, reviewData);
         state.totalReviews++;
         if (!reviewData.hasResponse) {
@@ -115,7 +311,10 @@
     });
 
     debug(`Found ${state.totalReviews} reviews (${state.unansweredReviews} unanswered)`);
+    renameStoredReviews(renames);
     updateUI();
+    syncReplyStatus();
+    saveReviewsToDatabase(Array.from(state.reviews.values()));
 
     // Trigger batch analysis only if we have REAL reviews (not empty ones)
     const hasRealReviews = Array.from(state.reviews.values()).some(r =>
@@ -130,6 +329,19 @@
     }
   }
 
+  /**
+   * Move cached analyses, drafts and history from hash IDs to ASC IDs
+   */
+  function renameStoredReviews(renames) {
+    if (renames.length === 0) return;
+
+    debug(`Review IDs found by the page bridge for ${renames.length} reviews`);
+    chrome.runtime.sendMessage({
+      type: 'RENAME_REVIEW_IDS',
+      data: { renames }
+    }).catch(err => debug('Error renaming review IDs:', err));
+  }
+
   /**
    * Update UI with review counts
    */
@@ -145,6 +357,75 @@
 
     // Inject review counter into page header
     injectReviewCounter();
+    notifyReviewsUpdated();
+  }
+
+  /**
+   * Let the background mark approved drafts of answered reviews as posted
+   */
+  function syncReplyStatus() {
+    const answeredReviewIds = Array.from(state.reviews.values())
+      .filter(review => review.hasResponse)
+      .map(review => review.id);
+
+    if (answeredReviewIds.length > 0) {
+      chrome.runtime.sendMessage({
+        type: 'SYNC_REPLY_STATUS',
+        data: { answeredReviewIds }
+      }).catch(err => debug('Error syncing reply status:', err));
+    }
+  }
+
+  /**
+   * Keep reviews, with their analysis and reply status, in the review database
+   */
+  function saveReviewsToDatabase(reviews) {
+    const realReviews = reviews.filter(review => review.title || review.content || review.nickname);
+    if (realReviews.length === 0) return;
+
+    chrome.runtime.sendMessage({
+      type: 'STORE_REVIEWS',
+      data: { reviews: realReviews.map(serializeReview) }
+    })
+      .then(scheduleEmergingIssuesRefresh)
+      .catch(err => debug('Error storing reviews:', err));
+  }
+
+  /**
+   * Refresh emerging issues once reviews stop arriving, instead of after
+   * every batch that is stored
+   */
+  function scheduleEmergingIssuesRefresh() {
+    clearTimeout(state.emergingIssuesTimer);
+    state.emergingIssuesTimer = setTimeout(() => {
+      refreshEmergingIssues().catch(err => debug('Error detecting emerging issues:', err));
+    }, CONFIG.EMERGING_ISSUES_DELAY);
+  }
+
+  /**
+   * Look for topic spikes in the stored reviews of this app
+   */
+  async function refreshEmergingIssues() {
+    const response = await chrome.runtime.sendMessage({
+      type: 'GET_EMERGING_ISSUES',
+      data: { appId: getAppContext().appId }
+    });
+    if (!response?.success) {
+      debug('Error detecting emerging issues:', response?.error);
+      return;
+    }
+
+    state.emergingIssues = response.data;
+    renderEmergingIssues();
+  }
+
+  /**
+   * Tell open extension pages (side panel) that review data changed
+   */
+  function notifyReviewsUpdated() {
+    chrome.runtime.sendMessage({ type: 'REVIEWS_UPDATED' }).catch(() => {
+      // No extension page listening
+    });
   }
 
   /**
@@ -175,8 +456,16 @@
           <span class="reviewllama-label">Unanswered:</span>
           <span class="reviewllama-value">${state.unansweredReviews}</span>
         </span>
+        <span class="reviewllama-stat reviewllama-progress" id="reviewllama-progress"></span>
+        <span class="reviewllama-stat reviewllama-skipped" id="reviewllama-skipped">
+          <span class="reviewllama-label">Not analyzed:</span>
+          <span class="reviewllama-value"></span>
+          <button class="reviewllama-analyze-btn">Analyze</button>
+        </span>
+        <span class="reviewllama-stat reviewllama-issues" id="reviewllama-issues"></span>
       </div>
     `;
+    counterDiv.querySelector('.reviewllama-analyze-btn').addEventListener('click', () => analyzeAllReviews(true));
 
     // Insert before the first dropdown menu
     const firstMenu = reviewsHeader.querySelector('.hasPopOver');
@@ -185,72 +474,204 @@
     } else {
       reviewsHeader.appendChild(counterDiv);
     }
+
+    renderAnalysisProgress();
+    renderSkippedAnalysis();
+    renderEmergingIssues();
+  }
+
+  /**
+   * Alert about the top emerging issue in the review counter, linked to the
+   * knowledge base entry it matches
+   */
+  function renderEmergingIssues() {
+    const issuesSpan = document.getElementById('reviewllama-issues');
+    if (!issuesSpan) return;
+
+    const [issue, ...others] = state.emergingIssues;
+    issuesSpan.replaceChildren();
+    issuesSpan.style.display = issue ? '' : 'none';
+    if (!issue) return;
+
+    const label = document.createElement('span');
+    label.className = 'reviewllama-label';
+    label.textContent = '⚠️ Emerging:';
+
+    const value = document.createElement('span');
+    value.className = 'reviewllama-value';
+    value.textContent = issue.label;
+
+    issuesSpan.title = [issue, ...others]
+      .map(item => `${item.label}: ${item.summary}${item.kbMatch ? ` (KB: ${item.kbMatch.problem})` : ''}`)
+      .join('\n');
+    issuesSpan.append(label, value);
+
+    if (others.length > 0) {
+      const more = document.createElement('span');
+      more.className = 'reviewllama-label';
+      more.textContent = `+${others.length} more`;
+      issuesSpan.appendChild(more);
+    }
+
+    if (issue.kbMatch) {
+      const kbButton = document.createElement('button');
+      kbButton.className = 'reviewllama-analyze-btn';
+      kbButton.textContent = 'KB entry';
+      kbButton.title = issue.kbMatch.problem;
+      kbButton.addEventListener('click', () => {
+        chrome.runtime.sendMessage({ type: 'OPEN_KB_ENTRY', data: { id: issue.kbMatch.id } });
+      });
+      issuesSpan.appendChild(kbButton);
+    }
+
+    const dismissButton = document.createElement('button');
+    dismissButton.className = 'reviewllama-issue-dismiss';
+    dismissButton.textContent = '×';
+    dismissButton.title = 'Dismiss until more reviews mention it';
+    dismissButton.addEventListener('click', () => {
+      state.emergingIssues = others;
+      renderEmergingIssues();
+      chrome.runtime.sendMessage({
+        type: 'DISMISS_EMERGING_ISSUE',
+        data: { appId: getAppContext().appId, id: issue.id, recentCount: issue.recentCount }
+      });
+    });
+    issuesSpan.appendChild(dismissButton);
   }
 
   /**
-   * Analyze all reviews with OpenAI batch API
+   * Offer manual analysis for reviews skipped while auto-analyze is off
    */
-  async function analyzeAllReviews() {
-    debug('Starting batch analysis...');
+  function renderSkippedAnalysis() {
+    const skippedSpan = document.getElementById('reviewllama-skipped');
+    if (!skippedSpan) return;
+
+    const count = Array.from(state.analysisSkipped).filter(id => !state.reviews.get(id)?.analysis).length;
+    skippedSpan.style.display = count > 0 ? '' : 'none';
+    skippedSpan.querySelector('.reviewllama-value').textContent = count;
+  }
+
+  /**
+   * Show batch analysis progress in the review counter
+   */
+  function renderAnalysisProgress() {
+    const progressSpan = document.getElementById('reviewllama-progress');
+    if (!progressSpan) return;
+
+    const progress = state.analysisProgress;
+    if (!progress) {
+      progressSpan.style.display = 'none';
+      return;
+    }
 
-    // Check cache first
-    const cacheKey = `analysis_cache_${window.location.pathname}`;
-    const cached = await chrome.storage.local.get(cacheKey);
+    progressSpan.style.display = '';
+    progressSpan.classList.toggle('reviewllama-progress-failed', !!(progress.done && progress.failed));
 
-    // Use cache only if it's recent AND has actual data
-    if (cached[cacheKey] &&
-        Date.now() - cached[cacheKey].timestamp < 24 * 60 * 60 * 1000 &&
-        cached[cacheKey].data?.reviews?.length > 0) {
-      debug('Using cached analysis with', cached[cacheKey].data.reviews.length, 'reviews');
-      applyAnalysisResults(cached[cacheKey].data);
+    if (!progress.done) {
+      progressSpan.innerHTML = `
+        <span class="reviewllama-label">Analyzing:</span>
+        <span class="reviewllama-value">${progress.completed}/${progress.total}</span>
+        <span class="reviewllama-loading"></span>
+      `;
+    } else if (progress.failed) {
+      progressSpan.innerHTML = `
+        <span class="reviewllama-label">Analysis failed:</span>
+        <span class="reviewllama-value">${progress.failed}/${progress.total}</span>
+      `;
+    } else {
+      progressSpan.style.display = 'none';
+    }
+  }
+
+  /**
+   * Analyze reviews that don't have an analysis yet. The background worker
+   * serves cached analyses per review ID and only sends unseen reviews to the LLM.
+   */
+  async function analyzeAllReviews(manual = false) {
+    // A rescan during analysis re-runs once the current pass finishes
+    if (state.isAnalyzing) {
+      state.analysisQueued = true;
       return;
-    } else if (cached[cacheKey]) {
-      debug('Cache exists but is empty or stale, clearing...');
-      await chrome.storage.local.remove(cacheKey);
     }
 
-    // Prepare reviews array - filter out empty reviews
+    if (manual) {
+      state.analysisSkipped.clear();
+    }
+
+    // Prepare reviews array - filter out empty, already analyzed, skipped and given-up reviews
     const reviews = Array.from(state.reviews.values()).filter(r =>
-      r.title || r.content || r.nickname
+      (r.title || r.content || r.nickname) && !r.analysis && !state.analysisSkipped.has(r.id) &&
+      (state.analysisAttempts.get(r.id) || 0) < CONFIG.ANALYSIS_MAX_ATTEMPTS
     );
 
     if (reviews.length === 0) {
-      debug('No valid reviews to analyze');
+      debug('No unanalyzed reviews');
       return;
     }
 
-    debug(`Sending ${reviews.length} valid reviews for analysis`);
+    debug(`Sending ${reviews.length} unanalyzed reviews for analysis`);
+    state.isAnalyzing = true;
 
     try {
+      // The background only serves cached analyses when auto-analyze is off, unless manual
       const response = await chrome.runtime.sendMessage({
         type: 'BATCH_ANALYZE_REVIEWS',
-        data: reviews
+        data: { reviews, manual }
       });
 
       if (response.success) {
-        debug('Batch analysis successful');
-
-        // Cache results
-        await chrome.storage.local.set({
-          [cacheKey]: {
-            timestamp: Date.now(),
-            data: response.data
-          }
-        });
-
-        applyAnalysisResults(response.data);
+        debug(`Batch analysis successful (${response.data.cachedCount} from cache)`);
+        const skipped = new Set(response.data.skippedReviewIds || []);
+        skipped.forEach(id => state.analysisSkipped.add(id));
+        applyAnalysisResults(response.data, reviews.map(r => r.id).filter(id => !skipped.has(id)));
+        renderSkippedAnalysis();
       } else {
-        debug('Batch analysis failed:', response.error);
+        debug('Batch analysis failed:', response.errorType, response.error);
+        // Analysis runs automatically, so only surface errors the user must act on
+        if (['auth', 'not_configured', 'locked', 'quota', 'budget'].includes(response.errorType)) {
+          showStatus(describeError(response), 'error');
+        }
       }
     } catch (error) {
       debug('Error in batch analysis:', error);
+    } finally {
+      state.isAnalyzing = false;
+    }
+
+    if (state.analysisQueued) {
+      state.analysisQueued = false;
+      analyzeAllReviews();
+    }
+  }
+
+  /**
+   * Re-queue reviews that came back without an analysis, up to
+   * ANALYSIS_MAX_ATTEMPTS times each
+   */
+  function requeueAnalysis(reviewIds) {
+    let retryable = 0;
+    reviewIds.forEach(id => {
+      const attempts = (state.analysisAttempts.get(id) || 0) + 1;
+      state.analysisAttempts.set(id, attempts);
+      if (attempts < CONFIG.ANALYSIS_MAX_ATTEMPTS) {
+        retryable++;
+      } else {
+        debug(`Giving up on analysis for review ${id} after ${attempts} attempts`);
+      }
+    });
+
+    if (retryable > 0) {
+      debug(`Re-queuing ${retryable} reviews for analysis`);
+      setTimeout(analyzeAllReviews, CONFIG.ANALYSIS_RETRY_DELAY);
     }
   }
 
   /**
-   * Apply analysis results to reviews and inject labels
+   * Apply analysis results to reviews and inject labels. Each requested
+   * review must get exactly one result; anything else is reported and
+   * missing reviews are re-queued.
    */
-  function applyAnalysisResults(analysisData) {
+  function applyAnalysisResults(analysisData, requestedIds) {
     if (!analysisData || !analysisData.reviews) {
       debug('Invalid analysis data');
       return;
@@ -259,30 +680,52 @@
     debug('Applying analysis results:', analysisData.reviews.length, 'items');
     debug('Current reviews in state:', state.reviews.size);
 
-    let matchedCount = 0;
+    // Reviews rescanned by their ASC ID while the analysis was running
+    const currentId = id => state.renamedIds.get(id) || id;
+    const requested = new Set(requestedIds);
+    const applied = new Set();
+    const unmatchedIds = [];
+    const renames = [];
 
     // Update state with analysis
     analysisData.reviews.forEach(analysis => {
-      const review = state.reviews.get(analysis.id);
-      if (review) {
+      const id = currentId(analysis.id);
+      const review = state.reviews.get(id);
+      if (review && requested.has(analysis.id) && !applied.has(id)) {
         review.analysis = {
           sentiment: analysis.sentiment,
           category: analysis.category,
           language: analysis.language,
           topics: analysis.topics || []
         };
-        state.reviews.set(analysis.id, review);
-        matchedCount++;
-        debug(`Matched analysis for review ${analysis.id}: ${analysis.sentiment}/${analysis.category}`);
+        applied.add(id);
+        if (id !== analysis.id) {
+          renames.push({ from: analysis.id, to: id });
+        }
+        debug(`Matched analysis for review ${id}: ${analysis.sentiment}/${analysis.category}`);
       } else {
-        debug(`No review found for analysis ID: ${analysis.id}`);
+        unmatchedIds.push(analysis.id);
       }
     });
 
-    debug(`Analysis applied: ${matchedCount} matched out of ${analysisData.reviews.length}`);
+    // The background cached these under the hash ID after they were renamed
+    renameStoredReviews(renames);
+
+    const missingIds = requestedIds.map(currentId).filter(id => !applied.has(id) && state.reviews.has(id));
+
+    debug(`Analysis applied: ${applied.size} matched out of ${analysisData.reviews.length}`);
+    if (unmatchedIds.length > 0) {
+      debug('Analysis results without a matching review:', unmatchedIds);
+    }
+    if (missingIds.length > 0) {
+      debug('Reviews missing from analysis results:', missingIds);
+      requeueAnalysis(missingIds);
+    }
 
     // Inject visual labels
     injectReviewLabels();
+    notifyReviewsUpdated();
+    saveReviewsToDatabase(Array.from(applied).map(id => state.reviews.get(id)));
   }
 
   /**
@@ -363,42 +806,58 @@
   }
 
   /**
-   * Match review against knowledge base (client-side)
+   * Load the knowledge base once, until it is edited in the options page
    */
-  function matchKnowledgeBase(review) {
-    return new Promise(async (resolve) => {
-      try {
-        // Load knowledge base
-        const response = await fetch(chrome.runtime.getURL('knowledgebase.json'));
-        const kb = await response.json();
+  async function loadKnowledgeBase() {
+    if (!state.knowledgeBase) {
+      state.knowledgeBase = await getKnowledgeBase();
+    }
+    return state.knowledgeBase;
+  }
 
-        const reviewText = (review.title + ' ' + review.content).toLowerCase();
-        const scores = [];
+  /**
+   * Match review against knowledge base with the local lexical scorer.
+   * Drafts are matched again in the background, with embeddings if available.
+   */
+  async function matchKnowledgeBase(review) {
+    try {
+      const kb = await loadKnowledgeBase();
+      const lexical = scoreKnowledgeBaseLexical(reviewMatchText(review), kb.troubles);
+      return combineKnowledgeBaseScores(kb.troubles, lexical);
+    } catch (error) {
+      debug('Error matching KB:', error);
+      return [];
+    }
+  }
 
-        // Score each trouble item
-        kb.troubles.forEach(item => {
-          let score = 0;
-          item.keywords.forEach(keyword => {
-            if (reviewText.includes(keyword.toLowerCase())) {
-              score++;
-            }
-          });
+  /**
+   * Behavior toggles for the app on the current page
+   */
+  function getBehavior() {
+    return resolveBehaviorSettings(state.behaviorSettings, getAppContext().appId);
+  }
 
-          if (score > 0) {
-            scores.push({ id: item.id, score, item });
-          }
-        });
+  /**
+   * Load behavior settings and follow changes made in the popup. Turning
+   * auto-analyze on analyzes the reviews it skipped.
+   */
+  async function watchBehaviorSettings() {
+    try {
+      state.behaviorSettings = await getBehaviorSettings();
+    } catch (error) {
+      debug('Error loading behavior settings:', error);
+    }
 
-        // Return top 3 matches
-        const matches = scores
-          .sort((a, b) => b.score - a.score)
-          .slice(0, 3);
+    onBehaviorSettingsChanged(settings => {
+      const wasAnalyzing = getBehavior().autoAnalyze;
+      state.behaviorSettings = settings;
+      debug('Behavior settings changed:', getBehavior());
 
-        resolve(matches);
-      } catch (error) {
-        debug('Error matching KB:', error);
-        resolve([]);
+      if (!wasAnalyzing && getBehavior().autoAnalyze) {
+        state.analysisSkipped.clear();
+        analyzeAllReviews();
       }
+      renderSkippedAnalysis();
     });
   }
 
@@ -415,15 +874,20 @@
 
         debug('Reply/Edit button clicked');
 
+        const isEdit = target.matches(CONFIG.SELECTORS.editLink);
+
         // Find the parent review container
         const reviewContainer = target.closest(CONFIG.SELECTORS.reviewContainer);
         if (reviewContainer) {
-          const reviewData = extractReviewData(reviewContainer);
-          if (reviewData) {
+          const extracted = extractReviewData(reviewContainer);
+          if (extracted) {
+            // Reuse the tracked review so analysis and cached drafts carry over
+            const reviewData = Object.assign(state.reviews.get(extracted.id) || {}, extracted);
+            state.reviews.set(reviewData.id, reviewData);
             debug('Review data:', reviewData);
 
             // Wait for modal to appear, then auto-fill
-            setTimeout(() => autoFillResponse(reviewData), 500);
+            setTimeout(() => autoFillResponse(reviewData, isEdit), 500);
           }
         }
       }
@@ -431,9 +895,66 @@
   }
 
   /**
-   * Auto-fill response in modal (uses contenteditable div, not textarea)
+   * Find the reply editor in the open modal, or null
+   */
+  function findModalEditor() {
+    // Find the VISIBLE contenteditable div (there are 2 - one disabled, one active)
+    const allEditableDivs = document.querySelectorAll('.modal-dialog div[contenteditable="true"]');
+
+    // Find the visible one
+    for (const div of allEditableDivs) {
+      if (div.offsetParent !== null) {
+        debug('Found visible contenteditable div');
+        return div;
+      }
+    }
+
+    // Fallback to last one if none are visible yet
+    if (allEditableDivs.length > 0) {
+      debug('No visible div found, using last contenteditable div');
+      return allEditableDivs[allEditableDivs.length - 1];
+    }
+
+    return null;
+  }
+
+  /**
+   * Log the reply text when the ASC modal's submit button is clicked
+   */
+  function interceptReplySubmit() {
+    document.addEventListener('click', function(event) {
+      if (!state.activeReply) return;
+
+      const button = event.target.closest('.modal-dialog button, .modal-dialog [type="submit"], .modal-dialog a.button');
+      if (!button || button.closest('.reviewllama-generate-container')) return;
+
+      const label = (button.textContent || button.value || '').trim().toLowerCase();
+      if (!/^(submit|send|post|publish|save|update)/.test(label)) return;
+
+      const editor = findModalEditor();
+      const text = editor ? (editor.innerText || editor.textContent).trim() : '';
+      if (!text) return;
+
+      const { review } = state.activeReply;
+      state.activeReply = null;
+      debug('Reply submitted for review:', review.id);
+
+      chrome.runtime.sendMessage({
+        type: 'RECORD_REPLY_POSTED',
+        data: {
+          review: serializeReview(review),
+          text,
+          draftText: review.generatedResponse || null
+        }
+      }).catch(err => debug('Error recording posted reply:', err));
+    }, true);
+  }
+
+  /**
+   * Auto-fill response in modal (uses contenteditable div, not textarea).
+   * When editing an existing reply, start from its current text instead.
    */
-  function autoFillResponse(reviewData) {
+  function autoFillResponse(reviewData, isEdit = false) {
     // Log modal structure for debugging
     const modal = document.querySelector('.modal-dialog');
     if (modal) {
@@ -447,26 +968,12 @@
       debug('No .modal-dialog found in DOM');
     }
 
-    // Find the VISIBLE contenteditable div (there are 2 - one disabled, one active)
-    const allEditableDivs = document.querySelectorAll('.modal-dialog div[contenteditable="true"]');
-    let modalTextarea = null;
-
-    // Find the visible one
-    for (const div of allEditableDivs) {
-      if (div.offsetParent !== null) {
-        modalTextarea = div;
-        debug('Found visible contenteditable div');
-        break;
-      }
-    }
-
-    // Fallback to first one if none are visible yet
-    if (!modalTextarea && allEditableDivs.length > 0) {
-      modalTextarea = allEditableDivs[allEditableDivs.length - 1]; // Try last one
-      debug('No visible div found, using last contenteditable div');
-    }
+    const modalTextarea = findModalEditor();
 
     if (modalTextarea) {
+      // Remember which review the modal is for, to log the submitted reply
+      state.activeReply = { review: reviewData, isEdit };
+
       debug('Before fill - innerHTML:', modalTextarea.innerHTML);
       debug('Before fill - visible?', modalTextarea.offsetParent !== null);
       debug('Before fill - ng-show?', modalTextarea.getAttribute('ng-show'));
@@ -474,16 +981,26 @@
       // Add generate button first
       addGenerateButton(modalTextarea, reviewData);
 
-      // Use cached response if available, otherwise generate new one
-      if (reviewData.generatedResponse) {
+      // Use a draft sent from the inbox, the current reply when editing,
+      // a stored or cached draft if available, otherwise generate new one
+      if (reviewData.pendingDraftText) {
+        debug('Inserting draft from inbox');
+        insertReplyText(modalTextarea, reviewData, reviewData.pendingDraftText);
+        reviewData.pendingDraftText = null;
+      } else if (!getBehavior().autoFill) {
+        debug('Auto-fill is off, leaving the editor as is');
+      } else if (isEdit && reviewData.developerReply?.text) {
+        debug('Editing existing reply, keeping current text');
+        if (!modalTextarea.textContent.trim()) {
+          insertTextIntoModal(modalTextarea, reviewData.developerReply.text);
+        }
+      } else if (reviewData.generatedResponse) {
         debug('Using cached AI response');
-        insertTextIntoModal(modalTextarea, reviewData.generatedResponse);
+        insertReplyText(modalTextarea, reviewData, reviewData.generatedResponse)
+          .then(text => { reviewData.generatedResponse = text; });
+        renderKnowledgeBaseUsed(reviewData.kbUsed);
       } else {
-        // Auto-generate on open (this will call the AI API)
-        debug('Auto-generating AI response...');
-        setTimeout(() => {
-          generateAIResponse(reviewData, modalTextarea);
-        }, 300);
+        fillFromStoredDraft(reviewData, modalTextarea);
       }
 
       debug('Auto-fill initiated');
@@ -493,14 +1010,48 @@
       setTimeout(() => {
         const retry = document.querySelector('.modal-dialog div[contenteditable="true"]');
         if (retry) {
-          autoFillResponse(reviewData);
+          autoFillResponse(reviewData, isEdit);
         }
       }, 200);
     }
   }
 
   /**
-   * Add generate AI response button to modal
+   * Insert a stored bulk draft for the review, or auto-generate one
+   */
+  async function fillFromStoredDraft(reviewData, textarea) {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'GET_DRAFTS',
+        data: { reviewIds: [reviewData.id] }
+      });
+      const draft = response.success && response.data.drafts[0];
+
+      if (draft && (draft.status === 'draft' || draft.status === 'approved')) {
+        debug(`Using stored ${draft.status} draft`);
+        reviewData.generatedResponse = await insertReplyText(textarea, reviewData, draft.text);
+        renderKnowledgeBaseUsed(draft.matchedKBItems);
+        return;
+      }
+    } catch (error) {
+      debug('Error loading stored draft:', error);
+    }
+
+    if (!getBehavior().autoGenerate) {
+      debug('Auto-generate is off, waiting for the Generate button');
+      return;
+    }
+
+    // Auto-generate on open (this will call the AI API)
+    debug('Auto-generating AI response...');
+    setTimeout(() => {
+      generateAIResponse(reviewData, textarea);
+    }, 300);
+  }
+
+  /**
+   * Add the generate button, tone and length controls, variants and refine
+   * actions to the modal
    */
   function addGenerateButton(textarea, reviewData) {
     // Check if button already exists
@@ -508,74 +1059,388 @@
       return;
     }
 
+    const options = choices => Object.entries(choices)
+      .map(([value, choice]) => `<option value="${value}">${choice.label}</option>`)
+      .join('');
+
     const buttonContainer = document.createElement('div');
     buttonContainer.className = 'reviewllama-generate-container';
     buttonContainer.innerHTML = `
-      <button id="reviewllama-generate-btn" class="reviewllama-generate-btn">
-        Generate AI Response
-      </button>
+      <div class="reviewllama-generate-row">
+        <button id="reviewllama-generate-btn" class="reviewllama-generate-btn">
+          Generate AI Response
+        </button>
+        <select id="reviewllama-tone" class="reviewllama-select" title="Tone">${options(REPLY_TONES)}</select>
+        <select id="reviewllama-length" class="reviewllama-select" title="Length">${options(REPLY_LENGTHS)}</select>
+        <button id="reviewllama-variants-btn" class="reviewllama-secondary-btn">
+          ${DEFAULT_VARIANT_TONES.length} Variants
+        </button>
+      </div>
+      <div class="reviewllama-refine-row">
+        <span>Refine:</span>
+        ${Object.entries(REFINE_ACTIONS).map(([action, refine]) =>
+          `<button class="reviewllama-secondary-btn" data-refine="${action}">${refine.label}</button>`
+        ).join('')}
+      </div>
+      <div class="reviewllama-variants"></div>
     `;
 
     // Insert after textarea
     textarea.parentElement.appendChild(buttonContainer);
 
-    // Add click handler
+    // The button turns into Stop while a reply is streaming
     document.getElementById('reviewllama-generate-btn').addEventListener('click', function(e) {
       e.preventDefault();
+      if (state.generationPort) {
+        state.generationPort.postMessage({ type: 'STOP' });
+        return;
+      }
       generateAIResponse(reviewData, textarea);
     });
+
+    // A new tone or length regenerates right away
+    buttonContainer.querySelectorAll('.reviewllama-select').forEach(select => {
+      select.addEventListener('change', () => generateAIResponse(reviewData, textarea));
+    });
+
+    document.getElementById('reviewllama-variants-btn').addEventListener('click', function(e) {
+      e.preventDefault();
+      generateReplyVariants(reviewData, textarea);
+    });
+
+    buttonContainer.querySelectorAll('[data-refine]').forEach(button => {
+      button.addEventListener('click', e => {
+        e.preventDefault();
+        refineReply(reviewData, textarea, button.dataset.refine);
+      });
+    });
   }
 
   /**
-   * Generate AI response with real OpenAI API
+   * Tone and length picked in the modal
    */
-  async function generateAIResponse(reviewData, textarea) {
-    debug('Generating AI response for:', reviewData);
+  function getReplyStyle() {
+    return {
+      tone: document.getElementById('reviewllama-tone')?.value || DEFAULT_REPLY_TONE,
+      length: document.getElementById('reviewllama-length')?.value || DEFAULT_REPLY_LENGTH
+    };
+  }
+
+  /**
+   * Disable the modal controls (except Stop) while a request runs
+   */
+  function setReplyControlsBusy(busy) {
+    document.querySelectorAll('.reviewllama-generate-container select, .reviewllama-secondary-btn').forEach(control => {
+      control.disabled = busy;
+    });
+  }
+
+  /**
+   * Generate one draft per variant tone and show them side by side
+   */
+  async function generateReplyVariants(reviewData, textarea) {
+    const container = document.querySelector('.reviewllama-variants');
+    const btn = document.getElementById('reviewllama-variants-btn');
+    if (!container || state.generationPort) return;
 
-    // Show loading state
-    const btn = document.getElementById('reviewllama-generate-btn');
     const originalText = btn.textContent;
     btn.textContent = 'Generating...';
-    btn.disabled = true;
+    setReplyControlsBusy(true);
 
     try {
-      // Match review against knowledge base
-      const matchedKBItems = await matchKnowledgeBase(reviewData);
-      debug('Matched KB items:', matchedKBItems);
-
-      // Call background script for AI generation
       const response = await chrome.runtime.sendMessage({
-        type: 'GENERATE_AI_RESPONSE',
+        type: 'GENERATE_REPLY_VARIANTS',
         data: {
-          review: reviewData,
-          matchedKBItems: matchedKBItems
+          review: serializeReview(reviewData),
+          tones: DEFAULT_VARIANT_TONES,
+          length: getReplyStyle().length
         }
       });
 
-      if (response.success) {
-        const generatedResponse = response.data.response;
-        debug('AI response received:', generatedResponse.substring(0, 50) + '...');
+      if (!response.success) {
+        debug('Variant generation failed:', response.errorType, response.error);
+        showStatus(describeError(response), 'error');
+        return;
+      }
 
-        // Insert response into textarea
-        insertTextIntoModal(textarea, generatedResponse);
+      renderReplyVariants(container, response.data.variants, async variant => {
+        const toneSelect = document.getElementById('reviewllama-tone');
+        if (toneSelect) {
+          toneSelect.value = variant.tone;
+        }
+        await handleGeneratedResponse(reviewData, textarea, variant);
+      });
+    } catch (error) {
+      debug('Error generating variants:', error);
+      showStatus(`Error: ${error.message}`, 'error');
+    } finally {
+      btn.textContent = originalText;
+      setReplyControlsBusy(false);
+    }
+  }
 
-        // Cache the response
-        reviewData.generatedResponse = generatedResponse;
-        state.reviews.set(reviewData.id, reviewData);
+  /**
+   * Render variant cards; "Use" puts the variant into the editor
+   */
+  function renderReplyVariants(container, variants, onUse) {
+    container.innerHTML = '';
+
+    variants.forEach(variant => {
+      const card = document.createElement('div');
+      card.className = 'reviewllama-variant';
+
+      const label = document.createElement('div');
+      label.className = 'reviewllama-variant-tone';
+      label.textContent = REPLY_TONES[variant.tone]?.label || variant.tone;
+
+      const text = document.createElement('div');
+      text.className = 'reviewllama-variant-text';
+      text.textContent = variant.response;
+
+      const useBtn = document.createElement('button');
+      useBtn.className = 'reviewllama-secondary-btn';
+      useBtn.textContent = 'Use';
+      useBtn.addEventListener('click', e => {
+        e.preventDefault();
+        container.querySelectorAll('.reviewllama-variant').forEach(other => other.classList.remove('selected'));
+        card.classList.add('selected');
+        onUse(variant);
+      });
+
+      card.append(label, text, useBtn);
+      container.appendChild(card);
+    });
+  }
+
+  /**
+   * Rewrite the reply currently in the editor with a refine action
+   */
+  async function refineReply(reviewData, textarea, action) {
+    if (state.generationPort) return;
+
+    const text = (textarea.value ?? textarea.innerText ?? textarea.textContent ?? '').trim();
+    if (!text) {
+      showStatus('Write or generate a reply first', 'info');
+      return;
+    }
+
+    const btn = document.querySelector(`[data-refine="${action}"]`);
+    const originalText = btn?.textContent;
+    if (btn) {
+      btn.textContent = '...';
+    }
+    setReplyControlsBusy(true);
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'REFINE_REPLY',
+        data: { review: serializeReview(reviewData), text, action }
+      });
+
+      if (response.success) {
+        await handleGeneratedResponse(reviewData, textarea, response.data);
       } else {
-        debug('AI generation failed:', response.error);
-        alert(`Error generating response: ${response.error}`);
+        debug('Refine failed:', response.errorType, response.error);
+        showStatus(describeError(response), 'error');
       }
     } catch (error) {
-      debug('Error in AI generation:', error);
-      alert(`Error: ${error.message}`);
+      debug('Error refining reply:', error);
+      showStatus(`Error: ${error.message}`, 'error');
     } finally {
-      // Reset button
-      btn.textContent = originalText;
-      btn.disabled = false;
+      if (btn) {
+        btn.textContent = originalText;
+      }
+      setReplyControlsBusy(false);
     }
   }
 
+  /**
+   * Generate an AI reply, streaming it into the editor as it arrives.
+   * Stopping keeps the partial text. Resolves once generation has ended.
+   */
+  function generateAIResponse(reviewData, textarea) {
+    if (state.generationPort) {
+      debug('Generation already running');
+      return Promise.resolve();
+    }
+    debug('Generating AI response for:', reviewData);
+
+    // The button is absent when triggered from the inbox before auto-fill ran
+    const btn = document.getElementById('reviewllama-generate-btn');
+    const originalText = btn?.textContent;
+    if (btn) {
+      btn.textContent = 'Stop';
+      btn.classList.add('streaming');
+    }
+    setReplyControlsBusy(true);
+
+    const port = chrome.runtime.connect({ name: 'reviewllama-generate' });
+    state.generationPort = port;
+    let streamedText = '';
+
+    return new Promise(resolve => {
+      const finish = () => {
+        if (state.generationPort !== port) return;
+        state.generationPort = null;
+        port.disconnect();
+        if (btn) {
+          btn.textContent = originalText;
+          btn.classList.remove('streaming');
+        }
+        setReplyControlsBusy(false);
+        resolve();
+      };
+
+      port.onMessage.addListener(async message => {
+        try {
+          switch (message.type) {
+            case 'DELTA':
+              streamedText += message.text;
+              renderStreamingText(textarea, streamedText);
+              break;
+
+            case 'DONE':
+              await handleGeneratedResponse(reviewData, textarea, message.data);
+              finish();
+              break;
+
+            case 'ERROR':
+              // Whatever streamed before the failure stays in the editor
+              debug('AI generation failed:', message.errorType, message.error);
+              showStatus(describeError(message), 'error');
+              finish();
+              break;
+          }
+        } catch (error) {
+          debug('Error in AI generation:', error);
+          showStatus(`Error: ${error.message}`, 'error');
+          finish();
+        }
+      });
+
+      // The service worker went away mid-stream
+      port.onDisconnect.addListener(() => {
+        if (state.generationPort === port) {
+          showStatus('Generation was interrupted', 'error');
+        }
+        finish();
+      });
+
+      port.postMessage({ type: 'START', data: { review: serializeReview(reviewData), ...getReplyStyle() } });
+    });
+  }
+
+  /**
+   * Insert the final reply from the background and cache it on the review
+   */
+  async function handleGeneratedResponse(reviewData, textarea, data) {
+    debug('AI response received:', data.response.substring(0, 50) + '...');
+    debug('KB items used:', data.matchedKBItems);
+
+    let inserted;
+    if (data.stopped) {
+      // Keep exactly what was streamed; the policy check would rewrite a half sentence
+      insertTextIntoModal(textarea, data.response);
+      renderPolicyReport([], []);
+      inserted = data.response;
+      showStatus('Generation stopped, partial reply kept', 'info');
+    } else {
+      inserted = await insertReplyText(textarea, reviewData, data.response, data.policy?.repairs);
+    }
+    renderKnowledgeBaseUsed(data.matchedKBItems);
+
+    reviewData.generatedResponse = inserted;
+    reviewData.kbUsed = data.matchedKBItems;
+    state.reviews.set(reviewData.id, reviewData);
+    notifyReviewsUpdated();
+  }
+
+  /**
+   * Show streamed text in the editor without notifying the page; the final
+   * text is inserted properly once generation ends
+   */
+  function renderStreamingText(element, text) {
+    if (element.hasAttribute('contenteditable')) {
+      element.innerText = text;
+    } else {
+      element.value = text;
+    }
+    element.scrollTop = element.scrollHeight;
+  }
+
+  /**
+   * Show which knowledge base items the draft was based on, below the generate button
+   */
+  function renderKnowledgeBaseUsed(items) {
+    const container = document.querySelector('.reviewllama-generate-container');
+    if (!container) return;
+
+    let list = container.querySelector('.reviewllama-kb-used');
+    if (!list) {
+      list = document.createElement('div');
+      list.className = 'reviewllama-kb-used';
+      container.appendChild(list);
+    }
+
+    if (!items || items.length === 0) {
+      list.textContent = 'No knowledge base items matched';
+      return;
+    }
+
+    list.textContent = 'Knowledge base used: ';
+    items.forEach(item => {
+      const chip = document.createElement('span');
+      chip.className = 'reviewllama-kb-chip';
+      chip.textContent = item.confidence !== undefined
+        ? `${item.problem || item.id} · ${Math.round(item.confidence * 100)}%`
+        : item.problem || item.id;
+      if (item.matchedTerms?.length) {
+        chip.title = `Matched: ${item.matchedTerms.join(', ')}`;
+      }
+      list.appendChild(chip);
+    });
+  }
+
+  /**
+   * Check a reply against the reply policy (repairing it when auto-repair is
+   * on), insert it and list what was fixed or still breaks the policy.
+   * Returns the inserted text.
+   */
+  async function insertReplyText(editor, reviewData, text, earlierRepairs = []) {
+    let result = { text, repairs: [], violations: [] };
+    try {
+      const { policy, language, variables } = await getReplyPolicyContext(reviewData);
+      result = enforceReplyPolicy(text, policy, { language, variables });
+    } catch (error) {
+      debug('Reply policy check failed:', error);
+    }
+
+    insertTextIntoModal(editor, result.text);
+    renderPolicyReport([...(earlierRepairs || []), ...result.repairs], result.violations);
+    return result.text;
+  }
+
+  /**
+   * Show reply policy repairs and violations below the generate button
+   */
+  function renderPolicyReport(repairs, violations) {
+    const container = document.querySelector('.reviewllama-generate-container');
+    if (!container) return;
+
+    container.querySelector('.reviewllama-policy')?.remove();
+    if (repairs.length === 0 && violations.length === 0) return;
+
+    const report = document.createElement('div');
+    report.className = `reviewllama-policy ${violations.length > 0 ? 'violation' : 'repaired'}`;
+    report.textContent = violations.length > 0
+      ? `Reply policy: ${violations.join('; ')}`
+      : `Reply policy fixes: ${repairs.join('; ')}`;
+    if (violations.length > 0 && repairs.length > 0) {
+      report.title = `Already fixed: ${repairs.join('; ')}`;
+    }
+    container.appendChild(report);
+  }
+
   /**
    * Insert text into modal contenteditable or textarea
    */
@@ -589,10 +1454,7 @@
       document.execCommand('selectAll', false, null);
       document.execCommand('delete', false, null);
 
-      // Insert text character by character
-      for (let char of text) {
-        document.execCommand('insertText', false, char);
-      }
+      document.execCommand('insertText', false, text);
 
       // Trigger Angular's change detection
       element.dispatchEvent(new Event('input', { bubbles: true }));
@@ -650,17 +1512,126 @@
   }
 
   /**
-   * Handle messages from popup
+   * Plain review object for extension pages (no DOM element)
+   */
+  function serializeReview(review) {
+    const { element, ...data } = review;
+    return data;
+  }
+
+  /**
+   * All tracked reviews with their knowledge base matches
+   */
+  async function getReviewsSnapshot() {
+    const reviews = Array.from(state.reviews.values());
+    return Promise.all(reviews.map(async review => ({
+      ...serializeReview(review),
+      kbMatches: (await matchKnowledgeBase(review)).map(({ id, confidence }) => ({ id, confidence }))
+    })));
+  }
+
+  /**
+   * Scroll a review into view and highlight it briefly
+   */
+  function focusReview(review) {
+    review.element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    review.element.classList.add('reviewllama-focused');
+    setTimeout(() => review.element.classList.remove('reviewllama-focused'), 2000);
+  }
+
+  /**
+   * Open the ASC reply (or edit) modal for a review
+   */
+  function openReplyModal(review) {
+    const link = review.element.querySelector(CONFIG.SELECTORS.replyLink) ||
+                 review.element.querySelector(CONFIG.SELECTORS.editLink);
+    if (!link) {
+      throw new Error('This review has no Reply link');
+    }
+    focusReview(review);
+    link.click();
+  }
+
+  /**
+   * Handle inbox actions that target a single review
+   */
+  async function handleReviewAction(type, reviewId, text) {
+    const review = state.reviews.get(reviewId);
+    if (!review || !review.element?.isConnected) {
+      throw new Error('Review is no longer on the page');
+    }
+
+    switch (type) {
+      case 'FOCUS_REVIEW':
+        focusReview(review);
+        return;
+
+      case 'OPEN_REPLY':
+        openReplyModal(review);
+        return;
+
+      case 'ACCEPT_DRAFT': {
+        const editor = findModalEditor();
+        if (!editor) throw new Error('Open the Reply modal first');
+        if (!review.generatedResponse) throw new Error('No draft generated for this review yet');
+        review.generatedResponse = await insertReplyText(editor, review, review.generatedResponse);
+        return;
+      }
+
+      case 'INSERT_DRAFT':
+        // autoFillResponse picks the text up once the modal opens
+        review.pendingDraftText = text;
+        openReplyModal(review);
+        return;
+
+      case 'REGENERATE_DRAFT': {
+        const editor = findModalEditor();
+        if (!editor) throw new Error('Open the Reply modal first');
+        await generateAIResponse(review, editor);
+        return;
+      }
+    }
+  }
+
+  /**
+   * Handle messages from popup and side panel
    */
   chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-    if (request.type === 'GET_STATS') {
-      sendResponse({
-        success: true,
-        data: {
-          total: state.totalReviews,
-          unanswered: state.unansweredReviews
-        }
-      });
+    switch (request.type) {
+      case 'GET_STATS':
+        sendResponse({
+          success: true,
+          data: {
+            total: state.totalReviews,
+            unanswered: state.unansweredReviews
+          }
+        });
+        break;
+
+      case 'BUDGET_ALERT':
+        showStatus(request.data.message, request.data.level === 'exceeded' ? 'error' : 'info');
+        break;
+
+      case 'ANALYSIS_PROGRESS':
+        state.analysisProgress = request.data;
+        renderAnalysisProgress();
+        break;
+
+      case 'GET_REVIEWS':
+        getReviewsSnapshot()
+          .then(reviews => sendResponse({ success: true, data: { reviews, url: window.location.href } }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+
+      case 'FOCUS_REVIEW':
+      case 'OPEN_REPLY':
+      case 'ACCEPT_DRAFT':
+      case 'REGENERATE_DRAFT':
+      case 'INSERT_DRAFT':
+        handleReviewAction(request.type, request.data.reviewId, request.data.text)
+          .then(() => sendResponse({ success: true }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
     }
     return false;
   });
@@ -668,15 +1639,33 @@
   /**
    * Initialize the extension
    */
-  function initialize() {
+  async function initialize() {
     debug('Initializing Reviewllama extension');
 
-    // Initial scan
+    await watchBehaviorSettings();
+
+    // Initial scan, once reviews have their ASC IDs so they are not analyzed twice
+    await waitForBridgeRecords();
     scanReviews();
 
     // Set up observers and interceptors
     setupObserver();
     interceptReplyButtons();
+    interceptReplySubmit();
+
+    // The page bridge found ASC review IDs, so rescan to pick them up
+    document.addEventListener('reviewllama:records-updated', () => {
+      debug('Review records updated by page bridge, rescanning...');
+      scanReviews();
+    });
+
+    // Drop the cached knowledge base when it is edited in the options page
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'local' && changes[KNOWLEDGE_BASE_CONFIG.STORAGE_KEY]) {
+        debug('Knowledge base changed, reloading on next match');
+        state.knowledgeBase = null;
+      }
+    });
 
     // Re-scan periodically to catch any missed updates
     setInterval(() => {
@@ -688,6 +1677,27 @@
     }, 5000);
   }
 
+  /**
+   * Resolve once the page bridge has tagged reviews with ASC IDs, or after
+   * BRIDGE_WAIT_MS when it cannot find them
+   */
+  function waitForBridgeRecords() {
+    if (document.querySelector('[data-reviewllama-asc-id]')) {
+      return Promise.resolve();
+    }
+
+    return new Promise(resolve => {
+      const timer = setTimeout(done, CONFIG.BRIDGE_WAIT_MS);
+      document.addEventListener('reviewllama:records-updated', done, { once: true });
+
+      function done() {
+        clearTimeout(timer);
+        document.removeEventListener('reviewllama:records-updated', done);
+        resolve();
+      }
+    });
+  }
+
   /**
    * Wait for page to be ready
    */
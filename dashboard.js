@@ -0,0 +1,246 @@
+/**
+ * Reviewllama Analytics Script
+ * Charts of stored reviews: rating and sentiment trends, categories,
+ * topics and reply times
+ */
+
+document.addEventListener('DOMContentLoaded', function() {
+  // Elements
+  const appFilter = document.getElementById('appFilter');
+  const languageFilter = document.getElementById('languageFilter');
+  const versionFilter = document.getElementById('versionFilter');
+  const periodFilter = document.getElementById('periodFilter');
+  const bucketFilter = document.getElementById('bucketFilter');
+  const emptyDiv = document.getElementById('empty');
+  const dashboardDiv = document.getElementById('dashboard');
+
+  const SENTIMENT_COLORS = {
+    positive: '#34C759',
+    neutral: '#C7C7CC',
+    negative: '#FF3B30'
+  };
+  const CHART = { WIDTH: 720, HEIGHT: 180, PADDING: 28 };
+
+  let loadId = 0;
+
+  // Event listeners
+  [appFilter, languageFilter, versionFilter, periodFilter, bucketFilter]
+    .forEach(filter => filter.addEventListener('change', load));
+
+  loadFacets().then(load);
+
+  function sendMessage(type, data) {
+    return new Promise(resolve => chrome.runtime.sendMessage({ type, data }, resolve));
+  }
+
+  function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text ?? '';
+    return div.innerHTML;
+  }
+
+  function addOptions(select, options) {
+    options.forEach(({ value, label }) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      select.appendChild(option);
+    });
+  }
+
+  /**
+   * Fill the app, language and version filters from the stored reviews
+   */
+  async function loadFacets() {
+    const response = await sendMessage('GET_REVIEW_FACETS');
+    if (!response?.success) return;
+
+    const facets = response.data;
+    addOptions(appFilter, facets.apps.filter(app => app.appId).map(app => ({
+      value: app.appId,
+      label: app.appName || app.appId
+    })));
+    addOptions(languageFilter, facets.languages.map(language => ({ value: language, label: languageName(language) })));
+    addOptions(versionFilter, facets.versions.map(version => ({ value: version, label: version })));
+  }
+
+  function getFilters() {
+    const days = Number(periodFilter.value);
+    return {
+      appId: appFilter.value,
+      language: languageFilter.value,
+      appVersion: versionFilter.value,
+      from: days ? new Date(Date.now() - days * 86400000).toISOString().slice(0, 10) : '',
+      bucket: bucketFilter.value
+    };
+  }
+
+  async function load() {
+    const id = ++loadId;
+    const response = await sendMessage('GET_REVIEW_ANALYTICS', getFilters());
+    if (id !== loadId) return;
+
+    const analytics = response?.success ? response.data : null;
+    const hasData = analytics && analytics.total > 0;
+    emptyDiv.style.display = hasData ? 'none' : 'block';
+    dashboardDiv.style.display = hasData ? 'block' : 'none';
+    if (hasData) {
+      render(analytics);
+    }
+  }
+
+  function formatPercent(value) {
+    return value === null ? '-' : `${Math.round(value * 100)}%`;
+  }
+
+  function formatHours(hours) {
+    if (hours === null) return '-';
+    if (hours < 1) return `${Math.round(hours * 60)} min`;
+    if (hours < 48) return `${Math.round(hours)} h`;
+    return `${Math.round(hours / 24)} days`;
+  }
+
+  function formatPeriod(period) {
+    const date = new Date(`${period}T00:00:00Z`);
+    return bucketFilter.value === 'month'
+      ? date.toLocaleDateString(undefined, { month: 'short', year: '2-digit', timeZone: 'UTC' })
+      : date.toLocaleDateString(undefined, { month: 'short', day: 'numeric', timeZone: 'UTC' });
+  }
+
+  /**
+   * x position of the i-th of n points or bars
+   */
+  function chartX(index, count) {
+    const inner = CHART.WIDTH - CHART.PADDING * 2;
+    return CHART.PADDING + (count === 1 ? inner / 2 : (inner * index) / (count - 1));
+  }
+
+  function chartY(value, min, max) {
+    const inner = CHART.HEIGHT - CHART.PADDING * 2;
+    return CHART.HEIGHT - CHART.PADDING - ((value - min) / (max - min)) * inner;
+  }
+
+  /**
+   * Labels under the x axis, thinned out so they do not overlap
+   */
+  function periodLabels(trend, xOf) {
+    const step = Math.ceil(trend.length / 12);
+    return trend
+      .map((entry, index) => index % step === 0
+        ? `<text x="${xOf(index)}" y="${CHART.HEIGHT - 8}" text-anchor="middle">${escapeHtml(formatPeriod(entry.period))}</text>`
+        : '')
+      .join('');
+  }
+
+  /**
+   * Line chart of the average rating per period, on a 1-5 scale
+   */
+  function renderRatingChart(trend) {
+    const points = trend
+      .map((entry, index) => entry.averageRating === null ? null : {
+        x: chartX(index, trend.length),
+        y: chartY(entry.averageRating, 1, 5),
+        entry
+      })
+      .filter(Boolean);
+
+    const grid = [1, 2, 3, 4, 5].map(value => `
+      <line x1="${CHART.PADDING}" x2="${CHART.WIDTH - CHART.PADDING}" y1="${chartY(value, 1, 5)}" y2="${chartY(value, 1, 5)}" stroke="#f2f2f7" />
+      <text x="${CHART.PADDING - 8}" y="${chartY(value, 1, 5) + 3}" text-anchor="end">${value}★</text>
+    `).join('');
+    const line = points.length > 1
+      ? `<polyline fill="none" stroke="#FF9500" stroke-width="2" points="${points.map(p => `${p.x},${p.y}`).join(' ')}" />`
+      : '';
+    const dots = points.map(p => `
+      <circle cx="${p.x}" cy="${p.y}" r="3" fill="#FF9500">
+        <title>${escapeHtml(formatPeriod(p.entry.period))}: ${p.entry.averageRating.toFixed(2)}★ from ${p.entry.count} reviews</title>
+      </circle>
+    `).join('');
+
+    document.getElementById('ratingChart').innerHTML = `
+      <svg viewBox="0 0 ${CHART.WIDTH} ${CHART.HEIGHT}">
+        ${grid}${line}${dots}${periodLabels(trend, index => chartX(index, trend.length))}
+      </svg>
+    `;
+  }
+
+  /**
+   * Stacked bars of analyzed reviews per sentiment and period
+   */
+  function renderSentimentChart(trend) {
+    const sentiments = Object.keys(SENTIMENT_COLORS);
+    const max = Math.max(1, ...trend.map(entry => sentiments.reduce((sum, name) => sum + entry[name], 0)));
+    const inner = CHART.WIDTH - CHART.PADDING * 2;
+    const slot = inner / trend.length;
+    const barWidth = Math.max(2, Math.min(32, slot * 0.7));
+    const xOf = index => CHART.PADDING + slot * index + slot / 2;
+
+    const bars = trend.map((entry, index) => {
+      let top = CHART.HEIGHT - CHART.PADDING;
+      return sentiments.map(name => {
+        const height = (entry[name] / max) * (CHART.HEIGHT - CHART.PADDING * 2);
+        top -= height;
+        return height > 0 ? `
+          <rect x="${xOf(index) - barWidth / 2}" y="${top}" width="${barWidth}" height="${height}" fill="${SENTIMENT_COLORS[name]}">
+            <title>${escapeHtml(formatPeriod(entry.period))}: ${entry[name]} ${name}</title>
+          </rect>
+        ` : '';
+      }).join('');
+    }).join('');
+
+    const legend = sentiments.map(name =>
+      `<span><span class="swatch" style="background: ${SENTIMENT_COLORS[name]}"></span>${name}</span>`
+    ).join('');
+
+    document.getElementById('sentimentChart').innerHTML = `
+      <svg viewBox="0 0 ${CHART.WIDTH} ${CHART.HEIGHT}">
+        <text x="${CHART.PADDING - 8}" y="${CHART.PADDING + 3}" text-anchor="end">${max}</text>
+        <text x="${CHART.PADDING - 8}" y="${CHART.HEIGHT - CHART.PADDING + 3}" text-anchor="end">0</text>
+        ${bars}${periodLabels(trend, xOf)}
+      </svg>
+      <div class="legend">${legend}</div>
+    `;
+  }
+
+  /**
+   * Horizontal bars for `[{ name, count }]`, as a share of `total`
+   */
+  function renderBars(containerId, items, total, emptyText) {
+    const container = document.getElementById(containerId);
+    if (items.length === 0) {
+      container.innerHTML = `<div class="muted">${escapeHtml(emptyText)}</div>`;
+      return;
+    }
+
+    const max = Math.max(...items.map(item => item.count));
+    container.innerHTML = items.map(item => `
+      <div class="bar-row" title="${Math.round((item.count / total) * 100)}% of ${total}">
+        <span class="bar-label">${escapeHtml(item.label || item.name)}</span>
+        <div class="bar-track"><div class="bar-fill" style="width: ${(item.count / max) * 100}%"></div></div>
+        <span class="bar-count">${item.count}</span>
+      </div>
+    `).join('');
+  }
+
+  function render(analytics) {
+    document.getElementById('totalStat').textContent = analytics.total;
+    document.getElementById('ratingStat').textContent =
+      analytics.averageRating === null ? '-' : `${analytics.averageRating.toFixed(2)}★`;
+    document.getElementById('answeredStat').textContent = formatPercent(analytics.answeredRate);
+    document.getElementById('replyTimeStat').textContent = formatHours(analytics.medianReplyHours);
+    document.getElementById('replyTimeStat').title = `From ${analytics.timedReplies} replies with known dates`;
+    document.getElementById('analyzedStat').textContent = `${analytics.analyzed}`;
+
+    renderRatingChart(analytics.trend);
+    renderSentimentChart(analytics.trend);
+
+    const rated = Object.values(analytics.ratingDistribution).reduce((sum, count) => sum + count, 0);
+    renderBars('ratingBars', [5, 4, 3, 2, 1].map(rating => ({
+      name: String(rating),
+      label: '★'.repeat(rating),
+      count: analytics.ratingDistribution[rating]
+    })), rated, 'No ratings');
+    renderBars('categoryBars', analytics.categories, analytics.analyzed, 'No analyzed reviews');
+    renderBars('topicBars', analytics.topics, analytics.analyzed, 'No topics yet');
+  }
+});
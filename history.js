@@ -0,0 +1,203 @@
+/**
+ * Reviewllama Reply History Script
+ * Browse and export the audit log of generated, edited and posted replies
+ */
+
+document.addEventListener('DOMContentLoaded', function() {
+  // Elements
+  const searchInput = document.getElementById('search');
+  const typeFilter = document.getElementById('typeFilter');
+  const exportJsonBtn = document.getElementById('exportJsonBtn');
+  const exportCsvBtn = document.getElementById('exportCsvBtn');
+  const entriesDiv = document.getElementById('entries');
+  const emptyDiv = document.getElementById('empty');
+
+  let history = [];
+
+  // Event listeners
+  searchInput.addEventListener('input', render);
+  typeFilter.addEventListener('change', render);
+  exportJsonBtn.addEventListener('click', exportJson);
+  exportCsvBtn.addEventListener('click', exportCsv);
+
+  entriesDiv.addEventListener('click', (e) => {
+    const header = e.target.closest('.entry-header');
+    if (header) {
+      header.parentElement.classList.toggle('open');
+    }
+  });
+
+  // Prompts are stored apart from the log and loaded when first opened
+  entriesDiv.addEventListener('toggle', (e) => {
+    const details = e.target;
+    if (!details.open || !details.dataset.promptId || details.dataset.loaded) return;
+    details.dataset.loaded = 'true';
+
+    const pre = details.querySelector('pre');
+    chrome.runtime.sendMessage({
+      type: 'GET_HISTORY_PROMPT',
+      data: { promptId: Number(details.dataset.promptId) }
+    }, (response) => {
+      pre.textContent = response?.success ? response.data || '(prompt not kept)' : `Error: ${response?.error || 'no response'}`;
+    });
+  }, true);
+
+  loadHistory();
+
+  /**
+   * Load history from the background worker
+   */
+  function loadHistory() {
+    chrome.runtime.sendMessage({ type: 'GET_HISTORY' }, (response) => {
+      history = response?.success ? response.data : [];
+      render();
+    });
+  }
+
+  function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text || '';
+    return div.innerHTML;
+  }
+
+  function formatTime(timestamp) {
+    return new Date(timestamp).toLocaleString();
+  }
+
+  /**
+   * Entries matching the search and filter
+   */
+  function getVisibleEntries() {
+    const query = searchInput.value.trim().toLowerCase();
+
+    return history.filter(entry => {
+      const hasPosted = entry.events.some(event => event.type === 'posted');
+      if (typeFilter.value === 'posted' && !hasPosted) return false;
+      if (typeFilter.value === 'generated' && hasPosted) return false;
+
+      if (!query) return true;
+      const haystack = [
+        entry.review.title,
+        entry.review.content,
+        entry.review.nickname,
+        ...entry.events.map(event => event.text)
+      ].join(' ').toLowerCase();
+      return haystack.includes(query);
+    });
+  }
+
+  /**
+   * Render a posted reply as a word diff against the AI draft
+   */
+  function renderDiff(draftText, postedText) {
+    return diffWords(draftText, postedText).map(op => {
+      const text = escapeHtml(op.text);
+      if (op.type === 'insert') return `<ins>${text}</ins>`;
+      if (op.type === 'delete') return `<del>${text}</del>`;
+      return text;
+    }).join('');
+  }
+
+  function renderEvent(event) {
+    const details = [
+      event.user ? `by ${escapeHtml(event.user)}` : '',
+      event.source ? escapeHtml(event.source) : '',
+      event.model ? escapeHtml(event.model) : '',
+      event.tokens ? `${event.tokens} tokens` : '',
+      event.kbItems?.length ? `KB: ${escapeHtml(event.kbItems.join(', '))}` : '',
+      event.similarity !== null && event.similarity !== undefined
+        ? `${Math.round(event.similarity * 100)}% of AI draft kept` : ''
+    ].filter(Boolean).join(' · ');
+
+    const body = event.type === 'posted' && event.draftText
+      ? renderDiff(event.draftText, event.text)
+      : escapeHtml(event.text);
+
+    return `
+      <div class="event">
+        <div class="event-head">
+          <span class="event-type ${escapeHtml(event.type)}">${escapeHtml(event.type)}</span>
+          ${formatTime(event.at)}${details ? ` · ${details}` : ''}
+        </div>
+        <div class="event-text">${body}</div>
+        ${event.promptId !== undefined ? `<details data-prompt-id="${event.promptId}"><summary>Prompt</summary><pre>Loading...</pre></details>` : ''}
+      </div>
+    `;
+  }
+
+  /**
+   * Render history entries
+   */
+  function render() {
+    const entries = getVisibleEntries();
+    emptyDiv.style.display = entries.length === 0 ? 'block' : 'none';
+
+    entriesDiv.innerHTML = entries.map(entry => {
+      const review = entry.review;
+      return `
+        <div class="entry">
+          <div class="entry-header">
+            <span class="stars">${'★'.repeat(review.rating || 0)}</span>
+            <span class="entry-title">${escapeHtml(review.title || '(no title)')}</span>
+            <span class="entry-meta">${escapeHtml(review.nickname)} · ${entry.events.length} events · ${formatTime(entry.updatedAt)}</span>
+          </div>
+          <div class="entry-review">${escapeHtml(review.content)}</div>
+          <div class="events">${entry.events.slice().reverse().map(renderEvent).join('')}</div>
+        </div>
+      `;
+    }).join('');
+  }
+
+  /**
+   * Export the visible entries with their prompts
+   */
+  function exportJson() {
+    const reviewIds = new Set(getVisibleEntries().map(entry => entry.reviewId));
+    chrome.runtime.sendMessage({ type: 'GET_HISTORY', data: { withPrompts: true } }, (response) => {
+      if (!response?.success) return;
+      const content = JSON.stringify(response.data.filter(entry => reviewIds.has(entry.reviewId)), null, 2);
+      downloadFile(`reviewllama-history-${exportDateStamp()}.json`, content, 'application/json');
+    });
+  }
+
+  /**
+   * One CSV row per history event
+   */
+  function exportCsv() {
+    const rows = getVisibleEntries().flatMap(entry => entry.events.map(event => ({
+      reviewId: entry.reviewId,
+      title: entry.review.title,
+      rating: entry.review.rating,
+      nickname: entry.review.nickname,
+      event: event.type,
+      at: new Date(event.at).toISOString(),
+      user: event.user,
+      source: event.source,
+      model: event.model,
+      tokens: event.tokens,
+      kbItems: event.kbItems,
+      text: event.text,
+      draftText: event.draftText,
+      similarity: event.similarity
+    })));
+
+    const columns = [
+      { key: 'reviewId', label: 'Review ID' },
+      { key: 'title', label: 'Title' },
+      { key: 'rating', label: 'Rating' },
+      { key: 'nickname', label: 'Nickname' },
+      { key: 'event', label: 'Event' },
+      { key: 'at', label: 'Time' },
+      { key: 'user', label: 'User' },
+      { key: 'source', label: 'Source' },
+      { key: 'model', label: 'Model' },
+      { key: 'tokens', label: 'Tokens' },
+      { key: 'kbItems', label: 'KB Items' },
+      { key: 'text', label: 'Text' },
+      { key: 'draftText', label: 'AI Draft' },
+      { key: 'similarity', label: 'Similarity' }
+    ];
+
+    downloadFile(`reviewllama-history-${exportDateStamp()}.csv`, toCsv(rows, columns), 'text/csv');
+  }
+});
@@ -0,0 +1,130 @@
+/**
+ * Reviewllama Analysis Cache
+ * Per-review analysis results in chrome.storage.local, keyed by review ID.
+ * Only the background worker writes it, so updates from several tabs
+ * are serialized through a single promise chain.
+ */
+
+const ANALYSIS_CACHE_CONFIG = {
+  STORAGE_KEY: 'analysisCache',
+  MAX_ENTRIES: 5000,
+  MAX_AGE_MS: 30 * 24 * 60 * 60 * 1000,
+  // Last-seen times of cache hits are only rewritten once they are this old
+  SEEN_AT_REFRESH_MS: 24 * 60 * 60 * 1000
+};
+
+let analysisCacheLock = Promise.resolve();
+
+/**
+ * Run a read-modify-write on the cache without interleaving with others
+ */
+function withAnalysisCache(mutator) {
+  const run = analysisCacheLock.then(async () => {
+    const key = ANALYSIS_CACHE_CONFIG.STORAGE_KEY;
+    const result = await chrome.storage.local.get(key);
+    const cache = result[key] || {};
+
+    const { value, changed } = await mutator(cache);
+    if (changed) {
+      evictAnalysisCache(cache);
+      await chrome.storage.local.set({ [key]: cache });
+    }
+    return value;
+  });
+
+  analysisCacheLock = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Drop expired entries, then the least recently seen beyond MAX_ENTRIES
+ */
+function evictAnalysisCache(cache) {
+  const now = Date.now();
+
+  Object.keys(cache).forEach(id => {
+    if (now - cache[id].analyzedAt > ANALYSIS_CACHE_CONFIG.MAX_AGE_MS) {
+      delete cache[id];
+    }
+  });
+
+  const ids = Object.keys(cache);
+  if (ids.length > ANALYSIS_CACHE_CONFIG.MAX_ENTRIES) {
+    ids
+      .sort((a, b) => cache[a].seenAt - cache[b].seenAt)
+      .slice(0, ids.length - ANALYSIS_CACHE_CONFIG.MAX_ENTRIES)
+      .forEach(id => delete cache[id]);
+  }
+}
+
+/**
+ * Look up cached analyses. Returns `{ hits: [analysis], missingIds: [id] }`.
+ * The cache is only written when a hit's last-seen time has gone stale.
+ */
+function getCachedAnalyses(ids) {
+  return withAnalysisCache(cache => {
+    const now = Date.now();
+    const hits = [];
+    const missingIds = [];
+    let refreshed = 0;
+
+    ids.forEach(id => {
+      const entry = cache[id];
+      if (entry && now - entry.analyzedAt <= ANALYSIS_CACHE_CONFIG.MAX_AGE_MS) {
+        if (now - entry.seenAt > ANALYSIS_CACHE_CONFIG.SEEN_AT_REFRESH_MS) {
+          entry.seenAt = now;
+          refreshed++;
+        }
+        hits.push({ id, ...entry.analysis });
+      } else {
+        missingIds.push(id);
+      }
+    });
+
+    return { value: { hits, missingIds }, changed: refreshed > 0 };
+  });
+}
+
+/**
+ * Store fresh analyses (objects with an `id` field)
+ */
+function storeAnalyses(analyses) {
+  return withAnalysisCache(cache => {
+    const now = Date.now();
+
+    analyses.forEach(({ id, ...analysis }) => {
+      cache[id] = { analysis, analyzedAt: now, seenAt: now };
+    });
+
+    return { value: analyses.length, changed: analyses.length > 0 };
+  });
+}
+
+/**
+ * Move analyses to new review IDs (`[{ from, to }]`), keeping any entry
+ * already stored under the new ID
+ */
+function renameCachedAnalyses(renames) {
+  return withAnalysisCache(cache => {
+    let renamed = 0;
+    renames.forEach(({ from, to }) => {
+      if (cache[from]) {
+        cache[to] = cache[to] || cache[from];
+        delete cache[from];
+        renamed++;
+      }
+    });
+    return { value: renamed, changed: renamed > 0 };
+  });
+}
+
+/**
+ * Remove the per-pathname cache blobs written by earlier versions
+ */
+async function removeLegacyAnalysisCache() {
+  const all = await chrome.storage.local.get(null);
+  const legacyKeys = Object.keys(all).filter(key => key.startsWith('analysis_cache_'));
+  if (legacyKeys.length > 0) {
+    await chrome.storage.local.remove(legacyKeys);
+  }
+}
@@ -0,0 +1,413 @@
+/**
+ * Reviewllama API Client
+ * Retry with backoff, request timeouts, a shared concurrency queue and
+ * typed errors for all outgoing LLM requests from the background worker.
+ */
+
+const API_CLIENT_CONFIG = {
+  MAX_RETRIES: 3,
+  BASE_DELAY_MS: 1000,
+  MAX_DELAY_MS: 30000,
+  TIMEOUT_MS: 60000,
+  MAX_CONCURRENT: 2
+};
+
+/**
+ * Error types surfaced to the content script and popup.
+ * Retryable types are retried automatically before reaching callers.
+ */
+const LLM_ERROR_TYPES = {
+  AUTH: 'auth',
+  QUOTA: 'quota',
+  RATE_LIMIT: 'rate_limit',
+  TIMEOUT: 'timeout',
+  NETWORK: 'network',
+  SERVER: 'server',
+  BAD_REQUEST: 'bad_request',
+  MALFORMED_JSON: 'malformed_json',
+  NOT_CONFIGURED: 'not_configured',
+  LOCKED: 'locked',
+  BUDGET: 'budget'
+};
+
+const RETRYABLE_ERROR_TYPES = [
+  LLM_ERROR_TYPES.RATE_LIMIT,
+  LLM_ERROR_TYPES.TIMEOUT,
+  LLM_ERROR_TYPES.NETWORK,
+  LLM_ERROR_TYPES.SERVER
+];
+
+class LLMError extends Error {
+  constructor(type, message, details = {}) {
+    super(message);
+    this.name = 'LLMError';
+    this.type = type;
+    this.status = details.status || null;
+    this.retryAfter = details.retryAfter || null;
+  }
+
+  get retryable() {
+    return RETRYABLE_ERROR_TYPES.includes(this.type);
+  }
+}
+
+/**
+ * Map an HTTP error response to a typed LLMError
+ */
+function classifyHttpError(response, body, label) {
+  const status = response.status;
+  const message = body?.error?.message || body?.message || response.statusText || `HTTP ${status}`;
+  const code = body?.error?.code || body?.error?.type || '';
+  const retryAfter = parseRetryAfter(response.headers);
+  const fullMessage = `${label} API error: ${message}`;
+
+  if (status === 401 || status === 403) {
+    return new LLMError(LLM_ERROR_TYPES.AUTH, fullMessage, { status });
+  }
+  if (status === 402 || code === 'insufficient_quota' || /credit balance|quota/i.test(message)) {
+    return new LLMError(LLM_ERROR_TYPES.QUOTA, fullMessage, { status });
+  }
+  if (status === 429) {
+    return new LLMError(LLM_ERROR_TYPES.RATE_LIMIT, fullMessage, { status, retryAfter });
+  }
+  if (status === 408) {
+    return new LLMError(LLM_ERROR_TYPES.TIMEOUT, fullMessage, { status, retryAfter });
+  }
+  if (status >= 500) {
+    return new LLMError(LLM_ERROR_TYPES.SERVER, fullMessage, { status, retryAfter });
+  }
+  return new LLMError(LLM_ERROR_TYPES.BAD_REQUEST, fullMessage, { status });
+}
+
+/**
+ * Read Retry-After (seconds or HTTP date) or retry-after-ms, in milliseconds
+ */
+function parseRetryAfter(headers) {
+  const retryAfterMs = headers.get('retry-after-ms');
+  if (retryAfterMs && !isNaN(Number(retryAfterMs))) {
+    return Number(retryAfterMs);
+  }
+
+  const retryAfter = headers.get('retry-after');
+  if (!retryAfter) {
+    return null;
+  }
+  if (!isNaN(Number(retryAfter))) {
+    return Number(retryAfter) * 1000;
+  }
+
+  const date = Date.parse(retryAfter);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Exponential backoff with full jitter
+ */
+function getBackoffDelay(attempt) {
+  const ceiling = Math.min(API_CLIENT_CONFIG.MAX_DELAY_MS, API_CLIENT_CONFIG.BASE_DELAY_MS * 2 ** attempt);
+  return Math.floor(Math.random() * ceiling);
+}
+
+/**
+ * Wait `ms`, or reject with the abort reason as soon as `signal` aborts
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Single fetch attempt with a timeout. Resolves to the parsed JSON body or
+ * throws an LLMError.
+ */
+async function fetchJsonOnce(url, init, label, timeoutMs) {
+  // Stopped while waiting in the queue
+  init.signal?.throwIfAborted();
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+  // Propagate aborts from the caller's signal (e.g. user pressed Stop)
+  const onCallerAbort = () => controller.abort();
+  init.signal?.addEventListener('abort', onCallerAbort);
+
+  let response;
+  try {
+    response = await fetch(url, { ...init, signal: controller.signal });
+  } catch (error) {
+    if (init.signal?.aborted) {
+      throw error;
+    }
+    if (error.name === 'AbortError') {
+      throw new LLMError(LLM_ERROR_TYPES.TIMEOUT, `${label} API request timed out after ${timeoutMs / 1000}s`);
+    }
+    throw new LLMError(LLM_ERROR_TYPES.NETWORK, `${label} API unreachable: ${error.message}`);
+  } finally {
+    clearTimeout(timer);
+    init.signal?.removeEventListener('abort', onCallerAbort);
+  }
+
+  if (!response.ok) {
+    const body = await response.json().catch(() => null);
+    throw classifyHttpError(response, body, label);
+  }
+
+  try {
+    return await response.json();
+  } catch (error) {
+    throw new LLMError(LLM_ERROR_TYPES.MALFORMED_JSON, `${label} API returned an unreadable response`);
+  }
+}
+
+/**
+ * Call `onEvent({ event, data })` for each server-sent event in a response
+ * body until the stream ends. `onChunk` runs on every network read.
+ */
+async function readServerSentEvents(response, onEvent, onChunk) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const dispatch = block => {
+    let event = 'message';
+    const data = [];
+    block.split(/\r?\n/).forEach(line => {
+      if (line.startsWith('event:')) {
+        event = line.slice(6).trim();
+      } else if (line.startsWith('data:')) {
+        data.push(line.slice(5).replace(/^ /, ''));
+      }
+    });
+    if (data.length > 0) {
+      onEvent({ event, data: data.join('\n') });
+    }
+  };
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    onChunk();
+
+    buffer += decoder.decode(value, { stream: true });
+    const blocks = buffer.split(/\r?\n\r?\n/);
+    buffer = blocks.pop();
+    blocks.forEach(dispatch);
+  }
+
+  buffer += decoder.decode();
+  if (buffer.trim()) {
+    dispatch(buffer);
+  }
+}
+
+/**
+ * Single streaming fetch attempt. The timeout applies to the wait for the
+ * response and then to every gap between chunks. Throws an LLMError; a
+ * caller abort rejects with the AbortError.
+ */
+async function fetchStreamOnce(url, init, label, timeoutMs, onEvent) {
+  // Stopped while waiting in the queue
+  init.signal?.throwIfAborted();
+
+  const controller = new AbortController();
+  let timer = null;
+  let timedOut = false;
+  const armTimeout = () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeoutMs);
+  };
+
+  const onCallerAbort = () => controller.abort();
+  init.signal?.addEventListener('abort', onCallerAbort);
+  armTimeout();
+
+  try {
+    let response;
+    try {
+      response = await fetch(url, { ...init, signal: controller.signal });
+    } catch (error) {
+      if (init.signal?.aborted) {
+        throw error;
+      }
+      if (timedOut) {
+        throw new LLMError(LLM_ERROR_TYPES.TIMEOUT, `${label} API request timed out after ${timeoutMs / 1000}s`);
+      }
+      throw new LLMError(LLM_ERROR_TYPES.NETWORK, `${label} API unreachable: ${error.message}`);
+    }
+
+    if (!response.ok) {
+      const body = await response.json().catch(() => null);
+      throw classifyHttpError(response, body, label);
+    }
+
+    try {
+      await readServerSentEvents(response, onEvent, armTimeout);
+    } catch (error) {
+      if (init.signal?.aborted || error instanceof LLMError) {
+        throw error;
+      }
+      if (timedOut) {
+        throw new LLMError(LLM_ERROR_TYPES.TIMEOUT, `${label} API stream stalled for ${timeoutMs / 1000}s`);
+      }
+      throw new LLMError(LLM_ERROR_TYPES.NETWORK, `${label} API stream interrupted: ${error.message}`);
+    }
+  } finally {
+    clearTimeout(timer);
+    init.signal?.removeEventListener('abort', onCallerAbort);
+  }
+}
+
+/**
+ * Stream server-sent events with the same retries as fetchJsonWithRetry,
+ * as long as no event has been delivered yet; once text has reached the
+ * caller a failure is final.
+ */
+async function fetchStreamWithRetry(url, init, onEvent, options = {}) {
+  const queue = options.queue || llmRequestQueue;
+  const label = options.label || 'LLM';
+  const maxRetries = options.maxRetries ?? API_CLIENT_CONFIG.MAX_RETRIES;
+  const timeoutMs = options.timeoutMs || API_CLIENT_CONFIG.TIMEOUT_MS;
+  let delivered = false;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await queue.run(() => fetchStreamOnce(url, init, label, timeoutMs, event => {
+        delivered = true;
+        onEvent(event);
+      }));
+    } catch (error) {
+      if (delivered || !(error instanceof LLMError) || !error.retryable || attempt >= maxRetries) {
+        throw error;
+      }
+
+      const delay = error.retryAfter ?? getBackoffDelay(attempt);
+      if (delay > API_CLIENT_CONFIG.MAX_DELAY_MS) {
+        throw error;
+      }
+      if (error.type === LLM_ERROR_TYPES.RATE_LIMIT) {
+        queue.pauseFor(delay);
+      }
+
+      console.warn(`${label} stream failed (${error.type}), retry ${attempt + 1}/${maxRetries} in ${delay}ms`);
+      await sleep(delay, init.signal);
+    }
+  }
+}
+
+/**
+ * Fetch JSON with retries on rate limits, timeouts, network and server errors.
+ * Each attempt takes a slot of `options.queue` (the shared LLM queue by
+ * default) and gives it back before the backoff, so a retrying request does
+ * not hold up others. Rate limits also pause the queue so other tabs back
+ * off too. Aborting `init.signal` ends the backoff at once.
+ */
+async function fetchJsonWithRetry(url, init, options = {}) {
+  const queue = options.queue || llmRequestQueue;
+  const label = options.label || 'LLM';
+  const maxRetries = options.maxRetries ?? API_CLIENT_CONFIG.MAX_RETRIES;
+  const timeoutMs = options.timeoutMs || API_CLIENT_CONFIG.TIMEOUT_MS;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await queue.run(() => fetchJsonOnce(url, init, label, timeoutMs));
+    } catch (error) {
+      if (!(error instanceof LLMError) || !error.retryable || attempt >= maxRetries) {
+        throw error;
+      }
+
+      const delay = error.retryAfter ?? getBackoffDelay(attempt);
+      if (delay > API_CLIENT_CONFIG.MAX_DELAY_MS) {
+        throw error;
+      }
+      if (error.type === LLM_ERROR_TYPES.RATE_LIMIT) {
+        queue.pauseFor(delay);
+      }
+
+      console.warn(`${label} request failed (${error.type}), retry ${attempt + 1}/${maxRetries} in ${delay}ms`);
+      await sleep(delay, init.signal);
+    }
+  }
+}
+
+/**
+ * FIFO queue limiting concurrent LLM requests. The service worker is shared
+ * by every tab, so one queue instance covers all of them.
+ */
+function createRequestQueue(maxConcurrent) {
+  const waiting = [];
+  let active = 0;
+  let pausedUntil = 0;
+  let resumeTimer = null;
+
+  function next() {
+    const pauseRemaining = pausedUntil - Date.now();
+    if (pauseRemaining > 0) {
+      if (!resumeTimer) {
+        resumeTimer = setTimeout(() => {
+          resumeTimer = null;
+          next();
+        }, pauseRemaining);
+      }
+      return;
+    }
+
+    while (active < maxConcurrent && waiting.length > 0) {
+      const { task, resolve, reject } = waiting.shift();
+      active++;
+      Promise.resolve()
+        .then(task)
+        .then(resolve, reject)
+        .finally(() => {
+          active--;
+          next();
+        });
+    }
+  }
+
+  return {
+    run(task) {
+      return new Promise((resolve, reject) => {
+        waiting.push({ task, resolve, reject });
+        next();
+      });
+    },
+
+    pauseFor(ms) {
+      pausedUntil = Math.max(pausedUntil, Date.now() + ms);
+    },
+
+    get size() {
+      return waiting.length + active;
+    }
+  };
+}
+
+const llmRequestQueue = createRequestQueue(API_CLIENT_CONFIG.MAX_CONCURRENT);
+
+/**
+ * Serialize an error for sendResponse so callers can react by type
+ */
+function toErrorResponse(error) {
+  return {
+    success: false,
+    error: error.message,
+    errorType: error.type || 'unknown',
+    retryAfter: error.retryAfter || null
+  };
+}
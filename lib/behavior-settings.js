@@ -0,0 +1,87 @@
+/**
+ * Reviewllama Behavior Settings
+ * Behavior toggles shared by the popup, content script and background, with
+ * per-app overrides keyed by App Store Connect app ID. Listeners get the new
+ * settings as soon as they are saved anywhere.
+ */
+
+const BEHAVIOR_SETTINGS_KEY = 'behaviorSettings';
+
+// Toggles that can be set globally and overridden per app
+const BEHAVIOR_SETTINGS = {
+  autoAnalyze: { label: 'Auto-analyze reviews', description: 'Send new reviews for analysis when the page loads' },
+  autoFill: { label: 'Auto-fill responses', description: 'Fill the reply editor when you click Reply' },
+  autoGenerate: { label: 'Auto-generate on open', description: 'Generate a reply when no draft exists (uses tokens)' },
+  offlineMode: { label: 'Offline mode', description: 'Analyze and draft replies locally; review text is never sent to the AI provider' }
+};
+
+const DEFAULT_BEHAVIOR_SETTINGS = {
+  autoAnalyze: true,
+  autoFill: true,
+  autoGenerate: true,
+  offlineMode: false,
+  // { [appId]: { autoAnalyze?, autoFill?, autoGenerate?, offlineMode? } }; missing keys follow the global value
+  appOverrides: {}
+};
+
+/**
+ * Stored settings merged over the defaults. Older versions kept
+ * `autoAnalyze` and `autoFill` as top-level keys; those are still read.
+ */
+async function getBehaviorSettings() {
+  const result = await chrome.storage.local.get([BEHAVIOR_SETTINGS_KEY, 'autoAnalyze', 'autoFill']);
+  const legacy = {};
+  if (typeof result.autoAnalyze === 'boolean') legacy.autoAnalyze = result.autoAnalyze;
+  if (typeof result.autoFill === 'boolean') legacy.autoFill = result.autoFill;
+
+  return normalizeBehaviorSettings({ ...legacy, ...result[BEHAVIOR_SETTINGS_KEY] });
+}
+
+function normalizeBehaviorSettings(settings) {
+  return {
+    ...DEFAULT_BEHAVIOR_SETTINGS,
+    ...settings,
+    appOverrides: { ...settings?.appOverrides }
+  };
+}
+
+/**
+ * Store settings and drop the legacy top-level keys
+ */
+async function saveBehaviorSettings(settings) {
+  const normalized = normalizeBehaviorSettings(settings);
+
+  // Overrides without any key are noise
+  Object.keys(normalized.appOverrides).forEach(appId => {
+    if (Object.keys(normalized.appOverrides[appId] || {}).length === 0) {
+      delete normalized.appOverrides[appId];
+    }
+  });
+
+  await chrome.storage.local.set({ [BEHAVIOR_SETTINGS_KEY]: normalized });
+  await chrome.storage.local.remove(['autoAnalyze', 'autoFill']);
+  return normalized;
+}
+
+/**
+ * Effective behavior toggles for an app: its overrides over the global values
+ */
+function resolveBehaviorSettings(settings, appId) {
+  const overrides = (appId && settings.appOverrides?.[appId]) || {};
+  const resolved = {};
+  Object.keys(BEHAVIOR_SETTINGS).forEach(name => {
+    resolved[name] = typeof overrides[name] === 'boolean' ? overrides[name] : settings[name] ?? DEFAULT_BEHAVIOR_SETTINGS[name];
+  });
+  return resolved;
+}
+
+/**
+ * Call `callback(settings)` whenever settings are saved
+ */
+function onBehaviorSettingsChanged(callback) {
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes[BEHAVIOR_SETTINGS_KEY]) {
+      callback(normalizeBehaviorSettings(changes[BEHAVIOR_SETTINGS_KEY].newValue));
+    }
+  });
+}
@@ -0,0 +1,158 @@
+/**
+ * Reviewllama Draft Store
+ * Persistent reply drafts with an approval status, keyed by review ID.
+ * Only the background worker writes it; updates are serialized.
+ */
+
+const DRAFT_STATUSES = ['draft', 'approved', 'rejected', 'posted'];
+
+const DRAFT_STORE_KEY = 'drafts';
+
+const DRAFT_STORE_CONFIG = {
+  MAX_ENTRIES: 1000,
+  // Posted and rejected drafts are dropped once untouched this long
+  MAX_FINISHED_AGE_MS: 30 * 24 * 60 * 60 * 1000
+};
+
+let draftStoreLock = Promise.resolve();
+
+/**
+ * Run a read-modify-write on the draft map without interleaving with others
+ */
+function withDrafts(mutator) {
+  const run = draftStoreLock.then(async () => {
+    const result = await chrome.storage.local.get(DRAFT_STORE_KEY);
+    const drafts = result[DRAFT_STORE_KEY] || {};
+
+    const { value, changed } = await mutator(drafts);
+    if (changed) {
+      evictDrafts(drafts);
+      await chrome.storage.local.set({ [DRAFT_STORE_KEY]: drafts });
+    }
+    return value;
+  });
+
+  draftStoreLock = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Drop old posted and rejected drafts, then the least recently updated
+ * beyond MAX_ENTRIES, finished ones first
+ */
+function evictDrafts(drafts) {
+  const now = Date.now();
+  const isFinished = draft => draft.status === 'posted' || draft.status === 'rejected';
+
+  Object.keys(drafts).forEach(id => {
+    if (isFinished(drafts[id]) && now - drafts[id].updatedAt > DRAFT_STORE_CONFIG.MAX_FINISHED_AGE_MS) {
+      delete drafts[id];
+    }
+  });
+
+  const ids = Object.keys(drafts);
+  if (ids.length > DRAFT_STORE_CONFIG.MAX_ENTRIES) {
+    ids
+      .sort((a, b) => isFinished(drafts[b]) - isFinished(drafts[a]) || drafts[a].updatedAt - drafts[b].updatedAt)
+      .slice(0, ids.length - DRAFT_STORE_CONFIG.MAX_ENTRIES)
+      .forEach(id => delete drafts[id]);
+  }
+}
+
+/**
+ * Get drafts, optionally only for the given review IDs
+ */
+function getDrafts(reviewIds = null) {
+  return withDrafts(drafts => {
+    const list = reviewIds
+      ? reviewIds.map(id => drafts[id]).filter(Boolean)
+      : Object.values(drafts);
+    return { value: list, changed: false };
+  });
+}
+
+/**
+ * Create or replace the draft for a review
+ */
+function saveDraft(review, text, extra = {}) {
+  return withDrafts(drafts => {
+    const now = Date.now();
+    const draft = {
+      reviewId: review.id,
+      review: {
+        title: review.title,
+        rating: review.rating,
+        content: review.content,
+        nickname: review.nickname,
+        date: review.date || null,
+        territory: review.territory || null,
+        language: review.language || review.analysis?.language || null
+      },
+      text,
+      status: 'draft',
+      createdAt: drafts[review.id]?.createdAt || now,
+      updatedAt: now,
+      ...extra
+    };
+
+    drafts[review.id] = draft;
+    return { value: draft, changed: true };
+  });
+}
+
+/**
+ * Update text and/or status of an existing draft
+ */
+function updateDraft(reviewId, { text, status }) {
+  return withDrafts(drafts => {
+    const draft = drafts[reviewId];
+    if (!draft) {
+      throw new Error('Draft not found');
+    }
+    if (status !== undefined && !DRAFT_STATUSES.includes(status)) {
+      throw new Error(`Invalid draft status: ${status}`);
+    }
+
+    if (text !== undefined) draft.text = text;
+    if (status !== undefined) draft.status = status;
+    draft.updatedAt = Date.now();
+
+    return { value: draft, changed: true };
+  });
+}
+
+/**
+ * Mark approved drafts as posted once their review has a reply
+ */
+function markDraftsPosted(answeredReviewIds) {
+  return withDrafts(drafts => {
+    let updated = 0;
+    answeredReviewIds.forEach(id => {
+      const draft = drafts[id];
+      if (draft && draft.status === 'approved') {
+        draft.status = 'posted';
+        draft.updatedAt = Date.now();
+        updated++;
+      }
+    });
+    return { value: updated, changed: updated > 0 };
+  });
+}
+
+/**
+ * Move drafts to new review IDs (`[{ from, to }]`), keeping any draft
+ * already stored under the new ID
+ */
+function renameDrafts(renames) {
+  return withDrafts(drafts => {
+    let renamed = 0;
+    renames.forEach(({ from, to }) => {
+      if (drafts[from]) {
+        drafts[to] = drafts[to] || { ...drafts[from], reviewId: to };
+        delete drafts[from];
+        renamed++;
+      }
+    });
+    return { value: renamed, changed: renamed > 0 };
+  });
+}
@@ -0,0 +1,150 @@
+/**
+ * Reviewllama Embedding Cache
+ * Embedding vectors in IndexedDB, one record per model and hash of the
+ * embedded text, so a KB item or review is only embedded again when its
+ * text changes. Only the background worker opens the database; writes are
+ * serialized, and the embedding calls themselves run outside the lock.
+ * Needs review-db.js for idbResult and text-hash.js.
+ */
+
+const EMBEDDING_CACHE_CONFIG = {
+  DB_NAME: 'reviewllama-embeddings',
+  DB_VERSION: 1,
+  STORE: 'embeddings',
+  // chrome.storage.local key used by earlier versions
+  LEGACY_STORAGE_KEY: 'embeddingCache',
+  MAX_ENTRIES: 2000,
+  // Decimal places kept per vector component
+  PRECISION: 4,
+  // Usage times of cache hits are only refreshed once they are this old
+  USED_AT_REFRESH_MS: 24 * 60 * 60 * 1000
+};
+
+let embeddingDbPromise = null;
+let embeddingCacheLock = Promise.resolve();
+
+function openEmbeddingDb() {
+  if (!embeddingDbPromise) {
+    embeddingDbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(EMBEDDING_CACHE_CONFIG.DB_NAME, EMBEDDING_CACHE_CONFIG.DB_VERSION);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(EMBEDDING_CACHE_CONFIG.STORE, { keyPath: 'key' });
+        store.createIndex('usedAt', 'usedAt');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // Let the next call retry after a failed open
+    embeddingDbPromise.catch(() => {
+      embeddingDbPromise = null;
+    });
+  }
+  return embeddingDbPromise;
+}
+
+/**
+ * Run `callback(store)` in one transaction. Read-write transactions are
+ * serialized. Resolves with the callback's value once the transaction has
+ * committed.
+ */
+function withEmbeddingStore(mode, callback) {
+  const runTransaction = async () => {
+    const db = await openEmbeddingDb();
+    const transaction = db.transaction(EMBEDDING_CACHE_CONFIG.STORE, mode);
+    const done = new Promise((resolve, reject) => {
+      transaction.oncomplete = resolve;
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error || new Error('Embedding cache transaction aborted'));
+    });
+
+    const value = await callback(transaction.objectStore(EMBEDDING_CACHE_CONFIG.STORE));
+    await done;
+    return value;
+  };
+
+  if (mode === 'readonly') {
+    return runTransaction();
+  }
+
+  const run = embeddingCacheLock.then(runTransaction);
+  embeddingCacheLock = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Delete the least recently used records beyond MAX_ENTRIES
+ */
+async function evictEmbeddings(store) {
+  let excess = await idbResult(store.count()) - EMBEDDING_CACHE_CONFIG.MAX_ENTRIES;
+  if (excess <= 0) return;
+
+  await new Promise((resolve, reject) => {
+    const request = store.index('usedAt').openCursor();
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor || excess-- <= 0) {
+        resolve();
+        return;
+      }
+      cursor.delete();
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Cache key for a text embedded with a model
+ */
+function embeddingCacheKey(model, text) {
+  return `${model}:${hashText(text)}`;
+}
+
+/**
+ * Get vectors for texts, embedding the ones not cached with `embed(texts)`,
+ * which must resolve to vectors in the same order. Returns vectors in input order.
+ */
+async function getOrCreateEmbeddings(model, texts, embed) {
+  const keys = texts.map(text => embeddingCacheKey(model, text));
+  const records = await withEmbeddingStore('readonly', store =>
+    Promise.all(keys.map(key => idbResult(store.get(key)))));
+
+  const now = Date.now();
+  const vectors = new Map();
+  records.forEach(record => {
+    if (record) vectors.set(record.key, record.vector);
+  });
+
+  // Embed each missing text once, without holding the lock during the call
+  const missing = [...new Map(texts.map((text, i) => [keys[i], text]).filter(([key]) => !vectors.has(key))).entries()];
+  const created = [];
+  if (missing.length > 0) {
+    const factor = 10 ** EMBEDDING_CACHE_CONFIG.PRECISION;
+    const embedded = await embed(missing.map(([, text]) => text));
+    missing.forEach(([key], i) => {
+      const vector = embedded[i].map(value => Math.round(value * factor) / factor);
+      vectors.set(key, vector);
+      created.push({ key, vector, usedAt: now });
+    });
+  }
+
+  // Usage times are only written along with new vectors or once they are stale, to keep hits cheap
+  const stale = records.filter(record => record && now - record.usedAt > EMBEDDING_CACHE_CONFIG.USED_AT_REFRESH_MS);
+  if (created.length > 0 || stale.length > 0) {
+    await withEmbeddingStore('readwrite', async store => {
+      [...created, ...stale.map(record => ({ ...record, usedAt: now }))].forEach(record => store.put(record));
+      if (created.length > 0) {
+        await evictEmbeddings(store);
+      }
+    });
+  }
+
+  return keys.map(key => vectors.get(key));
+}
+
+/**
+ * Remove the chrome.storage.local cache written by earlier versions
+ */
+async function removeLegacyEmbeddingCache() {
+  await chrome.storage.local.remove(EMBEDDING_CACHE_CONFIG.LEGACY_STORAGE_KEY);
+}
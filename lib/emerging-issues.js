@@ -0,0 +1,262 @@
+/**
+ * Reviewllama Emerging Issues
+ * Groups the free-form topics of analyzed reviews into clusters and flags
+ * clusters whose share of reviews or of negative reviews jumps compared with
+ * the app's baseline: the weeks before, or the app versions before the
+ * newest one. Only reviews from the last RECENT_DAYS + BASELINE_DAYS are
+ * compared. Works on stored reviews (see review-db.js).
+ */
+
+const EMERGING_ISSUE_CONFIG = {
+  RECENT_DAYS: 7,
+  BASELINE_DAYS: 56,
+  // Reviews a cluster needs in the recent window to be flagged
+  MIN_RECENT_COUNT: 3,
+  // Recent share of reviews must be this many times the baseline share...
+  VOLUME_RATIO: 2,
+  // ...and at least this many points higher
+  MIN_SHARE_INCREASE: 0.05,
+  // Rise in the share of negative reviews within a cluster
+  NEGATIVE_SHARE_JUMP: 0.3,
+  // Reviews the newest version and earlier versions need to compare by version
+  MIN_VERSION_REVIEWS: 10,
+  MAX_ISSUES: 3,
+  DISMISSED_KEY: 'dismissedIssues'
+};
+
+// Words that say nothing about what the topic is ("login issues" is "login")
+const TOPIC_GENERIC_WORDS = new Set([
+  'issue', 'issues', 'problem', 'problems', 'trouble', 'bug', 'bugs', 'error', 'errors',
+  'app', 'application', 'feature', 'features', 'request', 'question', 'general', 'not', 'working',
+  'aplikace', 'chyba', 'potize'
+]);
+
+/**
+ * Sorted stems of the meaningful words of a topic
+ */
+function normalizeTopic(topic) {
+  const stems = tokenizeMatchText(topic)
+    .filter(word => word.length > 1 && !TOPIC_GENERIC_WORDS.has(word) && !KB_MATCH_STOPWORDS.has(word))
+    .map(stemToken);
+  return [...new Set(stems)].sort();
+}
+
+/**
+ * Whether two topics are the same: one's words contain the other's, or
+ * they share at least half of their words
+ */
+function topicsOverlap(a, b) {
+  const shared = a.filter(stem => b.includes(stem)).length;
+  return shared === Math.min(a.length, b.length) || shared / new Set([...a, ...b]).size >= 0.5;
+}
+
+/**
+ * Cluster the topics of analyzed reviews. Returns
+ * `[{ id, label, variants, reviewIds }]`, largest first. Each cluster is
+ * labelled with its most frequent wording.
+ */
+function clusterReviewTopics(reviews) {
+  const byKey = new Map();
+  reviews.forEach(review => {
+    (review.analysis?.topics || []).forEach(topic => {
+      const stems = normalizeTopic(topic);
+      if (stems.length === 0) return;
+
+      const key = stems.join(' ');
+      const entry = byKey.get(key) || { stems, variants: {}, reviewIds: new Set() };
+      const wording = String(topic).trim().toLowerCase();
+      entry.variants[wording] = (entry.variants[wording] || 0) + 1;
+      entry.reviewIds.add(review.id);
+      byKey.set(key, entry);
+    });
+  });
+
+  // Most frequent topics found clusters; smaller ones join the first that overlaps
+  const clusters = [];
+  [...byKey.values()]
+    .sort((a, b) => b.reviewIds.size - a.reviewIds.size || a.stems.join(' ').localeCompare(b.stems.join(' ')))
+    .forEach(entry => {
+      let cluster = clusters.find(candidate => topicsOverlap(candidate.stems, entry.stems));
+      if (!cluster) {
+        cluster = { id: entry.stems.join(' '), stems: entry.stems, variants: {}, reviewIds: new Set() };
+        clusters.push(cluster);
+      }
+      Object.entries(entry.variants).forEach(([wording, count]) => {
+        cluster.variants[wording] = (cluster.variants[wording] || 0) + count;
+      });
+      entry.reviewIds.forEach(id => cluster.reviewIds.add(id));
+    });
+
+  return clusters
+    .map(cluster => ({
+      id: cluster.id,
+      label: Object.entries(cluster.variants).sort((a, b) => b[1] - a[1] || a[0].length - b[0].length)[0][0],
+      variants: Object.keys(cluster.variants),
+      reviewIds: cluster.reviewIds
+    }))
+    .sort((a, b) => b.reviewIds.size - a.reviewIds.size);
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Start of the oldest window compared, as an ISO date (YYYY-MM-DD) to load
+ * stored reviews from
+ */
+function emergingIssuesStartDate(now = Date.now()) {
+  return new Date(now - (EMERGING_ISSUE_CONFIG.RECENT_DAYS + EMERGING_ISSUE_CONFIG.BASELINE_DAYS) * DAY_MS)
+    .toISOString()
+    .slice(0, 10);
+}
+
+/**
+ * Recent and baseline reviews to compare: the newest app version against
+ * earlier ones when both have enough reviews, otherwise the last days
+ * against the weeks before
+ */
+function emergingIssueWindows(allReviews, now) {
+  const windows = [];
+  const reviews = allReviews.filter(review => storedReviewDate(review) >= emergingIssuesStartDate(now));
+
+  const versions = [...new Set(reviews.map(review => review.appVersion).filter(Boolean))]
+    .sort((a, b) => compareVersions(b, a));
+  if (versions.length > 1) {
+    const recent = reviews.filter(review => review.appVersion === versions[0]);
+    const baseline = reviews.filter(review => review.appVersion && compareVersions(review.appVersion, versions[0]) < 0);
+    if (recent.length >= EMERGING_ISSUE_CONFIG.MIN_VERSION_REVIEWS && baseline.length >= EMERGING_ISSUE_CONFIG.MIN_VERSION_REVIEWS) {
+      windows.push({ basis: 'version', version: versions[0], recent, baseline });
+    }
+  }
+
+  const recentStart = new Date(now - EMERGING_ISSUE_CONFIG.RECENT_DAYS * DAY_MS).toISOString();
+  windows.push({
+    basis: 'time',
+    recent: reviews.filter(review => storedReviewDate(review) >= recentStart),
+    baseline: reviews.filter(review => storedReviewDate(review) < recentStart)
+  });
+
+  return windows;
+}
+
+function negativeShare(reviews) {
+  return reviews.length ? reviews.filter(review => review.analysis?.sentiment === 'negative').length / reviews.length : 0;
+}
+
+/**
+ * Best KB trouble for a cluster: by its wordings, else the trouble most of
+ * its recent reviews match
+ */
+function matchIssueToKnowledgeBase(cluster, recentReviews, troubles) {
+  const byTopic = combineKnowledgeBaseScores(troubles, scoreKnowledgeBaseLexical(cluster.variants.join('\n'), troubles));
+  if (byTopic.length > 0) {
+    return { id: byTopic[0].id, problem: byTopic[0].problem, confidence: byTopic[0].confidence };
+  }
+
+  const votes = {};
+  recentReviews.forEach(review => {
+    const [best] = combineKnowledgeBaseScores(troubles, scoreKnowledgeBaseLexical(reviewMatchText(review), troubles));
+    if (best) votes[best.id] = (votes[best.id] || 0) + 1;
+  });
+  const [id, count] = Object.entries(votes).sort((a, b) => b[1] - a[1])[0] || [];
+  if (!id || count < recentReviews.length / 2) return null;
+
+  const item = troubles.find(trouble => trouble.id === id);
+  return { id, problem: item.problem, confidence: Math.round((count / recentReviews.length) * 100) / 100 };
+}
+
+function describeEmergingIssue(issue) {
+  const where = issue.basis === 'version'
+    ? `on version ${issue.version}`
+    : `in the last ${EMERGING_ISSUE_CONFIG.RECENT_DAYS} days`;
+  const parts = [`${issue.recentCount} reviews ${where}`];
+
+  if (issue.reasons.includes('volume')) {
+    const compared = issue.basis === 'version' ? 'earlier versions' : 'the weeks before';
+    parts.push(issue.baselineCount === 0
+      ? `not mentioned in ${compared}`
+      : `${Math.round(issue.ratio * 10) / 10}× the share of ${compared}`);
+  }
+  if (issue.reasons.includes('negative')) {
+    parts.push(`${Math.round(issue.negativeShare * 100)}% negative, up from ${Math.round(issue.baselineNegativeShare * 100)}%`);
+  }
+  return parts.join(', ');
+}
+
+/**
+ * Topic clusters whose volume or negative share jumped, most severe first:
+ * `[{ id, label, variants, basis, version, recentCount, baselineCount,
+ * ratio, negativeShare, baselineNegativeShare, reasons, reviewIds,
+ * kbMatch, summary }]`
+ */
+function detectEmergingIssues(reviews, { troubles = [], now = Date.now() } = {}) {
+  const analyzed = reviews.filter(review => review.analysis);
+  const clusters = clusterReviewTopics(analyzed);
+  const issues = new Map();
+
+  emergingIssueWindows(analyzed, now).forEach(({ basis, version, recent, baseline }) => {
+    if (recent.length === 0 || baseline.length === 0) return;
+
+    clusters.forEach(cluster => {
+      const recentMatches = recent.filter(review => cluster.reviewIds.has(review.id));
+      const baselineMatches = baseline.filter(review => cluster.reviewIds.has(review.id));
+      if (recentMatches.length < EMERGING_ISSUE_CONFIG.MIN_RECENT_COUNT) return;
+
+      const recentShare = recentMatches.length / recent.length;
+      const baselineShare = baselineMatches.length / baseline.length;
+      const reasons = [];
+      if (recentShare >= baselineShare * EMERGING_ISSUE_CONFIG.VOLUME_RATIO &&
+          recentShare - baselineShare >= EMERGING_ISSUE_CONFIG.MIN_SHARE_INCREASE) {
+        reasons.push('volume');
+      }
+      if (baselineMatches.length > 0 &&
+          negativeShare(recentMatches) - negativeShare(baselineMatches) >= EMERGING_ISSUE_CONFIG.NEGATIVE_SHARE_JUMP) {
+        reasons.push('negative');
+      }
+      // A version comparison explains more than the weekly one, so it wins
+      if (reasons.length === 0 || issues.has(cluster.id)) return;
+
+      const issue = {
+        id: cluster.id,
+        label: cluster.label,
+        variants: cluster.variants,
+        basis,
+        version: version || null,
+        recentCount: recentMatches.length,
+        baselineCount: baselineMatches.length,
+        ratio: baselineShare ? recentShare / baselineShare : null,
+        negativeShare: negativeShare(recentMatches),
+        baselineNegativeShare: negativeShare(baselineMatches),
+        reasons,
+        reviewIds: recentMatches.map(review => review.id),
+        kbMatch: matchIssueToKnowledgeBase(cluster, recentMatches, troubles)
+      };
+      issue.summary = describeEmergingIssue(issue);
+      issues.set(cluster.id, issue);
+    });
+  });
+
+  // New topics first, then by how much their share grew
+  const severity = issue => (issue.ratio === null ? Infinity : issue.ratio) * issue.recentCount;
+  return [...issues.values()]
+    .sort((a, b) => severity(b) - severity(a))
+    .slice(0, EMERGING_ISSUE_CONFIG.MAX_ISSUES);
+}
+
+/**
+ * Dismissed issues of an app, as `{ [issueId]: recentCount when dismissed }`
+ */
+async function getDismissedIssues(appId) {
+  const result = await chrome.storage.local.get(EMERGING_ISSUE_CONFIG.DISMISSED_KEY);
+  return result[EMERGING_ISSUE_CONFIG.DISMISSED_KEY]?.[appId || ''] || {};
+}
+
+/**
+ * Hide an issue until more reviews mention it than when it was dismissed
+ */
+async function dismissIssue(appId, issueId, recentCount) {
+  const key = EMERGING_ISSUE_CONFIG.DISMISSED_KEY;
+  const result = await chrome.storage.local.get(key);
+  const dismissed = result[key] || {};
+  dismissed[appId || ''] = { ...dismissed[appId || ''], [issueId]: recentCount };
+  await chrome.storage.local.set({ [key]: dismissed });
+}
@@ -0,0 +1,57 @@
+/**
+ * Reviewllama Export Utilities
+ * CSV building and file downloads for extension pages
+ */
+
+/**
+ * Escape a value for CSV. Values that a spreadsheet would run as a formula
+ * are prefixed with an apostrophe.
+ */
+function escapeCsvValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = Array.isArray(value) ? value.join('; ') : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  if (/[",\r\n]/.test(text) || text !== text.trim()) {
+    text = `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+/**
+ * Build CSV from rows and `[{ key, label }]` columns. Starts with a UTF-8 BOM
+ * so Excel detects the encoding of non-ASCII text.
+ */
+function toCsv(rows, columns) {
+  const header = columns.map(column => escapeCsvValue(column.label)).join(',');
+  const lines = rows.map(row => columns.map(column => escapeCsvValue(row[column.key])).join(','));
+  return '\uFEFF' + [header, ...lines].join('\r\n') + '\r\n';
+}
+
+/**
+ * Download text content as a file
+ */
+function downloadFile(filename, content, mimeType) {
+  const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Date stamp for export file names (YYYY-MM-DD)
+ */
+function exportDateStamp() {
+  return new Date().toISOString().slice(0, 10);
+}
@@ -0,0 +1,255 @@
+/**
+ * Reviewllama History Store
+ * Audit log of generated, edited and posted replies per review, in
+ * IndexedDB with one record per review. Rendered prompts are kept in a
+ * separate store and referenced by `promptId`, so reading or updating a
+ * review's events does not load them. Only the background worker opens
+ * the database; writes are serialized. Needs review-db.js for idbResult.
+ */
+
+const HISTORY_CONFIG = {
+  DB_NAME: 'reviewllama-history',
+  DB_VERSION: 1,
+  ENTRY_STORE: 'entries',
+  PROMPT_STORE: 'prompts',
+  // chrome.storage.local key used by earlier versions
+  LEGACY_STORAGE_KEY: 'responseHistory',
+  MAX_EVENTS_PER_REVIEW: 50,
+  MAX_REVIEWS: 2000
+};
+
+let historyDbPromise = null;
+let historyStoreLock = Promise.resolve();
+
+function openHistoryDb() {
+  if (!historyDbPromise) {
+    historyDbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(HISTORY_CONFIG.DB_NAME, HISTORY_CONFIG.DB_VERSION);
+      request.onupgradeneeded = () => {
+        const entries = request.result.createObjectStore(HISTORY_CONFIG.ENTRY_STORE, { keyPath: 'reviewId' });
+        entries.createIndex('updatedAt', 'updatedAt');
+        const prompts = request.result.createObjectStore(HISTORY_CONFIG.PROMPT_STORE, { keyPath: 'id', autoIncrement: true });
+        prompts.createIndex('reviewId', 'reviewId');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // Let the next call retry after a failed open
+    historyDbPromise.catch(() => {
+      historyDbPromise = null;
+    });
+  }
+  return historyDbPromise;
+}
+
+/**
+ * Run `callback({ entries, prompts })` in one transaction over both stores.
+ * Read-write transactions are serialized. Resolves with the callback's value
+ * once the transaction has committed.
+ */
+function withHistory(mode, callback) {
+  const runTransaction = async () => {
+    const db = await openHistoryDb();
+    const transaction = db.transaction([HISTORY_CONFIG.ENTRY_STORE, HISTORY_CONFIG.PROMPT_STORE], mode);
+    const done = new Promise((resolve, reject) => {
+      transaction.oncomplete = resolve;
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error || new Error('History transaction aborted'));
+    });
+
+    const value = await callback({
+      entries: transaction.objectStore(HISTORY_CONFIG.ENTRY_STORE),
+      prompts: transaction.objectStore(HISTORY_CONFIG.PROMPT_STORE)
+    });
+    await done;
+    return value;
+  };
+
+  if (mode === 'readonly') {
+    return runTransaction();
+  }
+
+  const run = historyStoreLock.then(runTransaction);
+  historyStoreLock = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Move an event's prompt to the prompt store, leaving its `promptId`
+ */
+async function storeEventPrompt(prompts, reviewId, event) {
+  if (!event.prompt) return event;
+  const { prompt, ...rest } = event;
+  const promptId = await idbResult(prompts.add({ reviewId, prompt }));
+  return { ...rest, promptId };
+}
+
+function deleteEventPrompts(prompts, events) {
+  events.forEach(event => {
+    if (event.promptId !== undefined) prompts.delete(event.promptId);
+  });
+}
+
+/**
+ * Keep the newest MAX_EVENTS_PER_REVIEW events, deleting the prompts of
+ * the ones dropped
+ */
+function trimHistoryEvents(prompts, events) {
+  const sorted = events.slice().sort((a, b) => a.at - b.at);
+  const excess = sorted.length - HISTORY_CONFIG.MAX_EVENTS_PER_REVIEW;
+  if (excess <= 0) return sorted;
+  deleteEventPrompts(prompts, sorted.slice(0, excess));
+  return sorted.slice(excess);
+}
+
+/**
+ * Delete the least recently updated reviews beyond MAX_REVIEWS, with their prompts
+ */
+async function evictHistory({ entries, prompts }) {
+  let excess = await idbResult(entries.count()) - HISTORY_CONFIG.MAX_REVIEWS;
+  if (excess <= 0) return;
+
+  await new Promise((resolve, reject) => {
+    const request = entries.index('updatedAt').openCursor();
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor || excess-- <= 0) {
+        resolve();
+        return;
+      }
+      deleteEventPrompts(prompts, cursor.value.events);
+      cursor.delete();
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Append an event (`{ type, ... }`) to a review's history
+ */
+function appendHistoryEvent(review, event) {
+  return withHistory('readwrite', async stores => {
+    const now = Date.now();
+    const existing = await idbResult(stores.entries.get(review.id));
+    const entry = existing || {
+      reviewId: review.id,
+      events: [],
+      createdAt: now
+    };
+
+    // Keep the latest review snapshot for browsing and export
+    entry.review = {
+      title: review.title,
+      rating: review.rating,
+      content: review.content,
+      nickname: review.nickname,
+      date: review.date || null,
+      territory: review.territory || null,
+      appVersion: review.appVersion || null
+    };
+    const stored = await storeEventPrompt(stores.prompts, review.id, { at: now, ...event });
+    entry.events = trimHistoryEvents(stores.prompts, [...entry.events, stored]);
+    entry.updatedAt = now;
+
+    stores.entries.put(entry);
+    if (!existing) {
+      await evictHistory(stores);
+    }
+    return entry;
+  });
+}
+
+/**
+ * Get all history entries, most recently updated first. Events reference
+ * their prompt by `promptId`; with `withPrompts` the prompt text is filled in.
+ */
+function getHistory({ withPrompts = false } = {}) {
+  return withHistory('readonly', async ({ entries, prompts }) => {
+    const list = await idbResult(entries.getAll());
+    if (withPrompts) {
+      const texts = new Map((await idbResult(prompts.getAll())).map(record => [record.id, record.prompt]));
+      list.forEach(entry => {
+        entry.events = entry.events.map(event =>
+          (event.promptId !== undefined ? { ...event, prompt: texts.get(event.promptId) || null } : event));
+      });
+    }
+    return list.sort((a, b) => b.updatedAt - a.updatedAt);
+  });
+}
+
+/**
+ * Prompt text of a history event, or null
+ */
+function getHistoryPrompt(promptId) {
+  return withHistory('readonly', async ({ prompts }) =>
+    (await idbResult(prompts.get(promptId)))?.prompt || null);
+}
+
+/**
+ * Latest generated draft text for a review, or null
+ */
+function getLastGeneratedText(reviewId) {
+  return withHistory('readonly', async ({ entries }) => {
+    const events = (await idbResult(entries.get(reviewId)))?.events || [];
+    const generated = events.filter(event => event.type === 'generated');
+    return generated[generated.length - 1]?.text || null;
+  });
+}
+
+/**
+ * Store `entry` under its review ID, merging the events with an entry
+ * already stored there
+ */
+async function putMergedHistoryEntry({ entries, prompts }, entry) {
+  const target = await idbResult(entries.get(entry.reviewId));
+  entries.put(target
+    ? {
+      ...target,
+      events: trimHistoryEvents(prompts, [...entry.events, ...target.events]),
+      createdAt: Math.min(entry.createdAt, target.createdAt),
+      updatedAt: Math.max(entry.updatedAt, target.updatedAt)
+    }
+    : entry);
+}
+
+/**
+ * Move history to new review IDs (`[{ from, to }]`), merging the events
+ * when both IDs have some
+ */
+function renameHistoryEntries(renames) {
+  return withHistory('readwrite', async stores => {
+    let renamed = 0;
+    for (const { from, to } of renames) {
+      const entry = await idbResult(stores.entries.get(from));
+      if (!entry) continue;
+
+      stores.entries.delete(from);
+      await putMergedHistoryEntry(stores, { ...entry, reviewId: to });
+      renamed++;
+    }
+    return renamed;
+  });
+}
+
+/**
+ * Move the chrome.storage.local history written by earlier versions into
+ * the database, merging with anything logged since
+ */
+async function migrateLegacyHistory() {
+  const key = HISTORY_CONFIG.LEGACY_STORAGE_KEY;
+  const legacy = (await chrome.storage.local.get(key))[key];
+  if (!legacy) return;
+
+  await withHistory('readwrite', async stores => {
+    for (const entry of Object.values(legacy)) {
+      const events = [];
+      for (const event of entry.events) {
+        events.push(await storeEventPrompt(stores.prompts, entry.reviewId, event));
+      }
+      await putMergedHistoryEntry(stores, { ...entry, events });
+    }
+    await evictHistory(stores);
+  });
+  await chrome.storage.local.remove(key);
+}
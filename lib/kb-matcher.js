@@ -0,0 +1,219 @@
+/**
+ * Reviewllama Knowledge Base Matcher
+ * Scores knowledge base troubles against a review. The lexical scorer runs
+ * anywhere; the background worker adds embedding similarity when the
+ * provider supports it and combines both into one confidence.
+ */
+
+const KB_MATCH_CONFIG = {
+  MAX_RESULTS: 3,
+  MIN_CONFIDENCE: 0.3,
+  // Weights of a matched keyword, category and problem word
+  KEYWORD_WEIGHT: 1,
+  CATEGORY_WEIGHT: 0.5,
+  PROBLEM_WORD_WEIGHT: 0.25,
+  // Share of the combined confidence taken from embeddings
+  SEMANTIC_WEIGHT: 0.6,
+  // Cosine similarities mapped to 0 and 1 confidence
+  SEMANTIC_FLOOR: 0.2,
+  SEMANTIC_CEILING: 0.7
+};
+
+// Suffixes stripped by the light stemmer, longest first (English and
+// diacritics-folded Czech)
+const KB_STEM_SUFFIXES = [
+  'ations', 'ation', 'ovani', 'ostmi', 'ings', 'edly', 'ment', 'osti',
+  'ing', 'ies', 'eni', 'ani', 'ost', 'ami', 'emi', 'ech', 'ich', 'ych', 'ymi', 'ove', 'ova', 'ovi',
+  'ed', 'es', 'ly', 'ou', 'em', 'ym', 'om', 'at', 'it', 'et',
+  's', 'a', 'e', 'i', 'o', 'u', 'y'
+];
+
+const KB_MATCH_STOPWORDS = new Set([
+  'the', 'and', 'for', 'with', 'not', 'can', 'that', 'this', 'from', 'have', 'when', 'what',
+  'app', 'your', 'our', 'are', 'was', 'will', 'but', 'cant', 'dont', 'doesnt', 'wont', 'couldnt',
+  'jsem', 'neni', 'nebo', 'jako', 'aplikace'
+]);
+
+/**
+ * Lowercase and strip diacritics ("Přihlášení" -> "prihlaseni")
+ */
+function foldDiacritics(text) {
+  return (text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+/**
+ * Split text into folded words. Apostrophes are dropped so "couldn't" is one word.
+ */
+function tokenizeMatchText(text) {
+  return foldDiacritics(text).replace(/['\u2019]/g, '').match(/[a-z0-9]+/g) || [];
+}
+
+/**
+ * Strip one common suffix, keeping a stem of at least three letters
+ */
+function stemToken(token) {
+  if (token.length <= 4) {
+    return token;
+  }
+
+  for (const suffix of KB_STEM_SUFFIXES) {
+    if (token.endsWith(suffix) && token.length - suffix.length >= 3) {
+      // "access" is not a plural
+      if (suffix === 's' && token.endsWith('ss')) {
+        return token;
+      }
+      return token.slice(0, -suffix.length);
+    }
+  }
+  return token;
+}
+
+/**
+ * Stems of a text, plus stems of adjacent word pairs joined together
+ * so "log in" also matches "login"
+ */
+function buildMatchTerms(text) {
+  const tokens = tokenizeMatchText(text);
+  const stems = tokens.map(stemToken);
+  const joined = new Set(tokens.slice(1).map((token, i) => stemToken(tokens[i] + token)));
+  stems.forEach(stem => joined.add(stem));
+  return { stems, joined };
+}
+
+/**
+ * Whether a keyword or phrase occurs in the review terms as whole words
+ */
+function termMatches(phrase, terms) {
+  const phraseStems = tokenizeMatchText(phrase).map(stemToken);
+  if (phraseStems.length === 0) {
+    return false;
+  }
+  if (terms.joined.has(stemToken(tokenizeMatchText(phrase).join('')))) {
+    return true;
+  }
+
+  for (let i = 0; i + phraseStems.length <= terms.stems.length; i++) {
+    if (phraseStems.every((stem, offset) => terms.stems[i + offset] === stem)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+const kbLexicalIndexCache = new WeakMap();
+
+/**
+ * Terms to look for per trouble, built once per troubles list
+ */
+function getLexicalIndex(troubles) {
+  let index = kbLexicalIndexCache.get(troubles);
+  if (!index) {
+    index = troubles.map(item => ({
+      item,
+      keywords: item.keywords || [],
+      categories: item.categories || [],
+      problemWords: [...new Set(tokenizeMatchText(item.problem)
+        .filter(word => word.length > 3 && !KB_MATCH_STOPWORDS.has(word)))]
+    }));
+    kbLexicalIndexCache.set(troubles, index);
+  }
+  return index;
+}
+
+/**
+ * Score troubles against review text by keywords, categories and problem words.
+ * Returns `[{ id, confidence, matchedTerms }]` for troubles with any match.
+ */
+function scoreKnowledgeBaseLexical(text, troubles) {
+  const terms = buildMatchTerms(text);
+
+  return getLexicalIndex(troubles).map(({ item, keywords, categories, problemWords }) => {
+    const matchedTerms = [];
+    const matchedStems = new Set();
+    let weight = 0;
+
+    [
+      [keywords, KB_MATCH_CONFIG.KEYWORD_WEIGHT],
+      [categories, KB_MATCH_CONFIG.CATEGORY_WEIGHT],
+      [problemWords, KB_MATCH_CONFIG.PROBLEM_WORD_WEIGHT]
+    ].forEach(([phrases, phraseWeight]) => {
+      phrases.forEach(phrase => {
+        // "crash" and "crashes" count once
+        const key = tokenizeMatchText(phrase).map(stemToken).join(' ');
+        if (!matchedStems.has(key) && termMatches(phrase, terms)) {
+          matchedStems.add(key);
+          matchedTerms.push(phrase);
+          weight += phraseWeight;
+        }
+      });
+    });
+
+    // Saturates towards 1: one keyword is ~0.63, two are ~0.86
+    return { id: item.id, confidence: 1 - Math.exp(-weight), matchedTerms };
+  }).filter(score => score.confidence > 0);
+}
+
+/**
+ * Text of a review used for matching
+ */
+function reviewMatchText(review) {
+  return `${review.title || ''}\n${review.content || ''}`;
+}
+
+/**
+ * Text of a trouble used for embeddings
+ */
+function troubleMatchText(item) {
+  const solution = item.solution?.en || Object.values(item.solution || {})[0] || '';
+  return `${item.problem}\nKeywords: ${(item.keywords || []).join(', ')}\n${solution}`;
+}
+
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < Math.min(a.length, b.length); i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * Map a cosine similarity to a 0..1 confidence
+ */
+function semanticConfidence(similarity) {
+  const { SEMANTIC_FLOOR, SEMANTIC_CEILING } = KB_MATCH_CONFIG;
+  return Math.min(1, Math.max(0, (similarity - SEMANTIC_FLOOR) / (SEMANTIC_CEILING - SEMANTIC_FLOOR)));
+}
+
+/**
+ * Combine lexical scores with optional `{ id: confidence }` semantic scores
+ * into the top matches: `[{ id, problem, confidence, lexical, semantic, matchedTerms }]`
+ */
+function combineKnowledgeBaseScores(troubles, lexicalScores, semanticScores = null) {
+  const round = value => Math.round(value * 100) / 100;
+
+  return troubles.map(item => {
+    const lexical = lexicalScores.find(score => score.id === item.id);
+    const lexicalConfidence = lexical?.confidence || 0;
+    const semantic = semanticScores ? semanticScores[item.id] || 0 : null;
+
+    const confidence = semantic === null
+      ? lexicalConfidence
+      : KB_MATCH_CONFIG.SEMANTIC_WEIGHT * semantic + (1 - KB_MATCH_CONFIG.SEMANTIC_WEIGHT) * lexicalConfidence;
+
+    return {
+      id: item.id,
+      problem: item.problem,
+      confidence: round(confidence),
+      lexical: round(lexicalConfidence),
+      semantic: semantic === null ? null : round(semantic),
+      matchedTerms: lexical?.matchedTerms || []
+    };
+  })
+    .filter(match => match.confidence >= KB_MATCH_CONFIG.MIN_CONFIDENCE)
+    .sort((a, b) => b.confidence - a.confidence)
+    .slice(0, KB_MATCH_CONFIG.MAX_RESULTS);
+}
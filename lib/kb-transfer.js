@@ -0,0 +1,382 @@
+/**
+ * Reviewllama Knowledge Base Import/Export
+ * Converts the knowledge base to and from JSON, CSV and Markdown FAQ files,
+ * and compares imported entries with the current knowledge base.
+ * Requires lib/knowledge-base.js and lib/export-utils.js.
+ */
+
+const KB_IMPORT_FIELDS = ['ignore', 'type', 'id', 'problem', 'categories', 'keywords', 'text'];
+
+const KB_KEYWORD_STOPWORDS = new Set([
+  'the', 'and', 'for', 'with', 'not', 'can', 'cant', 'does', 'doesnt', 'dont', 'that', 'this',
+  'from', 'have', 'when', 'what', 'how', 'why', 'app', 'my', 'your', 'our', 'are', 'was', 'will'
+]);
+
+/**
+ * Turn free text into a knowledge base ID
+ */
+function slugifyKbId(text) {
+  return (text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '')
+    .slice(0, 60);
+}
+
+/**
+ * Keywords from a problem description, for imported entries that have none
+ */
+function deriveKbKeywords(problem) {
+  const words = slugifyKbId(problem).split('_')
+    .filter(word => word.length > 2 && !KB_KEYWORD_STOPWORDS.has(word));
+  return [...new Set(words)].slice(0, 5);
+}
+
+/**
+ * Fill in IDs and keywords that imported troubles left out
+ */
+function completeImportedTrouble(item) {
+  return {
+    ...item,
+    id: item.id || slugifyKbId(item.problem),
+    keywords: item.keywords.length > 0 ? item.keywords : deriveKbKeywords(item.problem)
+  };
+}
+
+// ----------------------------------------------------------------------------
+// JSON
+// ----------------------------------------------------------------------------
+
+function parseKnowledgeBaseJson(text) {
+  const data = JSON.parse(text);
+  const kb = migrateKnowledgeBase(Array.isArray(data) ? { troubles: data } : data);
+  return { troubles: kb.troubles || [], templates: kb.templates || {} };
+}
+
+function knowledgeBaseToJson(kb) {
+  return JSON.stringify({ ...kb, version: KNOWLEDGE_BASE_CONFIG.VERSION }, null, 2);
+}
+
+// ----------------------------------------------------------------------------
+// CSV
+// ----------------------------------------------------------------------------
+
+/**
+ * Parse CSV text into rows of cells. Handles quoted fields, CRLF, a UTF-8 BOM
+ * and semicolon-delimited files from Excel.
+ */
+function parseCsv(text) {
+  const source = text.replace(/^\uFEFF/, '');
+  const firstLine = source.split(/\r?\n/, 1)[0];
+  const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  // Undo the formula guard added by escapeCsvValue on export
+  return rows
+    .map(cells => cells.map(value => value.replace(/^'(?=[=+\-@])/, '')))
+    .filter(cells => cells.some(value => value.trim()));
+}
+
+/**
+ * Guess what each CSV column holds from its header.
+ * Returns `[{ field, language }]`, one per column.
+ */
+function guessCsvMapping(headers, defaultLanguage = 'en') {
+  return headers.map(header => {
+    const name = header.trim().toLowerCase();
+    const language = name.match(/(?:^|[\s_(-])([a-z]{2}(?:-[a-z]{2})?)\)?$/)?.[1];
+
+    if (/^(type|kind)$/.test(name)) return { field: 'type' };
+    if (/^(id|key|slug)$/.test(name)) return { field: 'id' };
+    if (/^(problem|question|issue|title)$/.test(name)) return { field: 'problem' };
+    if (/^(categories|category)$/.test(name)) return { field: 'categories' };
+    if (/^(keywords|keyword|tags)$/.test(name)) return { field: 'keywords' };
+    if (/^(solution|answer|text|reply|template)/.test(name)) {
+      return { field: 'text', language: language || defaultLanguage };
+    }
+    if (KNOWLEDGE_BASE_CONFIG.LANGUAGE_PATTERN.test(name)) return { field: 'text', language: name };
+    return { field: 'ignore' };
+  });
+}
+
+/**
+ * Build troubles and templates from CSV data rows and a column mapping
+ */
+function csvRowsToKnowledgeBase(rows, mapping) {
+  const troubles = [];
+  const templates = {};
+
+  rows.forEach(cells => {
+    const entry = { type: '', id: '', problem: '', categories: [], keywords: [], texts: {} };
+
+    mapping.forEach(({ field, language }, column) => {
+      const value = (cells[column] || '').trim();
+      if (!value || field === 'ignore') return;
+
+      if (field === 'text') {
+        if (language) entry.texts[language.trim()] = value;
+      } else if (field === 'categories' || field === 'keywords') {
+        entry[field] = toKnowledgeBaseList(value);
+      } else {
+        entry[field] = value;
+      }
+    });
+
+    if (entry.type.toLowerCase() === 'template') {
+      if (entry.id) templates[slugifyKbId(entry.id)] = entry.texts;
+    } else if (entry.id || entry.problem) {
+      troubles.push(completeImportedTrouble({
+        id: entry.id,
+        problem: entry.problem,
+        solution: entry.texts,
+        categories: entry.categories,
+        keywords: entry.keywords
+      }));
+    }
+  });
+
+  return { troubles, templates };
+}
+
+/**
+ * Languages used anywhere in the knowledge base, in first-seen order
+ */
+function knowledgeBaseLanguages(kb) {
+  const languages = new Set();
+  kb.troubles.forEach(item => Object.keys(item.solution || {}).forEach(language => languages.add(language)));
+  Object.values(kb.templates || {}).forEach(texts => Object.keys(texts).forEach(language => languages.add(language)));
+  return [...languages];
+}
+
+function knowledgeBaseToCsv(kb) {
+  const languages = knowledgeBaseLanguages(kb);
+  const columns = [
+    { key: 'type', label: 'Type' },
+    { key: 'id', label: 'ID' },
+    { key: 'problem', label: 'Problem' },
+    { key: 'categories', label: 'Categories' },
+    { key: 'keywords', label: 'Keywords' },
+    ...languages.map(language => ({ key: `text_${language}`, label: `Text (${language})` }))
+  ];
+
+  const localized = texts => Object.fromEntries(
+    Object.entries(texts || {}).map(([language, text]) => [`text_${language}`, text])
+  );
+
+  const rows = [
+    ...kb.troubles.map(item => ({ type: 'trouble', ...item, ...localized(item.solution) })),
+    ...Object.entries(kb.templates || {}).map(([id, texts]) => ({ type: 'template', id, ...localized(texts) }))
+  ];
+
+  return toCsv(rows, columns);
+}
+
+// ----------------------------------------------------------------------------
+// Markdown FAQ
+// ----------------------------------------------------------------------------
+
+/**
+ * Parse a Markdown FAQ. Each `##` heading is an entry (`## id: Problem` or just
+ * `## Problem`), optional `Categories:` / `Keywords:` lines follow, and the
+ * answer is either plain text in `defaultLanguage` or split by `### en`
+ * language headings. Entries under a `# Templates` heading become templates.
+ */
+function parseKnowledgeBaseMarkdown(text, defaultLanguage = 'en') {
+  const troubles = [];
+  const templates = {};
+
+  let section = 'troubles';
+  let entry = null;
+  let language = defaultLanguage;
+
+  const finishEntry = () => {
+    if (!entry) return;
+
+    const texts = Object.fromEntries(Object.entries(entry.texts)
+      .map(([code, lines]) => [code, lines.join('\n').trim()])
+      .filter(([, value]) => value));
+
+    if (entry.section === 'templates') {
+      templates[entry.id || slugifyKbId(entry.problem)] = texts;
+    } else {
+      troubles.push(completeImportedTrouble({
+        id: entry.id,
+        problem: entry.problem,
+        solution: texts,
+        categories: entry.categories,
+        keywords: entry.keywords
+      }));
+    }
+    entry = null;
+  };
+
+  text.replace(/^\uFEFF/, '').split(/\r?\n/).forEach(line => {
+    const heading = line.match(/^(#{1,3})\s+(.*?)\s*#*\s*$/);
+
+    if (heading && heading[1] === '#') {
+      finishEntry();
+      section = /template/i.test(heading[2]) ? 'templates' : 'troubles';
+      return;
+    }
+
+    if (heading && heading[1] === '##') {
+      finishEntry();
+      const [, id, problem] = heading[2].match(/^(?:`?([a-z0-9_]+)`?\s*:\s*)?(.*)$/);
+      entry = { section, id: id || '', problem: problem || id || '', categories: [], keywords: [], texts: {} };
+      language = defaultLanguage;
+      return;
+    }
+
+    if (!entry) return;
+
+    if (heading && heading[1] === '###' && KNOWLEDGE_BASE_CONFIG.LANGUAGE_PATTERN.test(heading[2])) {
+      language = heading[2];
+      return;
+    }
+
+    if (!line.trim() && !entry.texts[language]) return;
+
+    const meta = line.match(/^\s*\**(categories|keywords)\**\s*:\s*\**\s*(.*)$/i);
+    if (meta && !entry.texts[language]) {
+      entry[meta[1].toLowerCase()] = toKnowledgeBaseList(meta[2]);
+      return;
+    }
+
+    (entry.texts[language] = entry.texts[language] || []).push(line);
+  });
+  finishEntry();
+
+  return { troubles, templates };
+}
+
+function knowledgeBaseToMarkdown(kb) {
+  const localized = texts => Object.entries(texts || {})
+    .map(([language, text]) => `### ${language}\n\n${text}\n`)
+    .join('\n');
+
+  const troubles = kb.troubles.map(item => [
+    `## ${item.id}: ${item.problem}`,
+    '',
+    `Categories: ${item.categories.join(', ')}`,
+    `Keywords: ${item.keywords.join(', ')}`,
+    '',
+    localized(item.solution)
+  ].join('\n'));
+
+  const templates = Object.entries(kb.templates || {})
+    .map(([id, texts]) => `## ${id}\n\n${localized(texts)}`);
+
+  return [
+    `<!-- Reviewllama knowledge base, version ${KNOWLEDGE_BASE_CONFIG.VERSION} -->`,
+    '',
+    '# Troubles',
+    '',
+    ...troubles,
+    '# Templates',
+    '',
+    ...templates
+  ].join('\n');
+}
+
+// ----------------------------------------------------------------------------
+// Conflicts and merging
+// ----------------------------------------------------------------------------
+
+/**
+ * Compare imported entries with the current knowledge base.
+ * Returns `[{ kind: 'trouble'|'template', id, status: 'new'|'changed'|'unchanged' }]`.
+ */
+function compareKnowledgeBases(current, incoming) {
+  // Compare with sorted object keys so field order does not count as a change
+  const canonical = value => JSON.stringify(value, (key, inner) => (
+    inner && typeof inner === 'object' && !Array.isArray(inner)
+      ? Object.fromEntries(Object.entries(inner).sort(([a], [b]) => a.localeCompare(b)))
+      : inner
+  ));
+  const status = (existing, item) => {
+    if (!existing) return 'new';
+    return canonical(existing) === canonical(item) ? 'unchanged' : 'changed';
+  };
+
+  return [
+    ...incoming.troubles.map(item => ({
+      kind: 'trouble',
+      id: item.id,
+      status: status(current.troubles.find(existing => existing.id === item.id), item)
+    })),
+    ...Object.entries(incoming.templates).map(([id, texts]) => ({
+      kind: 'template',
+      id,
+      status: status(current.templates?.[id], texts)
+    }))
+  ];
+}
+
+/**
+ * Merge imported entries into the knowledge base.
+ * `strategy` is 'overwrite' (imported entries win), 'skip' (existing entries
+ * win) or 'replace' (the import replaces everything).
+ */
+function mergeKnowledgeBases(current, incoming, strategy) {
+  if (strategy === 'replace') {
+    return { ...current, troubles: incoming.troubles, templates: incoming.templates };
+  }
+
+  const troubles = current.troubles.slice();
+  incoming.troubles.forEach(item => {
+    const index = troubles.findIndex(existing => existing.id === item.id);
+    if (index === -1) {
+      troubles.push(item);
+    } else if (strategy === 'overwrite') {
+      troubles[index] = item;
+    }
+  });
+
+  const templates = { ...current.templates };
+  Object.entries(incoming.templates).forEach(([id, texts]) => {
+    if (!templates[id] || strategy === 'overwrite') {
+      templates[id] = texts;
+    }
+  });
+
+  return { ...current, troubles, templates };
+}
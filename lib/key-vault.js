@@ -0,0 +1,200 @@
+/**
+ * Reviewllama Key Vault
+ * Where the provider API key is kept: on this device (plain), encrypted
+ * with a passphrase (AES-GCM, key derived with PBKDF2), or for this browser
+ * session only. Unlocked keys live in chrome.storage.session, which content
+ * scripts cannot read and which is cleared when the browser closes.
+ */
+
+const KEY_VAULT_CONFIG = {
+  MODE_KEY: 'apiKeyStorage',
+  VAULT_KEY: 'apiKeyVault',
+  PLAIN_KEY: 'apiKey',
+  SESSION_KEY: 'apiKey',
+  PBKDF2_ITERATIONS: 310000,
+  MIN_PASSPHRASE_LENGTH: 8
+};
+
+const KEY_STORAGE_MODES = {
+  local: 'Store on this device',
+  encrypted: 'Encrypt with a passphrase',
+  session: 'This browser session only'
+};
+
+function bytesToBase64(bytes) {
+  return btoa(String.fromCharCode(...new Uint8Array(bytes)));
+}
+
+function base64ToBytes(text) {
+  return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
+
+async function deriveVaultKey(passphrase, salt, iterations) {
+  const material = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(passphrase),
+    'PBKDF2',
+    false,
+    ['deriveKey']
+  );
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+/**
+ * Encrypt an API key under a passphrase. The result is safe to store.
+ */
+async function encryptApiKey(apiKey, passphrase) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const iterations = KEY_VAULT_CONFIG.PBKDF2_ITERATIONS;
+  const key = await deriveVaultKey(passphrase, salt, iterations);
+  const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(apiKey));
+
+  return {
+    version: 1,
+    iterations,
+    salt: bytesToBase64(salt),
+    iv: bytesToBase64(iv),
+    data: bytesToBase64(data),
+    hint: maskApiKey(apiKey)
+  };
+}
+
+/**
+ * Decrypt a stored vault. Throws "Wrong passphrase" if it does not match.
+ */
+async function decryptApiKey(vault, passphrase) {
+  const key = await deriveVaultKey(passphrase, base64ToBytes(vault.salt), vault.iterations);
+  try {
+    const data = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: base64ToBytes(vault.iv) }, key, base64ToBytes(vault.data));
+    return new TextDecoder().decode(data);
+  } catch (error) {
+    throw new Error('Wrong passphrase');
+  }
+}
+
+/**
+ * Show only the start and the last four characters of a key
+ */
+function maskApiKey(apiKey) {
+  if (!apiKey) return '';
+  if (apiKey.length <= 8) return '••••';
+  const prefix = apiKey.match(/^[a-z]+-(?:[a-z]+-)?/i)?.[0] || '';
+  return `${prefix}••••${apiKey.slice(-4)}`;
+}
+
+/**
+ * Storage mode, whether a key exists, whether it is locked, and its mask
+ */
+async function getKeyVaultStatus() {
+  const local = await chrome.storage.local.get([
+    KEY_VAULT_CONFIG.MODE_KEY,
+    KEY_VAULT_CONFIG.VAULT_KEY,
+    KEY_VAULT_CONFIG.PLAIN_KEY
+  ]);
+  const session = await chrome.storage.session.get(KEY_VAULT_CONFIG.SESSION_KEY);
+  const mode = local[KEY_VAULT_CONFIG.MODE_KEY] || 'local';
+  const sessionKey = session[KEY_VAULT_CONFIG.SESSION_KEY];
+
+  if (mode === 'encrypted') {
+    const vault = local[KEY_VAULT_CONFIG.VAULT_KEY];
+    return { mode, hasKey: !!vault, locked: !!vault && !sessionKey, masked: vault?.hint || '' };
+  }
+  if (mode === 'session') {
+    return { mode, hasKey: !!sessionKey, locked: false, masked: maskApiKey(sessionKey) };
+  }
+  const plainKey = local[KEY_VAULT_CONFIG.PLAIN_KEY];
+  return { mode, hasKey: !!plainKey, locked: false, masked: maskApiKey(plainKey) };
+}
+
+/**
+ * The usable API key, or null when none is stored or it is locked
+ */
+async function readApiKey() {
+  const local = await chrome.storage.local.get([KEY_VAULT_CONFIG.MODE_KEY, KEY_VAULT_CONFIG.PLAIN_KEY]);
+  if ((local[KEY_VAULT_CONFIG.MODE_KEY] || 'local') === 'local') {
+    return local[KEY_VAULT_CONFIG.PLAIN_KEY] || null;
+  }
+  const session = await chrome.storage.session.get(KEY_VAULT_CONFIG.SESSION_KEY);
+  return session[KEY_VAULT_CONFIG.SESSION_KEY] || null;
+}
+
+/**
+ * Store an API key in the given mode, removing copies kept by other modes.
+ * Encrypted keys stay unlocked for the rest of the session.
+ */
+async function storeApiKey(apiKey, { mode = 'local', passphrase = '' } = {}) {
+  if (!KEY_STORAGE_MODES[mode]) {
+    throw new Error(`Unknown key storage mode: ${mode}`);
+  }
+  if (mode === 'encrypted' && passphrase.length < KEY_VAULT_CONFIG.MIN_PASSPHRASE_LENGTH) {
+    throw new Error(`Passphrase must be at least ${KEY_VAULT_CONFIG.MIN_PASSPHRASE_LENGTH} characters`);
+  }
+
+  const vault = mode === 'encrypted' && apiKey ? await encryptApiKey(apiKey, passphrase) : null;
+
+  await chrome.storage.local.remove([KEY_VAULT_CONFIG.PLAIN_KEY, KEY_VAULT_CONFIG.VAULT_KEY]);
+  await chrome.storage.session.remove(KEY_VAULT_CONFIG.SESSION_KEY);
+
+  const local = { [KEY_VAULT_CONFIG.MODE_KEY]: mode };
+  if (mode === 'local' && apiKey) {
+    local[KEY_VAULT_CONFIG.PLAIN_KEY] = apiKey;
+  }
+  if (vault) {
+    local[KEY_VAULT_CONFIG.VAULT_KEY] = vault;
+  }
+  await chrome.storage.local.set(local);
+
+  if (mode !== 'local' && apiKey) {
+    await chrome.storage.session.set({ [KEY_VAULT_CONFIG.SESSION_KEY]: apiKey });
+  }
+}
+
+/**
+ * Decrypt the stored key into session storage
+ */
+async function unlockApiKey(passphrase) {
+  const local = await chrome.storage.local.get(KEY_VAULT_CONFIG.VAULT_KEY);
+  const vault = local[KEY_VAULT_CONFIG.VAULT_KEY];
+  if (!vault) {
+    throw new Error('No encrypted API key stored');
+  }
+
+  const apiKey = await decryptApiKey(vault, passphrase);
+  await chrome.storage.session.set({ [KEY_VAULT_CONFIG.SESSION_KEY]: apiKey });
+}
+
+/**
+ * Forget the unlocked key; the encrypted copy stays
+ */
+async function lockApiKey() {
+  await chrome.storage.session.remove(KEY_VAULT_CONFIG.SESSION_KEY);
+}
+
+/**
+ * Remove the API key in every mode
+ */
+async function forgetApiKey() {
+  await chrome.storage.local.remove([KEY_VAULT_CONFIG.PLAIN_KEY, KEY_VAULT_CONFIG.VAULT_KEY]);
+  await chrome.storage.session.remove(KEY_VAULT_CONFIG.SESSION_KEY);
+}
+
+/**
+ * Call `callback()` when the stored or unlocked key changes
+ */
+function onApiKeyChanged(callback) {
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    const keys = areaName === 'session'
+      ? [KEY_VAULT_CONFIG.SESSION_KEY]
+      : [KEY_VAULT_CONFIG.MODE_KEY, KEY_VAULT_CONFIG.VAULT_KEY, KEY_VAULT_CONFIG.PLAIN_KEY];
+    if ((areaName === 'session' || areaName === 'local') && keys.some(key => changes[key])) {
+      callback();
+    }
+  });
+}
@@ -0,0 +1,179 @@
+/**
+ * Reviewllama Knowledge Base Store
+ * The editable knowledge base lives in storage; the bundled
+ * knowledgebase.json is only used to seed it.
+ */
+
+const KNOWLEDGE_BASE_CONFIG = {
+  STORAGE_KEY: 'knowledgeBase',
+  VERSION: 2,
+  SEED_PATH: 'knowledgebase.json',
+  ID_PATTERN: /^[a-z0-9_]+$/,
+  LANGUAGE_PATTERN: /^[a-z]{2,3}(-[A-Za-z]{2,4})?$/
+};
+
+/**
+ * Split a comma- or semicolon-separated string into a list
+ */
+function toKnowledgeBaseList(value) {
+  if (Array.isArray(value)) {
+    return value;
+  }
+  return String(value || '').split(/[,;]/).map(part => part.trim()).filter(Boolean);
+}
+
+/**
+ * Upgrades from each schema version to the next. Files without a
+ * `version` field are version 1.
+ */
+const KNOWLEDGE_BASE_MIGRATIONS = {
+  // 2 adds `version` and accepts single-language strings and
+  // comma-separated lists from hand-written files
+  1: kb => ({
+    ...kb,
+    version: 2,
+    troubles: (kb.troubles || []).map(item => ({
+      ...item,
+      solution: typeof item.solution === 'string' ? { en: item.solution } : item.solution,
+      categories: toKnowledgeBaseList(item.categories),
+      keywords: toKnowledgeBaseList(item.keywords)
+    })),
+    templates: Object.fromEntries(Object.entries(kb.templates || {}).map(([id, texts]) => [
+      id,
+      typeof texts === 'string' ? { en: texts } : texts
+    ]))
+  })
+};
+
+/**
+ * Bring a knowledge base from any older schema version to the current one
+ */
+function migrateKnowledgeBase(kb) {
+  let version = kb.version || 1;
+  if (version > KNOWLEDGE_BASE_CONFIG.VERSION) {
+    throw new Error(`Knowledge base version ${version} is newer than this extension supports`);
+  }
+
+  let migrated = kb;
+  while (version < KNOWLEDGE_BASE_CONFIG.VERSION) {
+    migrated = KNOWLEDGE_BASE_MIGRATIONS[version](migrated);
+    version = migrated.version;
+  }
+  return migrated;
+}
+
+/**
+ * Load the knowledge base bundled with the extension
+ */
+async function loadKnowledgeBaseSeed() {
+  const response = await fetch(chrome.runtime.getURL(KNOWLEDGE_BASE_CONFIG.SEED_PATH));
+  return migrateKnowledgeBase(await response.json());
+}
+
+/**
+ * Get the stored knowledge base, falling back to the bundled seed
+ */
+async function getKnowledgeBase() {
+  const key = KNOWLEDGE_BASE_CONFIG.STORAGE_KEY;
+  const result = await chrome.storage.local.get(key);
+  return result[key] ? migrateKnowledgeBase(result[key]) : loadKnowledgeBaseSeed();
+}
+
+/**
+ * Copy the bundled knowledge base into storage if nothing is stored yet
+ */
+async function seedKnowledgeBase() {
+  const key = KNOWLEDGE_BASE_CONFIG.STORAGE_KEY;
+  const result = await chrome.storage.local.get(key);
+  if (!result[key]) {
+    await chrome.storage.local.set({ [key]: await loadKnowledgeBaseSeed() });
+  }
+}
+
+/**
+ * Check a `{ language: text }` map, reporting problems under `label`
+ */
+function validateLocalizedText(texts, label, errors) {
+  if (!texts || typeof texts !== 'object' || Array.isArray(texts)) {
+    errors.push(`${label}: must have text for at least one language`);
+    return;
+  }
+
+  const languages = Object.keys(texts);
+  if (languages.length === 0) {
+    errors.push(`${label}: must have text for at least one language`);
+  }
+  languages.forEach(language => {
+    if (!KNOWLEDGE_BASE_CONFIG.LANGUAGE_PATTERN.test(language)) {
+      errors.push(`${label}: "${language}" is not a language code (e.g. en, cs, pt-BR)`);
+    }
+    if (typeof texts[language] !== 'string' || !texts[language].trim()) {
+      errors.push(`${label}: ${language} text is empty`);
+    }
+  });
+}
+
+/**
+ * Validate a knowledge base. Returns a list of error messages, empty if valid.
+ */
+function validateKnowledgeBase(kb) {
+  const errors = [];
+
+  if (!kb || !Array.isArray(kb.troubles)) {
+    return ['Knowledge base must have a troubles list'];
+  }
+
+  const seenIds = new Set();
+  kb.troubles.forEach((item, index) => {
+    const label = `Trouble ${index + 1}${item.id ? ` (${item.id})` : ''}`;
+
+    if (!item.id || !KNOWLEDGE_BASE_CONFIG.ID_PATTERN.test(item.id)) {
+      errors.push(`${label}: ID must use lowercase letters, digits and underscores`);
+    } else if (seenIds.has(item.id)) {
+      errors.push(`${label}: ID is used more than once`);
+    }
+    seenIds.add(item.id);
+
+    if (!item.problem || !item.problem.trim()) {
+      errors.push(`${label}: problem is empty`);
+    }
+    validateLocalizedText(item.solution, `${label} solution`, errors);
+
+    ['categories', 'keywords'].forEach(field => {
+      if (!Array.isArray(item[field]) || item[field].some(value => typeof value !== 'string' || !value.trim())) {
+        errors.push(`${label}: ${field} must be a list of non-empty words`);
+      }
+    });
+    if (Array.isArray(item.keywords) && item.keywords.length === 0) {
+      errors.push(`${label}: add at least one keyword so reviews can match it`);
+    }
+  });
+
+  const templates = kb.templates || {};
+  if (typeof templates !== 'object' || Array.isArray(templates)) {
+    errors.push('Templates must be an object keyed by template ID');
+  } else {
+    Object.entries(templates).forEach(([id, texts]) => {
+      if (!KNOWLEDGE_BASE_CONFIG.ID_PATTERN.test(id)) {
+        errors.push(`Template ${id}: ID must use lowercase letters, digits and underscores`);
+      }
+      validateLocalizedText(texts, `Template ${id}`, errors);
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Validate and store the knowledge base
+ */
+async function saveKnowledgeBase(kb) {
+  const errors = validateKnowledgeBase(kb);
+  if (errors.length > 0) {
+    throw new Error(errors[0]);
+  }
+
+  const versioned = { ...kb, version: KNOWLEDGE_BASE_CONFIG.VERSION };
+  await chrome.storage.local.set({ [KNOWLEDGE_BASE_CONFIG.STORAGE_KEY]: versioned });
+  return versioned;
+}
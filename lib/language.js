@@ -0,0 +1,246 @@
+/**
+ * Reviewllama Languages
+ * Offline language detection (Unicode script, then character n-grams for
+ * Latin and Cyrillic text), reply language settings, and the fallback chain
+ * used to pick localized knowledge base text.
+ */
+
+const LANGUAGE_SETTINGS_KEY = 'languageSettings';
+
+const DEFAULT_LANGUAGE_SETTINGS = {
+  // Languages replies are written in; other reviews get the fallback language
+  supportedLanguages: ['en', 'cs'],
+  fallbackLanguage: 'en',
+  // Translate KB solutions with the LLM when no entry exists for the reply language
+  translateKnowledgeBase: false
+};
+
+const LANGUAGE_NAMES = {
+  en: 'English', cs: 'Czech', sk: 'Slovak', de: 'German', fr: 'French', es: 'Spanish',
+  it: 'Italian', pt: 'Portuguese', nl: 'Dutch', pl: 'Polish', sv: 'Swedish', da: 'Danish',
+  nb: 'Norwegian', fi: 'Finnish', hu: 'Hungarian', ro: 'Romanian', tr: 'Turkish', hr: 'Croatian',
+  id: 'Indonesian', vi: 'Vietnamese', ru: 'Russian', uk: 'Ukrainian', bg: 'Bulgarian',
+  el: 'Greek', ar: 'Arabic', he: 'Hebrew', hi: 'Hindi', th: 'Thai', ja: 'Japanese',
+  ko: 'Korean', zh: 'Chinese'
+};
+
+// Languages identified by their script alone
+const LANGUAGE_SCRIPTS = [
+  { language: 'ja', pattern: /[぀-ヿ]/g },
+  { language: 'ko', pattern: /[가-힯ᄀ-ᇿ]/g },
+  { language: 'zh', pattern: /[一-鿿]/g },
+  { language: 'el', pattern: /[Ͱ-Ͽ]/g },
+  { language: 'ar', pattern: /[؀-ۿ]/g },
+  { language: 'he', pattern: /[֐-׿]/g },
+  { language: 'th', pattern: /[฀-๿]/g },
+  { language: 'hi', pattern: /[ऀ-ॿ]/g }
+];
+
+const CYRILLIC_PATTERN = /[Ѐ-ӿ]/g;
+const LATIN_PATTERN = /[a-zÀ-ɏḀ-ỿ]/gi;
+
+// Typical review text per language, used to build the n-gram profiles
+const LANGUAGE_SAMPLES = {
+  latin: {
+    en: 'The app is great but it keeps crashing when I open it. Please fix this bug, I have been using it every day and now I can\'t log in. Thank you for the update, the new version works much better than the old one. Love it, would recommend to anyone.',
+    cs: 'Aplikace je skvělá, ale po poslední aktualizaci mi neustále padá. Nemůžu se přihlásit a synchronizace mezi zařízeními nefunguje. Prosím opravte to, jinak budu muset hledat jinou aplikaci. Děkuji za odpověď, je to moc dobré a všem doporučuji.',
+    sk: 'Aplikácia je výborná, ale po poslednej aktualizácii mi stále padá. Nemôžem sa prihlásiť a synchronizácia medzi zariadeniami nefunguje. Prosím opravte to, inak budem musieť hľadať inú aplikáciu. Ďakujem za odpoveď, je to veľmi dobré a všetkým odporúčam.',
+    de: 'Die App ist super, aber seit dem letzten Update stürzt sie ständig ab. Ich kann mich nicht mehr anmelden und die Synchronisierung zwischen den Geräten funktioniert nicht. Bitte behebt das, sonst muss ich eine andere App suchen. Danke für die Antwort, ich empfehle sie allen.',
+    fr: 'L\'application est géniale, mais depuis la dernière mise à jour elle plante tout le temps. Je ne peux plus me connecter et la synchronisation entre les appareils ne fonctionne pas. Merci de corriger ce problème, sinon je vais chercher une autre application. Je la recommande à tous.',
+    es: 'La aplicación es genial, pero desde la última actualización se cierra todo el tiempo. No puedo iniciar sesión y la sincronización entre los dispositivos no funciona. Por favor, arreglen esto, si no tendré que buscar otra aplicación. Gracias por la respuesta, la recomiendo a todos.',
+    it: 'L\'app è fantastica, ma dall\'ultimo aggiornamento si chiude continuamente. Non riesco più ad accedere e la sincronizzazione tra i dispositivi non funziona. Per favore risolvete questo problema, altrimenti dovrò cercare un\'altra applicazione. Grazie per la risposta, la consiglio a tutti.',
+    pt: 'O aplicativo é ótimo, mas desde a última atualização ele fecha o tempo todo. Não consigo entrar na minha conta e a sincronização entre os dispositivos não funciona. Por favor, corrijam isso, senão vou ter que procurar outro aplicativo. Obrigado pela resposta, recomendo a todos.',
+    nl: 'De app is geweldig, maar sinds de laatste update crasht hij steeds. Ik kan niet meer inloggen en de synchronisatie tussen de apparaten werkt niet. Los dit alsjeblieft op, anders moet ik een andere app zoeken. Bedankt voor het antwoord, ik raad het iedereen aan.',
+    pl: 'Aplikacja jest świetna, ale od ostatniej aktualizacji ciągle się zawiesza. Nie mogę się zalogować i synchronizacja między urządzeniami nie działa. Proszę to naprawić, bo inaczej będę musiał szukać innej aplikacji. Dziękuję za odpowiedź, polecam wszystkim.',
+    sv: 'Appen är jättebra, men sedan den senaste uppdateringen kraschar den hela tiden. Jag kan inte logga in och synkroniseringen mellan enheterna fungerar inte. Snälla fixa det, annars måste jag leta efter en annan app. Tack för svaret, jag rekommenderar den till alla.',
+    da: 'Appen er rigtig god, men siden den seneste opdatering går den hele tiden ned. Jeg kan ikke logge ind, og synkroniseringen mellem enhederne virker ikke. Ret venligst det, ellers må jeg finde en anden app. Tak for svaret, jeg kan anbefale den til alle.',
+    nb: 'Appen er veldig bra, men siden den siste oppdateringen krasjer den hele tiden. Jeg kan ikke logge inn, og synkroniseringen mellom enhetene fungerer ikke. Vennligst fiks dette, ellers må jeg finne en annen app. Takk for svaret, jeg anbefaler den til alle.',
+    fi: 'Sovellus on loistava, mutta viimeisimmän päivityksen jälkeen se kaatuu jatkuvasti. En pysty kirjautumaan sisään eikä synkronointi laitteiden välillä toimi. Korjatkaa tämä, muuten joudun etsimään toisen sovelluksen. Kiitos vastauksesta, suosittelen kaikille.',
+    hu: 'Az alkalmazás nagyszerű, de a legutóbbi frissítés óta folyamatosan összeomlik. Nem tudok bejelentkezni, és a szinkronizálás az eszközök között nem működik. Kérem, javítsák ki, különben másik alkalmazást kell keresnem. Köszönöm a választ, mindenkinek ajánlom.',
+    ro: 'Aplicația este grozavă, dar de la ultima actualizare se închide tot timpul. Nu mă pot conecta și sincronizarea între dispozitive nu funcționează. Vă rog să rezolvați asta, altfel va trebui să caut o altă aplicație. Mulțumesc pentru răspuns, o recomand tuturor.',
+    tr: 'Uygulama harika ama son güncellemeden beri sürekli çöküyor. Giriş yapamıyorum ve cihazlar arasındaki senkronizasyon çalışmıyor. Lütfen bunu düzeltin, yoksa başka bir uygulama aramak zorunda kalacağım. Cevabınız için teşekkürler, herkese tavsiye ederim.',
+    hr: 'Aplikacija je odlična, ali od zadnjeg ažuriranja stalno se ruši. Ne mogu se prijaviti i sinkronizacija između uređaja ne radi. Molim vas da to popravite, inače ću morati potražiti drugu aplikaciju. Hvala na odgovoru, preporučujem svima.',
+    id: 'Aplikasinya bagus, tapi sejak pembaruan terakhir sering keluar sendiri. Saya tidak bisa masuk dan sinkronisasi antara perangkat tidak berfungsi. Tolong perbaiki ini, kalau tidak saya harus mencari aplikasi lain. Terima kasih atas jawabannya, saya rekomendasikan untuk semua.',
+    vi: 'Ứng dụng rất tuyệt nhưng từ bản cập nhật mới nhất nó liên tục bị thoát. Tôi không thể đăng nhập và đồng bộ giữa các thiết bị không hoạt động. Vui lòng sửa lỗi này, nếu không tôi sẽ phải tìm ứng dụng khác. Cảm ơn vì đã trả lời, tôi giới thiệu cho mọi người.'
+  },
+  cyrillic: {
+    ru: 'Приложение отличное, но после последнего обновления оно постоянно вылетает. Я не могу войти в аккаунт, и синхронизация между устройствами не работает. Пожалуйста, исправьте это, иначе мне придётся искать другое приложение. Спасибо за ответ, всем рекомендую.',
+    uk: 'Застосунок чудовий, але після останнього оновлення він постійно вилітає. Я не можу увійти в обліковий запис, і синхронізація між пристроями не працює. Будь ласка, виправте це, інакше мені доведеться шукати інший застосунок. Дякую за відповідь, всім раджу.',
+    bg: 'Приложението е страхотно, но след последната актуализация постоянно се срива. Не мога да вляза в профила си и синхронизацията между устройствата не работи. Моля, оправете това, иначе ще трябва да търся друго приложение. Благодаря за отговора, препоръчвам на всички.'
+  }
+};
+
+const LANGUAGE_DETECTION_CONFIG = {
+  // Fewer letters than this are not enough to tell languages of one script apart
+  MIN_LETTERS: 12,
+  // Minimum average log-likelihood lead of the best language, per feature
+  MIN_MARGIN: 0.15,
+  SMOOTHING: 0.5
+};
+
+/**
+ * Character trigrams of each word (padded with spaces) plus the words themselves
+ */
+function languageFeatures(text) {
+  const words = text.toLowerCase().match(/[\p{L}]+/gu) || [];
+  const features = [];
+  words.forEach(word => {
+    features.push(`w:${word}`);
+    const padded = ` ${word} `;
+    for (let i = 0; i + 3 <= padded.length; i++) {
+      features.push(padded.slice(i, i + 3));
+    }
+  });
+  return features;
+}
+
+let languageProfiles = null;
+
+/**
+ * Feature counts per language, built from the samples on first use
+ */
+function getLanguageProfiles() {
+  if (!languageProfiles) {
+    languageProfiles = {};
+    Object.entries(LANGUAGE_SAMPLES).forEach(([script, samples]) => {
+      const vocabulary = new Set();
+      const profiles = Object.entries(samples).map(([language, sample]) => {
+        const counts = new Map();
+        const features = languageFeatures(sample);
+        features.forEach(feature => {
+          counts.set(feature, (counts.get(feature) || 0) + 1);
+          vocabulary.add(feature);
+        });
+        return { language, counts, total: features.length };
+      });
+      languageProfiles[script] = { profiles, vocabularySize: vocabulary.size };
+    });
+  }
+  return languageProfiles;
+}
+
+/**
+ * Pick the most likely language of a script by smoothed n-gram likelihood
+ */
+function scoreLanguageProfiles(text, script) {
+  const features = languageFeatures(text);
+  if (features.length === 0) {
+    return null;
+  }
+
+  const { profiles, vocabularySize } = getLanguageProfiles()[script];
+  const alpha = LANGUAGE_DETECTION_CONFIG.SMOOTHING;
+
+  const scores = profiles.map(({ language, counts, total }) => {
+    const logLikelihood = features.reduce((sum, feature) => {
+      return sum + Math.log(((counts.get(feature) || 0) + alpha) / (total + alpha * vocabularySize));
+    }, 0);
+    return { language, score: logLikelihood / features.length };
+  }).sort((a, b) => b.score - a.score);
+
+  return { ...scores[0], margin: scores.length > 1 ? scores[0].score - scores[1].score : Infinity };
+}
+
+/**
+ * Detect the language of text offline.
+ * Returns `{ language, confidence }`; language is null when unsure.
+ */
+function detectLanguageDetails(text) {
+  const source = text || '';
+  const count = pattern => (source.match(pattern) || []).length;
+
+  const latin = count(LATIN_PATTERN);
+  const cyrillic = count(CYRILLIC_PATTERN);
+
+  // Kana decides Japanese even when most characters are Han
+  const scripts = LANGUAGE_SCRIPTS
+    .map(({ language, pattern }) => ({ language, letters: count(pattern) }))
+    .filter(script => script.letters > 0);
+  const japanese = scripts.find(script => script.language === 'ja');
+  const topScript = japanese || scripts.sort((a, b) => b.letters - a.letters)[0];
+
+  if (topScript && topScript.letters >= Math.max(latin, cyrillic)) {
+    return { language: topScript.language, confidence: 1 };
+  }
+
+  const script = cyrillic > latin ? 'cyrillic' : 'latin';
+  if (Math.max(latin, cyrillic) < LANGUAGE_DETECTION_CONFIG.MIN_LETTERS) {
+    return { language: null, confidence: 0 };
+  }
+
+  const best = scoreLanguageProfiles(source, script);
+  if (!best) {
+    return { language: null, confidence: 0 };
+  }
+
+  const confidence = Math.min(1, best.margin / (LANGUAGE_DETECTION_CONFIG.MIN_MARGIN * 4));
+  return {
+    language: best.margin >= LANGUAGE_DETECTION_CONFIG.MIN_MARGIN ? best.language : null,
+    confidence: Math.round(confidence * 100) / 100
+  };
+}
+
+/**
+ * Detect the language of text offline; null when unsure
+ */
+function detectLanguage(text) {
+  return detectLanguageDetails(text).language;
+}
+
+/**
+ * Base language of a code ("pt-BR" -> "pt")
+ */
+function baseLanguage(language) {
+  return (language || '').split('-')[0].toLowerCase();
+}
+
+/**
+ * Display name of a language code
+ */
+function languageName(language) {
+  return LANGUAGE_NAMES[language] || LANGUAGE_NAMES[baseLanguage(language)] || language;
+}
+
+/**
+ * Load reply language settings
+ */
+async function getLanguageSettings() {
+  const result = await chrome.storage.local.get(LANGUAGE_SETTINGS_KEY);
+  return { ...DEFAULT_LANGUAGE_SETTINGS, ...result[LANGUAGE_SETTINGS_KEY] };
+}
+
+/**
+ * Language to reply in: the review's own language if supported, else the fallback
+ */
+function resolveReplyLanguage(reviewLanguage, settings) {
+  const supported = settings.supportedLanguages || [];
+  if (reviewLanguage && supported.includes(reviewLanguage)) {
+    return reviewLanguage;
+  }
+  if (reviewLanguage && supported.includes(baseLanguage(reviewLanguage))) {
+    return baseLanguage(reviewLanguage);
+  }
+  return settings.fallbackLanguage || 'en';
+}
+
+/**
+ * Languages to try, in order, for localized text in `language`
+ */
+function languageFallbackChain(language, settings) {
+  return [...new Set([
+    language,
+    baseLanguage(language),
+    settings.fallbackLanguage,
+    'en'
+  ].filter(Boolean))];
+}
+
+/**
+ * Pick text from a `{ language: text }` map along the fallback chain, then
+ * any language. Returns `{ language, text }` or null.
+ */
+function getLocalizedText(texts, chain) {
+  const entries = texts || {};
+  const language = chain.find(code => entries[code]) || Object.keys(entries).find(code => entries[code]);
+  return language ? { language, text: entries[language] } : null;
+}
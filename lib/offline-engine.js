@@ -0,0 +1,246 @@
+/**
+ * Reviewllama Offline Engine
+ * Rule-based review analysis and knowledge-base templated replies that run
+ * entirely in the extension, for apps whose review text must not be sent
+ * to a cloud provider. The same review always gets the same result.
+ */
+
+// Keywords per category in English, Czech, German, French and Spanish,
+// matched as whole words after stemming and folding diacritics
+const OFFLINE_CATEGORY_KEYWORDS = {
+  bug: [
+    'bug', 'crash', 'error', 'freeze', 'glitch', 'broken', 'fails', 'not working', 'doesnt work', 'stopped working',
+    'chyba', 'padá', 'spadne', 'nefunguje', 'zamrzá', 'nejde',
+    'Absturz', 'stürzt ab', 'Fehler', 'funktioniert nicht',
+    'plante', 'erreur', 'bogue', 'ne marche pas', 'ne fonctionne pas',
+    'se cierra', 'no funciona', 'fallo'
+  ],
+  feature: [
+    'feature', 'please add', 'add', 'wish', 'would like', 'missing', 'option',
+    'přidejte', 'přidat', 'chybí', 'uvítal bych', 'uvítala bych', 'funkce',
+    'hinzufügen', 'Funktion', 'fehlt', 'wünsche',
+    'ajouter', 'fonctionnalité', 'manque',
+    'añadir', 'agregar', 'función', 'falta'
+  ],
+  suggestion: [
+    'should', 'could', 'would be nice', 'suggest', 'better if', 'improve',
+    'měl by', 'mohli byste', 'navrhuji', 'bylo by fajn', 'zlepšit',
+    'sollte', 'könnte', 'Vorschlag', 'verbessern',
+    'devrait', 'suggère', 'améliorer',
+    'debería', 'sugiero', 'mejorar'
+  ],
+  question: [
+    'how do', 'how to', 'how can', 'why', 'is there',
+    'jak', 'proč', 'lze',
+    'wie', 'warum', 'gibt es',
+    'pourquoi', 'est-ce que',
+    'cómo', 'por qué'
+  ]
+};
+
+// Words that move sentiment away from what the rating alone says
+const OFFLINE_SENTIMENT_WORDS = {
+  positive: [
+    'love', 'great', 'excellent', 'awesome', 'amazing', 'perfect', 'best', 'good', 'nice', 'helpful', 'thanks',
+    'skvělá', 'výborná', 'dobrá', 'perfektní', 'super', 'díky', 'děkuji',
+    'toll', 'gut', 'prima', 'danke', 'genial',
+    'génial', 'parfait', 'merci', 'excellente',
+    'excelente', 'gracias', 'buena', 'encanta'
+  ],
+  negative: [
+    'hate', 'terrible', 'awful', 'worst', 'bad', 'useless', 'horrible', 'annoying', 'disappointed', 'waste', 'scam',
+    'hrozná', 'strašná', 'špatná', 'k ničemu', 'zklamání', 'otravná',
+    'schlecht', 'furchtbar', 'schrecklich', 'nutzlos', 'enttäuscht',
+    'nul', 'décevant', 'nulle', 'arnaque',
+    'malo', 'pésimo', 'inútil', 'estafa'
+  ]
+};
+
+// First matching category wins; reviews without a match fall back to sentiment
+const OFFLINE_CATEGORY_ORDER = ['bug', 'question', 'feature', 'suggestion'];
+
+const OFFLINE_MAX_TOPICS = 5;
+
+/**
+ * Small stable hash, so phrase choices depend on the review and nothing else
+ */
+function offlineHash(text) {
+  let hash = 0;
+  for (const char of String(text)) {
+    hash = (hash * 31 + char.codePointAt(0)) >>> 0;
+  }
+  return hash;
+}
+
+function matchedKeywords(keywords, terms) {
+  return keywords.filter(keyword => termMatches(keyword, terms));
+}
+
+/**
+ * Sentiment from the star rating, nudged by positive and negative words.
+ * Without a rating the words decide alone.
+ */
+function offlineSentiment(rating, terms) {
+  const positive = matchedKeywords(OFFLINE_SENTIMENT_WORDS.positive, terms).length;
+  const negative = matchedKeywords(OFFLINE_SENTIMENT_WORDS.negative, terms).length;
+  const lexicon = Math.max(-2, Math.min(2, positive - negative));
+  const score = rating ? (rating - 3) + lexicon / 2 : lexicon;
+
+  if (score >= 1) return 'positive';
+  if (score <= -1) return 'negative';
+  return 'neutral';
+}
+
+/**
+ * Analyze a review without a provider. Returns the same fields as the LLM
+ * analysis: `{ id, sentiment, category, language, topics }`. Topics are the
+ * categories of matched KB troubles and the keywords that set the category.
+ */
+function analyzeReviewOffline(review, troubles = []) {
+  const text = reviewMatchText(review);
+  const terms = buildMatchTerms(text);
+  const sentiment = offlineSentiment(review.rating, terms);
+
+  let category = null;
+  let categoryKeywords = [];
+  for (const name of OFFLINE_CATEGORY_ORDER) {
+    categoryKeywords = matchedKeywords(OFFLINE_CATEGORY_KEYWORDS[name], terms);
+    if (name === 'question' && text.includes('?')) {
+      categoryKeywords.push('?');
+    }
+    if (categoryKeywords.length > 0) {
+      category = name;
+      break;
+    }
+  }
+  if (!category) {
+    categoryKeywords = [];
+    category = sentiment === 'negative' ? 'complaint' : sentiment === 'positive' ? 'praise' : 'suggestion';
+  }
+
+  const kbTopics = scoreKnowledgeBaseLexical(text, troubles)
+    .filter(score => score.confidence >= KB_MATCH_CONFIG.MIN_CONFIDENCE)
+    .sort((a, b) => b.confidence - a.confidence)
+    .flatMap(score => troubles.find(item => item.id === score.id)?.categories || []);
+  // "please add" and "add" are one topic
+  const keywordTopics = categoryKeywords
+    .filter(keyword => keyword !== '?')
+    .map(keyword => keyword.toLowerCase())
+    .filter((keyword, i, all) => !all.some(other => other !== keyword && other.includes(keyword)));
+
+  return {
+    id: review.id,
+    sentiment,
+    category,
+    language: review.language || detectLanguage(text) || 'en',
+    topics: [...new Set([...kbTopics, ...keywordTopics])].slice(0, OFFLINE_MAX_TOPICS),
+    engine: 'offline'
+  };
+}
+
+function endSentence(text) {
+  const trimmed = (text || '').trim();
+  return trimmed && !/[.!?…]$/.test(trimmed) ? `${trimmed}.` : trimmed;
+}
+
+/**
+ * One KB phrase (greeting, closing, apology, appreciation) in the reply
+ * language, chosen by index
+ */
+function pickOfflinePhrase(phrases, name, chain, index) {
+  const localized = getLocalizedText(phrases?.[name], chain);
+  if (!localized) return null;
+
+  const list = [].concat(localized.text).filter(Boolean);
+  return list.length > 0 ? list[index % list.length] : null;
+}
+
+/**
+ * Opening sentences: an apology for problems, appreciation otherwise.
+ * Empathetic replies get a second sentence.
+ */
+function offlineOpening(review, { analysis, phrases, chain, tone }) {
+  const seed = offlineHash(review.id || reviewMatchText(review));
+  const negative = analysis.sentiment === 'negative' || ['bug', 'complaint'].includes(analysis.category);
+  const opening = [pickOfflinePhrase(phrases, negative ? 'apology' : 'appreciation', chain, seed)];
+
+  if (tone === 'empathetic') {
+    opening.push(negative
+      ? pickOfflinePhrase(phrases, 'appreciation', chain, seed)
+      : pickOfflinePhrase(phrases, 'appreciation', chain, seed + 1));
+  }
+  return [...new Set(opening.filter(Boolean).map(endSentence))];
+}
+
+/**
+ * Build a reply from KB phrases, the category template and the best KB
+ * solution, in the language of `chain`. Short or concise replies leave out
+ * the opening and, when a solution exists, the template. The greeting and
+ * sign-off are left to the reply policy when it defines them (`rules`).
+ */
+function composeOfflineReply(review, { analysis, phrases, chain, template, solution, rules = {}, tone, length }) {
+  const brief = length === 'short' || tone === 'concise';
+  const body = [];
+
+  if (!brief || (!template && !solution)) {
+    body.push(...offlineOpening(review, { analysis, phrases, chain, tone }));
+  }
+  if (template && !(brief && solution)) {
+    body.push(endSentence(template));
+  }
+  if (solution) {
+    body.push(endSentence(solution));
+  }
+
+  const parts = [];
+  const greeting = rules.greeting ? null : pickOfflinePhrase(phrases, 'greeting', chain, 0);
+  if (greeting) {
+    parts.push(review.nickname ? `${greeting} ${review.nickname},` : `${greeting},`);
+  }
+  parts.push(body.join(' '));
+
+  const closings = [].concat(getLocalizedText(phrases?.closing, chain)?.text || []);
+  const closing = rules.signOff ? null : closings[tone === 'upbeat' ? closings.length - 1 : 0];
+  if (closing) {
+    parts.push(closing);
+  }
+
+  return parts.filter(Boolean).join('\n\n');
+}
+
+// Refine actions the offline engine can apply
+const OFFLINE_REFINE_ACTIONS = ['shorter', 'warmer', 'add_fix'];
+
+/**
+ * Apply a refine action to a reply without a provider: shorter keeps the
+ * last half of the main paragraph, warmer adds the opening sentences and
+ * add_fix appends the KB solution. The main paragraph is the longest one,
+ * so greeting and sign-off lines stay as they are.
+ */
+function refineOfflineReply(text, action, { review, analysis, phrases, chain, solution }) {
+  if (!OFFLINE_REFINE_ACTIONS.includes(action)) {
+    throw new Error(`"${action}" is not available in offline mode`);
+  }
+
+  const paragraphs = text.trim().split(/\n\s*\n/);
+  const main = paragraphs.reduce((longest, paragraph, index) =>
+    paragraph.length > paragraphs[longest].length ? index : longest, 0);
+  const sentences = splitSentences(paragraphs[main]).map(sentence => sentence.trim()).filter(Boolean);
+
+  if (action === 'shorter') {
+    paragraphs[main] = sentences.slice(-Math.ceil(sentences.length / 2)).join(' ');
+  } else if (action === 'warmer') {
+    const opening = offlineOpening(review, { analysis, phrases, chain, tone: 'empathetic' })
+      .filter(sentence => !paragraphs[main].includes(sentence));
+    paragraphs[main] = [...opening, ...sentences].join(' ');
+  } else {
+    if (!solution) {
+      throw new Error('No knowledge base fix matches this review');
+    }
+    if (!paragraphs[main].includes(solution.trim())) {
+      paragraphs[main] = [...sentences, endSentence(solution)].join(' ');
+    }
+  }
+
+  return paragraphs.join('\n\n');
+}
@@ -0,0 +1,228 @@
+/**
+ * Reviewllama Prompt Templates
+ * Prompt profiles (a default one plus one per App Store Connect app) and
+ * rendering of `{VARIABLE}` placeholders. Bundled prompts.json supplies any
+ * prompt a profile leaves empty.
+ */
+
+const PROMPT_TEMPLATE_CONFIG = {
+  STORAGE_KEY: 'promptProfiles',
+  DEFAULT_PROFILE_ID: 'default',
+  APP_ID_PATTERN: /^\d+$/
+};
+
+// Prompts that profiles can override
+const EDITABLE_PROMPTS = {
+  system_prompt: 'System prompt',
+  response_generation_prompt: 'Reply prompt'
+};
+
+// Variables available in the reply prompt, with preview values
+const PROMPT_VARIABLES = {
+  NICKNAME: { description: 'Reviewer nickname', sample: 'happyuser42' },
+  APP_NAME: { description: 'App name from the profile or page', sample: 'My App' },
+  VERSION: { description: 'App version the review was written for', sample: '2.4.1' },
+  RATING: { description: 'Star rating (1-5)', sample: '2' },
+  TITLE: { description: 'Review title', sample: 'Crashes on startup' },
+  CONTENT: { description: 'Review text', sample: 'Since the last update the app closes right after opening.' },
+  DATE: { description: 'Review date', sample: 'Oct 12, 2026' },
+  TERRITORY: { description: 'App Store storefront', sample: 'USA' },
+  LANGUAGE: { description: 'Reply language name', sample: 'English' },
+  EXISTING_REPLY: { description: 'Current developer reply, if any', sample: 'None' },
+  CONTEXT: { description: 'Matched knowledge base items', sample: 'Problem: App crashes on startup\nSolution: Update to the latest version.' },
+  BRAND_VOICE: { description: 'Brand voice notes from the profile', sample: 'Friendly, first names, no jargon.' },
+  REPLY_POLICY: { description: 'Reply policy rules (length, greeting, forbidden phrases)', sample: '- Keep the whole reply under 500 characters' },
+  TONE: { description: 'Tone and length picked in the reply modal', sample: 'Warm and empathetic; acknowledge how the reviewer feels first.' }
+};
+
+// Tones offered in the reply modal; variants are generated for DEFAULT_VARIANT_TONES
+const REPLY_TONES = {
+  natural: { label: 'Natural', instruction: 'Natural and conversational.' },
+  empathetic: { label: 'Empathetic', instruction: 'Warm and empathetic; acknowledge how the reviewer feels first.' },
+  concise: { label: 'Concise', instruction: 'Concise and to the point; no filler.' },
+  formal: { label: 'Formal', instruction: 'Formal and professional; no casual phrasing.' },
+  upbeat: { label: 'Upbeat', instruction: 'Upbeat and enthusiastic, without exaggerating.' }
+};
+
+const REPLY_LENGTHS = {
+  standard: { label: 'Standard length', instruction: '' },
+  short: { label: 'Short', instruction: 'Two or three sentences at most.' },
+  detailed: { label: 'Detailed', instruction: 'Up to six sentences; walk through the fix step by step if one is known.' }
+};
+
+const DEFAULT_REPLY_TONE = 'natural';
+const DEFAULT_REPLY_LENGTH = 'standard';
+const DEFAULT_VARIANT_TONES = ['empathetic', 'concise', 'formal'];
+
+// Edits applied to the reply already in the editor
+const REFINE_ACTIONS = {
+  shorter: { label: 'Shorter', instruction: 'Make the reply noticeably shorter while keeping its main point.' },
+  warmer: { label: 'Warmer', instruction: 'Make the reply warmer and more personal without making it longer.' },
+  add_fix: {
+    label: 'Add KB fix',
+    instruction: 'Work the most relevant solution from the knowledge base context into the reply as a concrete step the reviewer can take.'
+  },
+  translate: { label: 'Translate', instruction: 'Translate the reply into {LANGUAGE}, keeping its meaning and tone.' }
+};
+
+const PROMPT_PLACEHOLDER_PATTERN = /\{([A-Za-z_][A-Za-z0-9_]*)\}/g;
+
+/**
+ * Replace every `{NAME}` placeholder in one pass. Values are inserted as-is
+ * and never expanded again, so review text containing `{CONTENT}` stays
+ * literal. Unknown placeholders are left in place.
+ */
+function renderPromptTemplate(template, values) {
+  return (template || '').replace(PROMPT_PLACEHOLDER_PATTERN, (placeholder, name) => {
+    return Object.prototype.hasOwnProperty.call(values, name) ? String(values[name] ?? '') : placeholder;
+  });
+}
+
+/**
+ * Placeholders in a template that are not known variables
+ */
+function findUnknownPlaceholders(template, known = PROMPT_VARIABLES) {
+  const unknown = new Set();
+  for (const [, name] of (template || '').matchAll(PROMPT_PLACEHOLDER_PATTERN)) {
+    if (!Object.prototype.hasOwnProperty.call(known, name)) {
+      unknown.add(name);
+    }
+  }
+  return [...unknown];
+}
+
+/**
+ * Values of the reply prompt variables for a review
+ */
+function buildPromptVariables(review, { language, context, appName, brandVoice, tone, length }) {
+  return {
+    NICKNAME: review.nickname || 'the reviewer',
+    APP_NAME: appName || review.appName || 'our app',
+    VERSION: review.appVersion || 'unknown',
+    RATING: review.rating,
+    TITLE: review.title,
+    CONTENT: review.content,
+    DATE: review.dateText || review.date || 'unknown',
+    TERRITORY: review.territory || 'unknown',
+    LANGUAGE: language,
+    EXISTING_REPLY: review.developerReply?.text || 'None',
+    CONTEXT: context || 'No specific knowledge base items matched.',
+    BRAND_VOICE: brandVoice || 'No specific brand voice; be friendly and professional.',
+    TONE: describeReplyStyle(tone, length)
+  };
+}
+
+/**
+ * Tone and length instruction for the `{TONE}` variable
+ */
+function describeReplyStyle(tone, length) {
+  return [
+    (REPLY_TONES[tone] || REPLY_TONES[DEFAULT_REPLY_TONE]).instruction,
+    REPLY_LENGTHS[length]?.instruction
+  ].filter(Boolean).join(' ');
+}
+
+/**
+ * App Store Connect app ID from a page URL (".../apps/1234567890/...")
+ */
+function parseAppIdFromUrl(url) {
+  const match = (url || '').match(/\/apps?\/(\d+)(?:\/|$|\?)/);
+  return match ? match[1] : null;
+}
+
+function createDefaultPromptProfile() {
+  return {
+    id: PROMPT_TEMPLATE_CONFIG.DEFAULT_PROFILE_ID,
+    name: 'Default',
+    appId: null,
+    appName: '',
+    brandVoice: '',
+    prompts: {}
+  };
+}
+
+/**
+ * Stored prompt profiles; the default profile always comes first
+ */
+async function getPromptProfiles() {
+  const key = PROMPT_TEMPLATE_CONFIG.STORAGE_KEY;
+  const result = await chrome.storage.local.get(key);
+  const profiles = result[key] || [];
+  const defaultProfile = profiles.find(profile => profile.id === PROMPT_TEMPLATE_CONFIG.DEFAULT_PROFILE_ID);
+  return [
+    defaultProfile || createDefaultPromptProfile(),
+    ...profiles.filter(profile => profile.id !== PROMPT_TEMPLATE_CONFIG.DEFAULT_PROFILE_ID)
+  ];
+}
+
+/**
+ * Profile and prompts for an app. The app's profile (or the default one)
+ * wins; prompts and brand voice it leaves empty come from the default
+ * profile, then the bundled prompts.
+ */
+function resolvePromptProfile(profiles, appId, bundledPrompts) {
+  const defaultProfile = profiles.find(profile => profile.id === PROMPT_TEMPLATE_CONFIG.DEFAULT_PROFILE_ID) ||
+    createDefaultPromptProfile();
+  const profile = (appId && profiles.find(candidate => candidate.appId === appId)) || defaultProfile;
+
+  const prompts = { ...bundledPrompts };
+  Object.keys(EDITABLE_PROMPTS).forEach(name => {
+    const custom = [profile, defaultProfile].map(candidate => candidate.prompts?.[name]).find(text => text?.trim());
+    if (custom) {
+      prompts[name] = custom;
+    }
+  });
+
+  return {
+    profile,
+    prompts,
+    appName: profile.appName?.trim() || '',
+    brandVoice: profile.brandVoice?.trim() || defaultProfile.brandVoice?.trim() || ''
+  };
+}
+
+/**
+ * Validate prompt profiles. Returns a list of error messages, empty if valid.
+ */
+function validatePromptProfiles(profiles) {
+  const errors = [];
+  const seenApps = new Set();
+
+  profiles.forEach((profile, index) => {
+    const label = `Profile ${profile.name || index + 1}`;
+
+    if (!profile.name || !profile.name.trim()) {
+      errors.push(`${label}: name is empty`);
+    }
+    if (profile.id !== PROMPT_TEMPLATE_CONFIG.DEFAULT_PROFILE_ID) {
+      if (!PROMPT_TEMPLATE_CONFIG.APP_ID_PATTERN.test(profile.appId || '')) {
+        errors.push(`${label}: app ID must be the number from the App Store Connect URL`);
+      } else if (seenApps.has(profile.appId)) {
+        errors.push(`${label}: another profile already uses app ${profile.appId}`);
+      }
+      seenApps.add(profile.appId);
+    }
+
+    Object.entries(EDITABLE_PROMPTS).forEach(([name, title]) => {
+      const unknown = findUnknownPlaceholders(profile.prompts?.[name]);
+      if (unknown.length > 0) {
+        errors.push(`${label} ${title.toLowerCase()}: unknown ${unknown.map(variable => `{${variable}}`).join(', ')}`);
+      }
+    });
+  });
+
+  return errors;
+}
+
+/**
+ * Validate and store prompt profiles
+ */
+async function savePromptProfiles(profiles) {
+  const errors = validatePromptProfiles(profiles);
+  if (errors.length > 0) {
+    throw new Error(errors[0]);
+  }
+
+  await chrome.storage.local.set({ [PROMPT_TEMPLATE_CONFIG.STORAGE_KEY]: profiles });
+  return profiles;
+}
@@ -0,0 +1,388 @@
+/**
+ * Reviewllama LLM Providers
+ * Request/response mapping for the supported chat completion APIs.
+ * Loaded by the background service worker (importScripts) and the popup.
+ */
+
+const DEFAULT_LLM_CONFIG = {
+  provider: 'openai',
+  baseUrl: '',
+  model: '',
+  apiVersion: '',
+  embeddingModel: ''
+};
+
+// Vector size requested from OpenAI text-embedding-3 models, to keep the cache small
+const EMBEDDING_DIMENSIONS = 256;
+
+const LLM_PROVIDERS = {
+  openai: {
+    label: 'OpenAI',
+    defaultBaseUrl: 'https://api.openai.com/v1',
+    defaultModel: 'gpt-4o-mini',
+    defaultEmbeddingModel: 'text-embedding-3-small',
+    requiresApiKey: true,
+    supportsJsonMode: true,
+
+    buildChatRequest(config, apiKey, messages, options) {
+      return {
+        url: `${config.baseUrl}/chat/completions`,
+        headers: {
+          'Authorization': `Bearer ${apiKey}`,
+          'Content-Type': 'application/json'
+        },
+        body: {
+          ...buildOpenAIChatBody(config.model, messages, options, true),
+          // Token usage arrives in a final chunk only when asked for
+          ...(options.stream ? { stream_options: { include_usage: true } } : {})
+        }
+      };
+    },
+
+    parseChatResponse: parseOpenAIChatResponse,
+    parseStreamEvent: parseOpenAIStreamEvent,
+
+    buildEmbeddingRequest(config, apiKey, inputs) {
+      return {
+        url: `${config.baseUrl}/embeddings`,
+        headers: {
+          'Authorization': `Bearer ${apiKey}`,
+          'Content-Type': 'application/json'
+        },
+        body: { model: config.embeddingModel, input: inputs, dimensions: EMBEDDING_DIMENSIONS }
+      };
+    },
+
+    parseEmbeddingResponse: parseOpenAIEmbeddingResponse,
+
+    buildTestRequest(config, apiKey) {
+      return {
+        url: `${config.baseUrl}/models`,
+        headers: { 'Authorization': `Bearer ${apiKey}` }
+      };
+    },
+
+    parseTestResponse: parseOpenAIModelList
+  },
+
+  azure: {
+    label: 'Azure OpenAI',
+    defaultBaseUrl: 'https://YOUR-RESOURCE.openai.azure.com',
+    defaultModel: '',
+    defaultApiVersion: '2024-06-01',
+    requiresApiKey: true,
+    supportsJsonMode: true,
+
+    buildChatRequest(config, apiKey, messages, options) {
+      // Azure routes by deployment name; the model field holds the deployment
+      const deployment = encodeURIComponent(config.model);
+      return {
+        url: `${config.baseUrl}/openai/deployments/${deployment}/chat/completions?api-version=${config.apiVersion}`,
+        headers: {
+          'api-key': apiKey,
+          'Content-Type': 'application/json'
+        },
+        body: buildOpenAIChatBody(null, messages, options, true)
+      };
+    },
+
+    parseChatResponse: parseOpenAIChatResponse,
+    parseStreamEvent: parseOpenAIStreamEvent,
+
+    buildEmbeddingRequest(config, apiKey, inputs) {
+      // The embedding model field holds the embedding deployment
+      const deployment = encodeURIComponent(config.embeddingModel);
+      return {
+        url: `${config.baseUrl}/openai/deployments/${deployment}/embeddings?api-version=${config.apiVersion}`,
+        headers: {
+          'api-key': apiKey,
+          'Content-Type': 'application/json'
+        },
+        // ada-002 deployments reject `dimensions`, so use the full vector
+        body: { input: inputs }
+      };
+    },
+
+    parseEmbeddingResponse: parseOpenAIEmbeddingResponse,
+
+    buildTestRequest(config, apiKey) {
+      return {
+        url: `${config.baseUrl}/openai/models?api-version=${config.apiVersion}`,
+        headers: { 'api-key': apiKey }
+      };
+    },
+
+    parseTestResponse: parseOpenAIModelList
+  },
+
+  anthropic: {
+    label: 'Anthropic',
+    defaultBaseUrl: 'https://api.anthropic.com/v1',
+    defaultModel: 'claude-3-5-haiku-latest',
+    requiresApiKey: true,
+    supportsJsonMode: false,
+
+    buildChatRequest(config, apiKey, messages, options) {
+      // Anthropic takes the system prompt as a top-level field
+      const system = messages
+        .filter(m => m.role === 'system')
+        .map(m => m.content)
+        .join('\n\n');
+
+      const body = {
+        model: config.model,
+        max_tokens: options.max_tokens || 500,
+        temperature: options.temperature ?? 0.7,
+        messages: messages.filter(m => m.role !== 'system')
+      };
+      if (system) {
+        body.system = system;
+      }
+      if (options.stream) {
+        body.stream = true;
+      }
+
+      return {
+        url: `${config.baseUrl}/messages`,
+        headers: {
+          'x-api-key': apiKey,
+          'anthropic-version': '2023-06-01',
+          'anthropic-dangerous-direct-browser-access': 'true',
+          'Content-Type': 'application/json'
+        },
+        body
+      };
+    },
+
+    parseChatResponse(data) {
+      const content = (data.content || [])
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join('');
+      const input = data.usage?.input_tokens || 0;
+      const output = data.usage?.output_tokens || 0;
+
+      return {
+        content,
+        model: data.model,
+        usage: {
+          prompt_tokens: input,
+          completion_tokens: output,
+          total_tokens: input + output
+        }
+      };
+    },
+
+    // Streamed text arrives in content_block_delta events; usage is split
+    // between message_start (input) and message_delta (output)
+    parseStreamEvent(event, data) {
+      switch (data.type) {
+        case 'message_start':
+          return {
+            model: data.message?.model,
+            usage: { prompt_tokens: data.message?.usage?.input_tokens || 0 }
+          };
+        case 'content_block_delta':
+          return { delta: data.delta?.type === 'text_delta' ? data.delta.text : '' };
+        case 'message_delta':
+          return { usage: { completion_tokens: data.usage?.output_tokens || 0 } };
+        case 'error':
+          return { error: data.error?.message || 'Stream error' };
+        default:
+          return {};
+      }
+    },
+
+    buildTestRequest(config, apiKey) {
+      return {
+        url: `${config.baseUrl}/models`,
+        headers: {
+          'x-api-key': apiKey,
+          'anthropic-version': '2023-06-01',
+          'anthropic-dangerous-direct-browser-access': 'true'
+        }
+      };
+    },
+
+    parseTestResponse: parseOpenAIModelList
+  },
+
+  openai_compatible: {
+    label: 'Ollama / OpenAI-compatible (local)',
+    defaultBaseUrl: 'http://localhost:11434/v1',
+    defaultModel: 'llama3.1',
+    requiresApiKey: false,
+    // Many local servers reject response_format, so JSON is requested in the prompt
+    supportsJsonMode: false,
+
+    buildChatRequest(config, apiKey, messages, options) {
+      const headers = { 'Content-Type': 'application/json' };
+      if (apiKey) {
+        headers['Authorization'] = `Bearer ${apiKey}`;
+      }
+      return {
+        url: `${config.baseUrl}/chat/completions`,
+        headers,
+        body: buildOpenAIChatBody(config.model, messages, options, false)
+      };
+    },
+
+    parseChatResponse: parseOpenAIChatResponse,
+    parseStreamEvent: parseOpenAIStreamEvent,
+
+    buildEmbeddingRequest(config, apiKey, inputs) {
+      const headers = { 'Content-Type': 'application/json' };
+      if (apiKey) {
+        headers['Authorization'] = `Bearer ${apiKey}`;
+      }
+      return {
+        url: `${config.baseUrl}/embeddings`,
+        headers,
+        body: { model: config.embeddingModel, input: inputs }
+      };
+    },
+
+    parseEmbeddingResponse: parseOpenAIEmbeddingResponse,
+
+    buildTestRequest(config, apiKey) {
+      return {
+        url: `${config.baseUrl}/models`,
+        headers: apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {}
+      };
+    },
+
+    parseTestResponse: parseOpenAIModelList
+  }
+};
+
+/**
+ * Build an OpenAI-style chat completions body
+ */
+function buildOpenAIChatBody(model, messages, options, supportsJsonMode) {
+  const body = {
+    messages,
+    temperature: options.temperature ?? 0.7,
+    max_tokens: options.max_tokens || 500
+  };
+  if (model) {
+    body.model = model;
+  }
+  if (options.json && supportsJsonMode) {
+    body.response_format = { type: 'json_object' };
+  }
+  if (options.stream) {
+    body.stream = true;
+  }
+  return body;
+}
+
+/**
+ * Normalize an OpenAI-style chat completions response
+ */
+function parseOpenAIChatResponse(data) {
+  return {
+    content: data.choices?.[0]?.message?.content || '',
+    model: data.model,
+    usage: {
+      prompt_tokens: data.usage?.prompt_tokens || 0,
+      completion_tokens: data.usage?.completion_tokens || 0,
+      total_tokens: data.usage?.total_tokens || 0
+    }
+  };
+}
+
+/**
+ * Read one chunk of an OpenAI-style streamed completion:
+ * `{ delta, model, usage }`, with usage only on the final chunk
+ */
+function parseOpenAIStreamEvent(event, data) {
+  if (data.error) {
+    return { error: data.error.message || 'Stream error' };
+  }
+
+  const parsed = {
+    delta: data.choices?.[0]?.delta?.content || '',
+    model: data.model
+  };
+  if (data.usage) {
+    parsed.usage = {
+      prompt_tokens: data.usage.prompt_tokens || 0,
+      completion_tokens: data.usage.completion_tokens || 0
+    };
+  }
+  return parsed;
+}
+
+/**
+ * Read vectors from an OpenAI-style embeddings response, in input order
+ */
+function parseOpenAIEmbeddingResponse(data) {
+  return {
+    vectors: (data.data || [])
+      .slice()
+      .sort((a, b) => a.index - b.index)
+      .map(item => item.embedding),
+    model: data.model,
+    usage: {
+      prompt_tokens: data.usage?.prompt_tokens || 0,
+      completion_tokens: 0,
+      total_tokens: data.usage?.total_tokens || 0
+    }
+  };
+}
+
+/**
+ * Read model IDs from a `{ data: [{ id }] }` model list
+ */
+function parseOpenAIModelList(data) {
+  return (data.data || data.models || []).map(model => model.id || model.name).filter(Boolean);
+}
+
+/**
+ * Fill in provider defaults for any empty config fields
+ */
+function resolveLLMConfig(config = {}) {
+  const merged = { ...DEFAULT_LLM_CONFIG, ...config };
+  const provider = LLM_PROVIDERS[merged.provider] || LLM_PROVIDERS.openai;
+
+  return {
+    provider: LLM_PROVIDERS[merged.provider] ? merged.provider : 'openai',
+    baseUrl: (merged.baseUrl || provider.defaultBaseUrl).replace(/\/+$/, ''),
+    model: merged.model || provider.defaultModel,
+    apiVersion: merged.apiVersion || provider.defaultApiVersion || '',
+    // Empty when the provider has no embeddings API or no default model
+    embeddingModel: provider.buildEmbeddingRequest
+      ? merged.embeddingModel || provider.defaultEmbeddingModel || ''
+      : ''
+  };
+}
+
+/**
+ * Prepare messages for JSON output on providers without a native JSON mode
+ */
+function applyJsonInstruction(provider, messages) {
+  if (provider.supportsJsonMode) {
+    return messages;
+  }
+
+  const instruction = 'Respond with a single valid JSON object only, without markdown code fences or commentary.';
+  const [first, ...rest] = messages;
+  if (first?.role === 'system') {
+    return [{ ...first, content: `${first.content}\n\n${instruction}` }, ...rest];
+  }
+  return [{ role: 'system', content: instruction }, ...messages];
+}
+
+/**
+ * Parse JSON from model output, tolerating code fences and surrounding text
+ */
+function parseJsonContent(text) {
+  const trimmed = (text || '').trim();
+  try {
+    return JSON.parse(trimmed);
+  } catch (error) {
+    const fenced = trimmed.match(/```(?:json)?\s*([\s\S]*?)```/);
+    const candidate = fenced ? fenced[1] : trimmed.slice(trimmed.indexOf('{'), trimmed.lastIndexOf('}') + 1);
+    return JSON.parse(candidate);
+  }
+}
@@ -0,0 +1,295 @@
+/**
+ * Reviewllama Reply Policy
+ * Rules every reply must follow: length, greeting and sign-off, forbidden
+ * phrases, emoji and formality. The rules are written into the reply prompt
+ * and checked again on the generated text, which is repaired where possible.
+ */
+
+const REPLY_POLICY_KEY = 'replyPolicy';
+
+// App Store Connect rejects longer developer responses
+const APP_STORE_REPLY_LIMIT = 5970;
+
+const DEFAULT_REPLY_POLICY = {
+  maxLength: 500,
+  allowEmoji: false,
+  forbiddenPhrases: [],
+  // Fix violations automatically instead of only flagging them
+  autoRepair: true,
+  // Per language: { greeting, signOff, formality: 'any' | 'formal' | 'informal' }
+  languages: {}
+};
+
+// Pronouns that give away the form of address, per language
+const FORMALITY_MARKERS = {
+  de: { formal: ['Sie', 'Ihnen', 'Ihr', 'Ihre', 'Ihrem', 'Ihren'], informal: ['du', 'dich', 'dir', 'dein', 'deine', 'euch'] },
+  fr: { formal: ['vous', 'votre', 'vos'], informal: ['tu', 'toi', 'ton', 'ta', 'tes', 'te'] },
+  es: { formal: ['usted', 'ustedes'], informal: ['tú', 'te', 'ti', 'tu', 'tus'] },
+  it: { formal: ['Lei', 'Suo', 'Sua'], informal: ['tu', 'ti', 'te', 'tuo', 'tua'] },
+  cs: { formal: ['Vám', 'Vás', 'Váš', 'Vaše'], informal: ['ty', 'tebe', 'tobě', 'tvůj', 'tvoje', 'ti'] },
+  sk: { formal: ['Vám', 'Vás', 'Váš', 'Vaše'], informal: ['ty', 'teba', 'tebe', 'tvoj', 'tvoje', 'ti'] },
+  pl: { formal: ['Pan', 'Pani', 'Państwo', 'Pana'], informal: ['ty', 'ciebie', 'tobie', 'twój', 'twoja', 'cię'] },
+  nl: { formal: ['u', 'uw'], informal: ['je', 'jij', 'jou', 'jouw'] },
+  pt: { formal: ['o senhor', 'a senhora'], informal: ['tu', 'te', 'teu', 'tua'] }
+};
+
+// Case matters for the capitalised polite forms ("Sie" vs "sie")
+const CASE_SENSITIVE_FORMALITY = new Set(['de', 'it', 'cs', 'sk', 'pl']);
+
+// Pictographs except the ©, ® and ™ signs used in product names
+const EMOJI_PATTERN = /(?![\u00A9\u00AE\u2122])[\p{Extended_Pictographic}\u{1F1E6}-\u{1F1FF}][\u{1F3FB}-\u{1F3FF}\uFE0F]?(\u200D\p{Extended_Pictographic}[\u{1F3FB}-\u{1F3FF}\uFE0F]?)*/gu;
+
+// A first or last line this short is treated as an existing greeting or sign-off
+const SALUTATION_MAX_LENGTH = 60;
+
+/**
+ * Load the reply policy
+ */
+async function getReplyPolicy() {
+  const result = await chrome.storage.local.get(REPLY_POLICY_KEY);
+  return { ...DEFAULT_REPLY_POLICY, ...result[REPLY_POLICY_KEY] };
+}
+
+/**
+ * Validate a reply policy. Returns a list of error messages, empty if valid.
+ */
+function validateReplyPolicy(policy) {
+  const errors = [];
+
+  if (!Number.isInteger(policy.maxLength) || policy.maxLength < 50 || policy.maxLength > APP_STORE_REPLY_LIMIT) {
+    errors.push(`Maximum length must be between 50 and ${APP_STORE_REPLY_LIMIT} characters`);
+  }
+  if (policy.forbiddenPhrases.some(phrase => typeof phrase !== 'string' || !phrase.trim())) {
+    errors.push('Forbidden phrases must not be empty');
+  }
+  Object.entries(policy.languages).forEach(([language, rules]) => {
+    const fixedLength = (rules.greeting || '').length + (rules.signOff || '').length;
+    if (fixedLength > policy.maxLength / 2) {
+      errors.push(`${language}: greeting and sign-off take more than half the maximum length`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Validate and store the reply policy
+ */
+async function saveReplyPolicy(policy) {
+  const errors = validateReplyPolicy(policy);
+  if (errors.length > 0) {
+    throw new Error(errors[0]);
+  }
+
+  await chrome.storage.local.set({ [REPLY_POLICY_KEY]: policy });
+  return policy;
+}
+
+/**
+ * Policy, reply language and greeting variables for a review, read from
+ * storage so any extension page or the content script can check a reply
+ */
+async function getReplyPolicyContext(review) {
+  const [policy, languageSettings, profiles] = await Promise.all([
+    getReplyPolicy(),
+    getLanguageSettings(),
+    getPromptProfiles()
+  ]);
+  const language = resolveReplyLanguage(review.language || review.analysis?.language, languageSettings);
+  const { appName } = resolvePromptProfile(profiles, review.appId, {});
+
+  return {
+    policy,
+    language,
+    variables: buildPromptVariables(review, { language: languageName(language), appName })
+  };
+}
+
+/**
+ * Greeting and sign-off for a language with `{NICKNAME}`-style variables filled in
+ */
+function resolvePolicyLanguage(policy, language, variables = {}) {
+  const rules = policy.languages[language] || policy.languages[baseLanguage(language)] || {};
+  return {
+    greeting: renderPromptTemplate(rules.greeting || '', variables).trim(),
+    signOff: renderPromptTemplate(rules.signOff || '', variables).trim(),
+    formality: rules.formality || 'any'
+  };
+}
+
+/**
+ * Policy rules as prompt instructions
+ */
+function describeReplyPolicy(policy, language, variables = {}) {
+  const { greeting, signOff, formality } = resolvePolicyLanguage(policy, language, variables);
+  const lines = [`- Keep the whole reply under ${policy.maxLength} characters`];
+
+  if (greeting) {
+    lines.push(`- Start the reply with exactly: ${greeting}`);
+  }
+  if (signOff) {
+    lines.push(`- End the reply with exactly: ${signOff}`);
+  }
+  if (policy.forbiddenPhrases.length > 0) {
+    lines.push(`- Never use these words or promises: ${policy.forbiddenPhrases.map(phrase => `"${phrase}"`).join(', ')}`);
+  }
+  lines.push(policy.allowEmoji ? '- Emoji are fine in moderation' : '- Do not use emoji');
+  if (formality !== 'any') {
+    const markers = FORMALITY_MARKERS[baseLanguage(language)]?.[formality];
+    lines.push(`- Address the reviewer ${formality === 'formal' ? 'formally' : 'informally'}${markers ? ` (${markers.slice(0, 2).join(', ')})` : ''}`);
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Render the reply prompt. `variables.REPLY_POLICY` holds the policy rules;
+ * templates without a `{REPLY_POLICY}` placeholder get them appended.
+ */
+function renderReplyPrompt(template, variables) {
+  const prompt = renderPromptTemplate(template, variables);
+  return (template || '').includes('{REPLY_POLICY}') ? prompt : `${prompt}\n\nReply policy:\n${variables.REPLY_POLICY}`;
+}
+
+function escapePolicyPattern(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Regex matching a phrase as whole words
+ */
+function phrasePattern(phrase, flags = 'iu') {
+  return new RegExp(`(^|[^\\p{L}\\p{N}])${escapePolicyPattern(phrase.trim())}(?=$|[^\\p{L}\\p{N}])`, flags);
+}
+
+function splitSentences(text) {
+  return text.match(/[^.!?\n]+[.!?]*\s*|\n+/g) || [];
+}
+
+function normalizeSalutation(text) {
+  return text.trim().replace(/[\s,.!]+$/, '').toLowerCase();
+}
+
+/**
+ * Problems with a reply, as `[{ rule, message }]`
+ */
+function checkReplyPolicy(text, policy, rules) {
+  const violations = [];
+  const trimmed = text.trim();
+
+  if (trimmed.length > policy.maxLength) {
+    violations.push({ rule: 'length', message: `${trimmed.length} characters, over the ${policy.maxLength} limit` });
+  }
+  if (rules.greeting && !normalizeSalutation(trimmed).startsWith(normalizeSalutation(rules.greeting))) {
+    violations.push({ rule: 'greeting', message: `Does not start with "${rules.greeting}"` });
+  }
+  if (rules.signOff && !normalizeSalutation(trimmed).endsWith(normalizeSalutation(rules.signOff))) {
+    violations.push({ rule: 'signOff', message: `Does not end with "${rules.signOff}"` });
+  }
+  policy.forbiddenPhrases.forEach(phrase => {
+    if (phrasePattern(phrase).test(trimmed)) {
+      violations.push({ rule: 'forbidden', message: `Contains "${phrase}"` });
+    }
+  });
+  if (!policy.allowEmoji && trimmed.match(EMOJI_PATTERN)) {
+    violations.push({ rule: 'emoji', message: 'Contains emoji' });
+  }
+
+  const markers = FORMALITY_MARKERS[baseLanguage(rules.language)];
+  if (markers && rules.formality !== 'any') {
+    const opposite = rules.formality === 'formal' ? 'informal' : 'formal';
+    const flags = CASE_SENSITIVE_FORMALITY.has(baseLanguage(rules.language)) && opposite === 'formal' ? 'u' : 'iu';
+    // Skip the first word so sentence-initial capitals do not count as polite forms
+    const body = trimmed.replace(/^\S+\s*/, '');
+    const found = markers[opposite].filter(word => phrasePattern(word, flags).test(body));
+    if (found.length > 0) {
+      violations.push({ rule: 'formality', message: `Uses ${opposite} address (${found.join(', ')})` });
+    }
+  }
+
+  return violations;
+}
+
+/**
+ * Fix what can be fixed: drop emoji and sentences with forbidden phrases,
+ * add the greeting and sign-off, and shorten to the maximum length
+ */
+function repairReply(text, policy, rules) {
+  const repairs = [];
+  let body = text.trim();
+
+  if (!policy.allowEmoji && body.match(EMOJI_PATTERN)) {
+    body = body.replace(EMOJI_PATTERN, '').replace(/[ \t]{2,}/g, ' ').replace(/ +([.,!?])/g, '$1').trim();
+    repairs.push('Removed emoji');
+  }
+
+  policy.forbiddenPhrases.forEach(phrase => {
+    const pattern = phrasePattern(phrase);
+    if (pattern.test(body)) {
+      body = splitSentences(body).filter(sentence => !pattern.test(sentence)).join('').trim();
+      repairs.push(`Removed the sentence with "${phrase}"`);
+    }
+  });
+
+  // Take the greeting and sign-off off the body; they are added back after shortening
+  const lines = body.split('\n');
+  if (rules.greeting) {
+    const first = lines[0].trim();
+    if (normalizeSalutation(first).startsWith(normalizeSalutation(rules.greeting))) {
+      lines[0] = first.slice(rules.greeting.length).replace(/^[\s,.!]+/, '');
+    } else if (lines.length > 1 && first.length <= SALUTATION_MAX_LENGTH && /,$/.test(first)) {
+      lines[0] = '';
+      repairs.push('Replaced the greeting');
+    } else {
+      repairs.push('Added the greeting');
+    }
+  }
+  if (rules.signOff) {
+    const last = lines[lines.length - 1].trim();
+    if (normalizeSalutation(last).endsWith(normalizeSalutation(rules.signOff))) {
+      lines[lines.length - 1] = last.slice(0, last.toLowerCase().lastIndexOf(normalizeSalutation(rules.signOff)));
+    } else if (lines.length > 1 && last.length <= SALUTATION_MAX_LENGTH && !/[.?!]$/.test(last)) {
+      lines[lines.length - 1] = '';
+      repairs.push('Replaced the sign-off');
+    } else {
+      repairs.push('Added the sign-off');
+    }
+  }
+  body = lines.join('\n').trim();
+
+  const fixedLength = (rules.greeting ? rules.greeting.length + 2 : 0) + (rules.signOff ? rules.signOff.length + 2 : 0);
+  const budget = policy.maxLength - fixedLength;
+  if (body.length > budget) {
+    let shortened = '';
+    for (const sentence of splitSentences(body)) {
+      if ((shortened + sentence).trimEnd().length > budget) break;
+      shortened += sentence;
+    }
+    // No sentence fits: cut at a word boundary
+    if (!shortened.trim()) {
+      shortened = body.slice(0, budget - 1).replace(/\s+\S*$/, '') + '…';
+    }
+    body = shortened.trim();
+    repairs.push(`Shortened to ${policy.maxLength} characters`);
+  }
+
+  const repaired = [rules.greeting, body, rules.signOff].filter(Boolean).join('\n\n');
+  return { text: repaired, repairs: repaired.trim() === text.trim() ? [] : repairs };
+}
+
+/**
+ * Check a reply against the policy and repair it when auto-repair is on.
+ * `context` has the reply `language` and prompt `variables` for the
+ * greeting and sign-off. Returns `{ text, repairs, violations }`, where
+ * violations are the problems left after repair.
+ */
+function enforceReplyPolicy(text, policy, context) {
+  const rules = { ...resolvePolicyLanguage(policy, context.language, context.variables), language: context.language };
+
+  let result = { text, repairs: [] };
+  if (policy.autoRepair && checkReplyPolicy(text, policy, rules).length > 0) {
+    result = repairReply(text, policy, rules);
+  }
+
+  return { ...result, violations: checkReplyPolicy(result.text, policy, rules).map(violation => violation.message) };
+}
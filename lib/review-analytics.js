@@ -0,0 +1,115 @@
+/**
+ * Reviewllama Review Analytics
+ * Trends and breakdowns computed from stored reviews: rating and sentiment
+ * per week or month, categories, topics, answered rate and time to reply.
+ */
+
+const REVIEW_ANALYTICS_CONFIG = {
+  MAX_TOPICS: 15,
+  SENTIMENTS: ['positive', 'neutral', 'negative']
+};
+
+/**
+ * Start of the week (Monday) or month of an ISO date, as YYYY-MM-DD
+ */
+function analyticsPeriod(isoDate, bucket) {
+  const date = new Date(isoDate);
+  if (bucket === 'month') {
+    return `${isoDate.slice(0, 7)}-01`;
+  }
+  const weekday = (date.getUTCDay() + 6) % 7;
+  date.setUTCDate(date.getUTCDate() - weekday);
+  return date.toISOString().slice(0, 10);
+}
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function countBy(items, key) {
+  const counts = {};
+  items.forEach(item => {
+    const value = key(item);
+    if (value) counts[value] = (counts[value] || 0) + 1;
+  });
+  return Object.entries(counts)
+    .map(([name, count]) => ({ name, count }))
+    .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+}
+
+/**
+ * Hours from a review to its reply, or null when either date is unknown.
+ * ASC reports when the reply was last modified, so edited replies count
+ * from the edit.
+ */
+function replyDelayHours(review) {
+  const repliedAt = review.developerReply?.updatedAt;
+  if (!review.date || !repliedAt) return null;
+  const hours = (new Date(repliedAt) - new Date(review.date)) / 3600000;
+  return hours >= 0 ? hours : null;
+}
+
+/**
+ * Analytics for stored reviews (see searchStoredReviews). `bucket` is
+ * 'week' or 'month'. Reviews without an analysis count towards ratings and
+ * replies but not sentiment, categories or topics.
+ */
+function computeReviewAnalytics(reviews, { bucket = 'week' } = {}) {
+  const analyzed = reviews.filter(review => review.analysis);
+  const rated = reviews.filter(review => review.rating > 0);
+  const answered = reviews.filter(review => review.hasResponse);
+  const delays = answered.map(replyDelayHours).filter(hours => hours !== null);
+
+  const periods = {};
+  reviews.forEach(review => {
+    const period = analyticsPeriod(storedReviewDate(review), bucket);
+    const entry = periods[period] || (periods[period] = {
+      period, count: 0, ratingSum: 0, rated: 0, answered: 0, positive: 0, neutral: 0, negative: 0
+    });
+    entry.count++;
+    if (review.rating > 0) {
+      entry.ratingSum += review.rating;
+      entry.rated++;
+    }
+    if (review.hasResponse) entry.answered++;
+    if (REVIEW_ANALYTICS_CONFIG.SENTIMENTS.includes(review.analysis?.sentiment)) {
+      entry[review.analysis.sentiment]++;
+    }
+  });
+
+  const ratingDistribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  rated.forEach(review => {
+    ratingDistribution[review.rating]++;
+  });
+
+  const sentiments = Object.fromEntries(REVIEW_ANALYTICS_CONFIG.SENTIMENTS.map(sentiment => [
+    sentiment,
+    analyzed.filter(review => review.analysis.sentiment === sentiment).length
+  ]));
+
+  return {
+    total: reviews.length,
+    analyzed: analyzed.length,
+    averageRating: rated.length ? rated.reduce((sum, review) => sum + review.rating, 0) / rated.length : null,
+    ratingDistribution,
+    sentiments,
+    trend: Object.values(periods)
+      .sort((a, b) => a.period.localeCompare(b.period))
+      .map(({ ratingSum, rated: ratedCount, ...entry }) => ({
+        ...entry,
+        averageRating: ratedCount ? ratingSum / ratedCount : null
+      })),
+    categories: countBy(analyzed, review => review.analysis.category),
+    topics: countBy(
+      analyzed.flatMap(review => [...new Set((review.analysis.topics || []).map(topic => String(topic).trim().toLowerCase()))]),
+      topic => topic
+    ).slice(0, REVIEW_ANALYTICS_CONFIG.MAX_TOPICS),
+    answered: answered.length,
+    answeredRate: reviews.length ? answered.length / reviews.length : null,
+    medianReplyHours: median(delays),
+    timedReplies: delays.length
+  };
+}
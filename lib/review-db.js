@@ -0,0 +1,301 @@
+/**
+ * Reviewllama Review Database
+ * Every review seen on an App Store Connect app page, kept in IndexedDB with
+ * its analysis, reply and app ID, and searchable by the words of its title,
+ * content and reply. Reviews are stored once per ID; a review first seen
+ * under a content hash is merged into its ASC ID when that shows up.
+ * Only the background worker opens the database; access is serialized.
+ */
+
+const REVIEW_DB_CONFIG = {
+  NAME: 'reviewllama',
+  VERSION: 1,
+  STORE: 'reviews',
+  MAX_RESULTS: 200
+};
+
+// Review fields kept in the database
+const STORED_REVIEW_FIELDS = [
+  'id', 'appId', 'appName', 'title', 'content', 'rating', 'nickname', 'date', 'dateText',
+  'territory', 'appVersion', 'language', 'edited', 'lastModified', 'hasResponse'
+];
+
+let reviewDbPromise = null;
+let reviewDbLock = Promise.resolve();
+
+function openReviewDb() {
+  if (!reviewDbPromise) {
+    reviewDbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(REVIEW_DB_CONFIG.NAME, REVIEW_DB_CONFIG.VERSION);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(REVIEW_DB_CONFIG.STORE, { keyPath: 'id' });
+        store.createIndex('appId', 'appId');
+        store.createIndex('fingerprint', 'fingerprint');
+        store.createIndex('words', 'words', { multiEntry: true });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // Let the next call retry after a failed open
+    reviewDbPromise.catch(() => {
+      reviewDbPromise = null;
+    });
+  }
+  return reviewDbPromise;
+}
+
+function idbResult(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Run `callback(store)` in one transaction without interleaving with others.
+ * Resolves with the callback's value once the transaction has committed.
+ */
+function withReviewStore(mode, callback) {
+  const run = reviewDbLock.then(async () => {
+    const db = await openReviewDb();
+    const transaction = db.transaction(REVIEW_DB_CONFIG.STORE, mode);
+    const done = new Promise((resolve, reject) => {
+      transaction.oncomplete = resolve;
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error || new Error('Review database transaction aborted'));
+    });
+
+    const value = await callback(transaction.objectStore(REVIEW_DB_CONFIG.STORE));
+    await done;
+    return value;
+  });
+
+  reviewDbLock = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Identity of a review apart from its ID: app, nickname and displayed date.
+ * Undefined when either is missing, so the review is not indexed by it.
+ */
+function reviewFingerprint(review) {
+  if (!review.nickname || !review.dateText) return undefined;
+  return [review.appId || '', review.nickname, review.dateText]
+    .map(value => String(value).replace(/\s+/g, ' ').trim().toLowerCase())
+    .join('|');
+}
+
+/**
+ * Folded words of the title, content and reply, for search
+ */
+function reviewSearchWords(record) {
+  return [...new Set(tokenizeMatchText([
+    record.title,
+    record.content,
+    record.developerReply?.text
+  ].join('\n')))];
+}
+
+/**
+ * Merge a freshly seen review into its stored record. Analysis and reply
+ * text are kept when the new snapshot has none.
+ */
+function mergeStoredReview(existing, review, now) {
+  const record = { ...existing };
+  STORED_REVIEW_FIELDS.forEach(field => {
+    if (review[field] !== undefined) {
+      record[field] = review[field];
+    }
+  });
+
+  record.analysis = review.analysis || existing?.analysis || null;
+  record.developerReply = review.developerReply || (review.hasResponse ? existing?.developerReply : null) || null;
+  record.fingerprint = reviewFingerprint(record);
+  record.words = reviewSearchWords(record);
+  record.firstSeenAt = existing?.firstSeenAt || now;
+  record.lastSeenAt = now;
+  return record;
+}
+
+/**
+ * Stored record for a review: by ID, or by fingerprint when one side only
+ * has a content-hash ID (`h_`). Content-hash IDs change when a review is
+ * edited, and are replaced by the ASC ID (`asc_`) once it is known.
+ */
+async function findStoredReview(store, review) {
+  const existing = await idbResult(store.get(review.id));
+  const fingerprint = reviewFingerprint(review);
+  if (existing || !fingerprint) {
+    return existing || null;
+  }
+
+  const candidates = await idbResult(store.index('fingerprint').getAll(fingerprint));
+  return candidates.find(candidate =>
+    candidate.id.startsWith('h_') || review.id.startsWith('h_')
+  ) || null;
+}
+
+/**
+ * Add or update reviews. Returns `{ added, updated }`.
+ */
+function storeReviews(reviews) {
+  return withReviewStore('readwrite', async store => {
+    const now = Date.now();
+    let added = 0;
+    let updated = 0;
+
+    for (const review of reviews) {
+      if (!review?.id) continue;
+      const existing = await findStoredReview(store, review);
+      let record = mergeStoredReview(existing, review, now);
+
+      if (existing && existing.id !== review.id) {
+        if (existing.id.startsWith('asc_')) {
+          // A hash-ID snapshot of a review already stored under its ASC ID
+          record = { ...record, id: existing.id };
+        } else {
+          store.delete(existing.id);
+          record.previousIds = [...new Set([...(existing.previousIds || []), existing.id])];
+        }
+      }
+
+      store.put(record);
+      if (existing) {
+        updated++;
+      } else {
+        added++;
+      }
+    }
+
+    return { added, updated };
+  });
+}
+
+/**
+ * Record a reply posted from the extension on a stored review
+ */
+function storePostedReply(review, text) {
+  return withReviewStore('readwrite', async store => {
+    const existing = await findStoredReview(store, review);
+    const record = mergeStoredReview(existing, {
+      ...review,
+      id: existing?.id || review.id,
+      hasResponse: true,
+      developerReply: { text, status: 'pending', updatedAt: new Date().toISOString() }
+    }, Date.now());
+    store.put(record);
+    return record;
+  });
+}
+
+/**
+ * Compare dotted version strings numerically ("3.10" > "3.2")
+ */
+function compareVersions(a, b) {
+  const partsA = String(a).split('.').map(Number);
+  const partsB = String(b).split('.').map(Number);
+  for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+    const diff = (partsA[i] || 0) - (partsB[i] || 0);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+}
+
+/**
+ * Review date as an ISO string; reviews without one use when they were first seen
+ */
+function storedReviewDate(record) {
+  return record.date || new Date(record.firstSeenAt).toISOString();
+}
+
+function matchesReviewFilters(record, words, filters) {
+  const analysis = record.analysis || {};
+
+  if (!words.every(word => record.words.some(recordWord => recordWord.startsWith(word)))) return false;
+  if (filters.appId && record.appId !== filters.appId) return false;
+  if (filters.rating && record.rating !== Number(filters.rating)) return false;
+  if (filters.sentiment && analysis.sentiment !== filters.sentiment) return false;
+  if (filters.category && analysis.category !== filters.category) return false;
+  if (filters.language && (analysis.language || record.language) !== filters.language) return false;
+  if (filters.appVersion && record.appVersion !== filters.appVersion) return false;
+  if (filters.minVersion && (!record.appVersion || compareVersions(record.appVersion, filters.minVersion) < 0)) return false;
+  if (filters.replied === 'answered' && !record.hasResponse) return false;
+  if (filters.replied === 'unanswered' && record.hasResponse) return false;
+  if (filters.from && storedReviewDate(record) < filters.from) return false;
+  if (filters.to && storedReviewDate(record).slice(0, 10) > filters.to) return false;
+  return true;
+}
+
+/**
+ * Search stored reviews. Every word of `query` must start a word of the
+ * title, content or reply. Filters: appId, rating, sentiment, category,
+ * language, appVersion, minVersion, replied ('answered' or 'unanswered') and from/to
+ * dates (YYYY-MM-DD). Returns `{ total, reviews }`, newest first, with at
+ * most `limit` reviews.
+ */
+function searchStoredReviews(filters = {}) {
+  const words = tokenizeMatchText(filters.query || '');
+
+  return withReviewStore('readonly', async store => {
+    let records;
+    if (words.length > 0) {
+      // Narrow by the longest word through the index, check the rest below
+      const longest = words.reduce((a, b) => (b.length > a.length ? b : a));
+      const matches = await idbResult(store.index('words').getAll(IDBKeyRange.bound(longest, `${longest}\uffff`)));
+      records = [...new Map(matches.map(record => [record.id, record])).values()];
+    } else if (filters.appId) {
+      records = await idbResult(store.index('appId').getAll(filters.appId));
+    } else {
+      records = await idbResult(store.getAll());
+    }
+
+    const matching = records
+      .filter(record => matchesReviewFilters(record, words, filters))
+      .sort((a, b) => storedReviewDate(b).localeCompare(storedReviewDate(a)));
+
+    return {
+      total: matching.length,
+      reviews: matching.slice(0, filters.limit || REVIEW_DB_CONFIG.MAX_RESULTS).map(({ words, fingerprint, ...record }) => record)
+    };
+  });
+}
+
+/**
+ * Values to filter by: apps with review counts, languages and app versions
+ */
+function getStoredReviewFacets() {
+  return withReviewStore('readonly', async store => {
+    const records = await idbResult(store.getAll());
+    const apps = {};
+    const languages = new Set();
+    const versions = new Set();
+
+    records.forEach(record => {
+      const app = apps[record.appId || ''] || (apps[record.appId || ''] = {
+        appId: record.appId || null,
+        appName: record.appName || null,
+        count: 0
+      });
+      app.count++;
+      app.appName = app.appName || record.appName || null;
+
+      const language = record.analysis?.language || record.language;
+      if (language) languages.add(language);
+      if (record.appVersion) versions.add(record.appVersion);
+    });
+
+    return {
+      total: records.length,
+      apps: Object.values(apps).sort((a, b) => b.count - a.count),
+      languages: [...languages].sort(),
+      versions: [...versions].sort((a, b) => compareVersions(b, a))
+    };
+  });
+}
+
+/**
+ * Delete every stored review
+ */
+function clearStoredReviews() {
+  return withReviewStore('readwrite', store => idbResult(store.clear()));
+}
@@ -0,0 +1,236 @@
+/**
+ * Reviewllama Review Export
+ * Export reviews with their analysis and replies as CSV, JSON or a Markdown
+ * report, with a column and format picker shared by extension pages.
+ * Needs export-utils.js.
+ */
+
+const REVIEW_EXPORT_CONFIG = {
+  STORAGE_KEY: 'reviewExportSettings',
+  MAX_TOPICS: 10
+};
+
+const REVIEW_EXPORT_COLUMNS = [
+  { key: 'title', label: 'Title', value: review => review.title || '' },
+  { key: 'content', label: 'Content', value: review => review.content || '' },
+  { key: 'rating', label: 'Rating', value: review => review.rating || null },
+  { key: 'nickname', label: 'Nickname', value: review => review.nickname || '' },
+  { key: 'date', label: 'Date', value: review => review.date || review.dateText || '' },
+  { key: 'sentiment', label: 'Sentiment', value: review => review.analysis?.sentiment || '' },
+  { key: 'category', label: 'Category', value: review => review.analysis?.category || '' },
+  { key: 'topics', label: 'Topics', value: review => review.analysis?.topics || [] },
+  // Older drafts store bare KB IDs
+  { key: 'kbMatches', label: 'KB matches', value: review => (review.kbMatches || []).map(match => match.id || match) },
+  { key: 'replyText', label: 'Reply', value: review => review.developerReply?.text || '' },
+  { key: 'replyStatus', label: 'Reply status', value: reviewReplyStatus }
+];
+
+const REVIEW_EXPORT_FORMATS = {
+  csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv' },
+  json: { label: 'JSON', extension: 'json', mimeType: 'application/json' },
+  markdown: { label: 'Markdown report', extension: 'md', mimeType: 'text/markdown' }
+};
+
+const DEFAULT_REVIEW_EXPORT_SETTINGS = {
+  format: 'csv',
+  columns: REVIEW_EXPORT_COLUMNS.map(column => column.key)
+};
+
+/**
+ * ASC status of the reply (pending, hidden, published), or answered/unanswered
+ * when it is unknown
+ */
+function reviewReplyStatus(review) {
+  if (review.developerReply?.status) return review.developerReply.status;
+  return review.hasResponse ? 'answered' : 'unanswered';
+}
+
+/**
+ * Rows of `{ [column key]: value }` for the chosen columns, in column order
+ */
+function reviewExportRows(reviews, columnKeys) {
+  const columns = REVIEW_EXPORT_COLUMNS.filter(column => columnKeys.includes(column.key));
+  return {
+    columns,
+    rows: reviews.map(review => Object.fromEntries(columns.map(column => [column.key, column.value(review)])))
+  };
+}
+
+function reviewsToCsv(reviews, columnKeys) {
+  const { columns, rows } = reviewExportRows(reviews, columnKeys);
+  return toCsv(rows, columns);
+}
+
+function reviewsToJson(reviews, columnKeys, { filters = [] } = {}) {
+  const { rows } = reviewExportRows(reviews, columnKeys);
+  return JSON.stringify({
+    exportedAt: new Date().toISOString(),
+    filters,
+    count: rows.length,
+    reviews: rows
+  }, null, 2);
+}
+
+/**
+ * Text safe inside a Markdown table cell
+ */
+function markdownCell(value) {
+  const text = Array.isArray(value) ? value.join(', ') : String(value ?? '');
+  return text.replace(/\\/g, '\\\\').replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+}
+
+/**
+ * `- name: count (share)` lines, most frequent first
+ */
+function markdownCounts(values, total, limit = Infinity) {
+  const counts = {};
+  values.filter(Boolean).forEach(value => {
+    counts[value] = (counts[value] || 0) + 1;
+  });
+  const lines = Object.entries(counts)
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, limit)
+    .map(([name, count]) => `- ${markdownCell(name)}: ${count} (${Math.round((count / total) * 100)}%)`);
+  return lines.length ? lines.join('\n') : '- None';
+}
+
+/**
+ * Markdown report: summary of ratings, replies, sentiment, categories,
+ * topics and KB matches, then a table of the reviews with the chosen columns
+ */
+function reviewsToMarkdown(reviews, columnKeys, { title = 'Review report', filters = [] } = {}) {
+  const total = reviews.length;
+  const rated = reviews.filter(review => review.rating > 0);
+  const analyzed = reviews.filter(review => review.analysis);
+  const answered = reviews.filter(review => review.hasResponse).length;
+  const average = rated.length ? rated.reduce((sum, review) => sum + review.rating, 0) / rated.length : null;
+  const { columns, rows } = reviewExportRows(reviews, columnKeys);
+
+  const lines = [
+    `# ${title}`,
+    '',
+    `Exported ${new Date().toLocaleString()} · ${total} review${total === 1 ? '' : 's'}`,
+    filters.length ? `Filters: ${filters.join(', ')}` : 'No filters',
+    '',
+    '## Summary',
+    '',
+    `- Average rating: ${average === null ? '-' : `${average.toFixed(2)}★`}`,
+    ...[5, 4, 3, 2, 1].map(rating => `- ${'★'.repeat(rating)}: ${rated.filter(review => review.rating === rating).length}`),
+    `- Answered: ${answered} (${total ? Math.round((answered / total) * 100) : 0}%)`,
+    `- Analyzed: ${analyzed.length}`
+  ];
+
+  if (analyzed.length > 0) {
+    lines.push(
+      '', '## Sentiment', '', markdownCounts(analyzed.map(review => review.analysis.sentiment), analyzed.length),
+      '', '## Categories', '', markdownCounts(analyzed.map(review => review.analysis.category), analyzed.length),
+      '', '## Top topics', '',
+      markdownCounts(
+        analyzed.flatMap(review => [...new Set((review.analysis.topics || []).map(topic => String(topic).trim().toLowerCase()))]),
+        analyzed.length,
+        REVIEW_EXPORT_CONFIG.MAX_TOPICS
+      )
+    );
+  }
+  if (reviews.some(review => review.kbMatches)) {
+    lines.push('', '## KB matches', '', markdownCounts(
+      reviews.flatMap(review => (review.kbMatches || []).map(match => match.id || match)),
+      total
+    ));
+  }
+
+  if (columns.length > 0 && total > 0) {
+    lines.push(
+      '', '## Reviews', '',
+      `| ${columns.map(column => column.label).join(' | ')} |`,
+      `| ${columns.map(() => '---').join(' | ')} |`,
+      ...rows.map(row => `| ${columns.map(column => markdownCell(row[column.key])).join(' | ')} |`)
+    );
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Build an export in `format` ('csv', 'json' or 'markdown') and download it
+ * as reviewllama-<name>-<date>
+ */
+function exportReviews(reviews, { format, columns, name, title, filters = [] }) {
+  const builders = {
+    csv: () => reviewsToCsv(reviews, columns),
+    json: () => reviewsToJson(reviews, columns, { filters }),
+    markdown: () => reviewsToMarkdown(reviews, columns, { title, filters })
+  };
+  const { extension, mimeType } = REVIEW_EXPORT_FORMATS[format];
+  downloadFile(`reviewllama-${name}-${exportDateStamp()}.${extension}`, builders[format](), mimeType);
+}
+
+/**
+ * Labels of the filter controls that are set: the selected option of a
+ * select, or "<label>: <value>" for inputs
+ */
+function activeFilterLabels(controls) {
+  return controls
+    .filter(control => control.value)
+    .map(control => control.tagName === 'SELECT'
+      ? control.selectedOptions[0].textContent
+      : `${control.dataset.exportLabel || control.placeholder || control.id}: ${control.value}`);
+}
+
+async function getReviewExportSettings() {
+  const result = await chrome.storage.local.get(REVIEW_EXPORT_CONFIG.STORAGE_KEY);
+  return { ...DEFAULT_REVIEW_EXPORT_SETTINGS, ...result[REVIEW_EXPORT_CONFIG.STORAGE_KEY] };
+}
+
+/**
+ * Fill `panel` with the format and column picker; `button` toggles it.
+ * `loadReviews()` resolves to the reviews to export and `getFilters()` to
+ * labels of the filters applied. The choice is remembered across pages.
+ */
+async function initReviewExportPanel({ button, panel, name, title, loadReviews, getFilters = () => [] }) {
+  const settings = await getReviewExportSettings();
+
+  panel.innerHTML = `
+    <div class="export-row">
+      <select class="export-format">
+        ${Object.entries(REVIEW_EXPORT_FORMATS).map(([format, { label }]) =>
+          `<option value="${format}" ${format === settings.format ? 'selected' : ''}>${label}</option>`).join('')}
+      </select>
+      <button class="export-download">Download</button>
+      <span class="export-status"></span>
+    </div>
+    <div class="export-columns">
+      ${REVIEW_EXPORT_COLUMNS.map(column => `
+        <label><input type="checkbox" value="${column.key}" ${settings.columns.includes(column.key) ? 'checked' : ''}> ${column.label}</label>
+      `).join('')}
+    </div>
+  `;
+  panel.hidden = true;
+
+  const formatSelect = panel.querySelector('.export-format');
+  const statusSpan = panel.querySelector('.export-status');
+
+  button.addEventListener('click', () => {
+    panel.hidden = !panel.hidden;
+  });
+
+  panel.querySelector('.export-download').addEventListener('click', async () => {
+    const chosen = {
+      format: formatSelect.value,
+      columns: Array.from(panel.querySelectorAll('.export-columns input:checked')).map(input => input.value)
+    };
+    if (chosen.columns.length === 0 && chosen.format !== 'markdown') {
+      statusSpan.textContent = 'Choose at least one column';
+      return;
+    }
+    await chrome.storage.local.set({ [REVIEW_EXPORT_CONFIG.STORAGE_KEY]: chosen });
+
+    statusSpan.textContent = 'Exporting...';
+    try {
+      const reviews = await loadReviews();
+      exportReviews(reviews, { ...chosen, name, title, filters: getFilters() });
+      statusSpan.textContent = `Exported ${reviews.length} review${reviews.length === 1 ? '' : 's'}`;
+    } catch (error) {
+      statusSpan.textContent = `Export failed: ${error.message}`;
+    }
+  });
+}
@@ -0,0 +1,72 @@
+/**
+ * Reviewllama Text Diff
+ * Word-level diff between an AI draft and the reply that was posted
+ */
+
+/**
+ * Split text into words and whitespace runs
+ */
+function tokenizeForDiff(text) {
+  return (text || '').match(/\s+|[^\s]+/g) || [];
+}
+
+/**
+ * Diff two texts by words. Returns `[{ type: 'equal'|'insert'|'delete', text }]`
+ * with adjacent operations of the same type merged.
+ */
+function diffWords(before, after) {
+  const a = tokenizeForDiff(before);
+  const b = tokenizeForDiff(after);
+
+  // Longest common subsequence table, filled from the end
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const ops = [];
+  const push = (type, text) => {
+    const last = ops[ops.length - 1];
+    if (last && last.type === type) {
+      last.text += text;
+    } else {
+      ops.push({ type, text });
+    }
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      push('equal', a[i]);
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      push('delete', a[i++]);
+    } else {
+      push('insert', b[j++]);
+    }
+  }
+  while (i < a.length) push('delete', a[i++]);
+  while (j < b.length) push('insert', b[j++]);
+
+  return ops;
+}
+
+/**
+ * Share of words kept unchanged between two texts, from 0 to 1
+ */
+function textSimilarity(before, after) {
+  const words = text => tokenizeForDiff(text).filter(token => token.trim());
+  const total = Math.max(words(before).length, words(after).length);
+  if (total === 0) {
+    return 1;
+  }
+
+  const kept = diffWords(before, after)
+    .filter(op => op.type === 'equal')
+    .reduce((count, op) => count + words(op.text).length, 0);
+  return kept / total;
+}
@@ -0,0 +1,20 @@
+/**
+ * Reviewllama Text Hash
+ * Stable 64-bit FNV-1a hash of text, for review IDs and cache keys
+ */
+
+/**
+ * Hash the UTF-8 bytes of `text`, as 16 hex characters
+ */
+function hashText(text) {
+  const prime = 0x100000001b3n;
+  const mask = 0xffffffffffffffffn;
+  let hash = 0xcbf29ce484222325n;
+
+  for (const byte of new TextEncoder().encode(text)) {
+    hash ^= BigInt(byte);
+    hash = (hash * prime) & mask;
+  }
+
+  return hash.toString(16).padStart(16, '0');
+}
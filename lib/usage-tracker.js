@@ -0,0 +1,296 @@
+/**
+ * Reviewllama Usage Tracker
+ * Token usage and estimated cost per day, app, operation and model, a price
+ * table per model and a monthly budget. Only the background worker records
+ * usage; updates are serialized.
+ */
+
+const USAGE_CONFIG = {
+  STORAGE_KEY: 'usageStats',
+  SETTINGS_KEY: 'usageSettings',
+  MAX_DAYS: 400
+};
+
+// Operations usage is recorded under
+const USAGE_OPERATIONS = {
+  analysis: 'Review analysis',
+  reply: 'Reply generation',
+  refine: 'Reply refine',
+  translation: 'KB translation',
+  embedding: 'Embeddings',
+  other: 'Other'
+};
+
+// USD per million tokens; models not listed are counted without a cost
+const DEFAULT_MODEL_PRICES = {
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'gpt-4.1': { input: 2, output: 8 },
+  'text-embedding-3-small': { input: 0.02, output: 0 },
+  'text-embedding-3-large': { input: 0.13, output: 0 },
+  'claude-3-5-haiku-latest': { input: 0.8, output: 4 },
+  'claude-3-5-sonnet-latest': { input: 3, output: 15 }
+};
+
+const DEFAULT_USAGE_SETTINGS = {
+  prices: DEFAULT_MODEL_PRICES,
+  // Monthly budget in USD; 0 means no budget
+  monthlyBudget: 0,
+  // 'warn' only alerts, 'block' also refuses calls that would go past the budget
+  budgetMode: 'warn',
+  // Percent of the budget at which to warn
+  warnAtPercent: 80
+};
+
+let usageStoreLock = Promise.resolve();
+
+/**
+ * Run a read-modify-write on the usage stats without interleaving with others
+ */
+function withUsage(mutator) {
+  const run = usageStoreLock.then(async () => {
+    const key = USAGE_CONFIG.STORAGE_KEY;
+    const result = await chrome.storage.local.get(key);
+    const stats = result[key] || { days: {}, alerts: {} };
+
+    const { value, changed } = await mutator(stats);
+    if (changed) {
+      evictUsageDays(stats);
+      await chrome.storage.local.set({ [key]: stats });
+    }
+    return value;
+  });
+
+  usageStoreLock = run.catch(() => {});
+  return run;
+}
+
+function evictUsageDays(stats) {
+  const days = Object.keys(stats.days).sort();
+  days.slice(0, Math.max(0, days.length - USAGE_CONFIG.MAX_DAYS)).forEach(day => delete stats.days[day]);
+}
+
+/**
+ * Local calendar day (YYYY-MM-DD)
+ */
+function usageDay(date = new Date()) {
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+async function getUsageSettings() {
+  const result = await chrome.storage.local.get(USAGE_CONFIG.SETTINGS_KEY);
+  const stored = result[USAGE_CONFIG.SETTINGS_KEY] || {};
+  return {
+    ...DEFAULT_USAGE_SETTINGS,
+    ...stored,
+    prices: stored.prices || { ...DEFAULT_MODEL_PRICES }
+  };
+}
+
+/**
+ * Validate usage settings. Returns a list of error messages, empty if valid.
+ */
+function validateUsageSettings(settings) {
+  const errors = [];
+  const isAmount = value => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+  if (!isAmount(settings.monthlyBudget)) {
+    errors.push('Monthly budget must be a positive number or 0');
+  }
+  if (!['warn', 'block'].includes(settings.budgetMode)) {
+    errors.push('Budget mode must be warn or block');
+  }
+  if (!isAmount(settings.warnAtPercent) || settings.warnAtPercent > 100) {
+    errors.push('Warning threshold must be between 0 and 100%');
+  }
+  Object.entries(settings.prices || {}).forEach(([model, price]) => {
+    if (!model.trim()) {
+      errors.push('A price has no model name');
+    } else if (!isAmount(price.input) || !isAmount(price.output)) {
+      errors.push(`Prices for ${model} must be positive numbers`);
+    }
+  });
+
+  return errors;
+}
+
+async function saveUsageSettings(settings) {
+  const errors = validateUsageSettings(settings);
+  if (errors.length > 0) {
+    throw new Error(errors[0]);
+  }
+
+  await chrome.storage.local.set({ [USAGE_CONFIG.SETTINGS_KEY]: settings });
+  return settings;
+}
+
+/**
+ * Price entry for a model. Dated names such as "gpt-4o-mini-2024-07-18"
+ * use the longest listed prefix.
+ */
+function findModelPrice(prices, model) {
+  if (!model) return null;
+  if (prices[model]) return prices[model];
+
+  const prefix = Object.keys(prices)
+    .filter(name => model.startsWith(name))
+    .sort((a, b) => b.length - a.length)[0];
+  return prefix ? prices[prefix] : null;
+}
+
+/**
+ * Estimated cost in USD, or null when the model has no price
+ */
+function estimateUsageCost(prices, model, promptTokens, completionTokens) {
+  const price = findModelPrice(prices, model);
+  if (!price) return null;
+  return (promptTokens * price.input + completionTokens * price.output) / 1e6;
+}
+
+/**
+ * Add one request's token usage to today's totals. Cost uses the prices
+ * at the time of the call.
+ */
+async function recordUsage({ operation, appId, model, promptTokens = 0, completionTokens = 0 }) {
+  const settings = await getUsageSettings();
+  const cost = estimateUsageCost(settings.prices, model, promptTokens, completionTokens);
+
+  return withUsage(stats => {
+    const day = usageDay();
+    const key = [appId || '', operation, model || ''].join('|');
+    const totals = stats.days[day] || (stats.days[day] = {});
+    const entry = totals[key] || (totals[key] = {
+      appId: appId || null,
+      operation,
+      model: model || null,
+      requests: 0,
+      promptTokens: 0,
+      completionTokens: 0,
+      cost: 0,
+      unpricedRequests: 0
+    });
+
+    entry.requests++;
+    entry.promptTokens += promptTokens;
+    entry.completionTokens += completionTokens;
+    if (cost === null) {
+      entry.unpricedRequests++;
+    } else {
+      entry.cost += cost;
+    }
+
+    return { value: entry, changed: true };
+  });
+}
+
+/**
+ * Usage rows (one per day, app, operation and model) between two days, inclusive
+ */
+async function getUsageRows({ from = '', to = '9999-12-31' } = {}) {
+  const result = await chrome.storage.local.get(USAGE_CONFIG.STORAGE_KEY);
+  const days = result[USAGE_CONFIG.STORAGE_KEY]?.days || {};
+
+  return Object.keys(days)
+    .filter(day => day >= from && day <= to)
+    .sort()
+    .flatMap(day => Object.values(days[day]).map(entry => ({
+      day,
+      ...entry,
+      totalTokens: entry.promptTokens + entry.completionTokens
+    })));
+}
+
+/**
+ * Totals of usage rows, overall and by operation, app and day
+ */
+function summarizeUsage(rows) {
+  const empty = () => ({ requests: 0, tokens: 0, cost: 0 });
+  const summary = { ...empty(), unpricedRequests: 0, byOperation: {}, byApp: {}, byDay: {} };
+
+  rows.forEach(row => {
+    const groups = [
+      summary,
+      summary.byOperation[row.operation] || (summary.byOperation[row.operation] = empty()),
+      summary.byApp[row.appId || ''] || (summary.byApp[row.appId || ''] = empty()),
+      summary.byDay[row.day] || (summary.byDay[row.day] = empty())
+    ];
+    groups.forEach(group => {
+      group.requests += row.requests;
+      group.tokens += row.totalTokens;
+      group.cost += row.cost;
+    });
+    summary.unpricedRequests += row.unpricedRequests || 0;
+  });
+
+  return summary;
+}
+
+/**
+ * First day of the current month (YYYY-MM-DD)
+ */
+function usageMonthStart(date = new Date()) {
+  return `${usageDay(date).slice(0, 7)}-01`;
+}
+
+/**
+ * Budget level of a spend: 'none' without a budget, else 'ok', 'warning'
+ * or 'exceeded'
+ */
+function budgetLevel(spent, settings) {
+  const budget = settings.monthlyBudget;
+  if (!(budget > 0)) return 'none';
+  if (spent >= budget) return 'exceeded';
+  if (spent >= budget * settings.warnAtPercent / 100) return 'warning';
+  return 'ok';
+}
+
+/**
+ * This month's spend against the budget (see budgetLevel). With the
+ * estimated `pendingCost` of calls about to run, `projectedSpent` and
+ * `projectedLevel` are where those calls would leave it.
+ */
+async function getBudgetStatus(settings, { pendingCost = 0 } = {}) {
+  const rows = await getUsageRows({ from: usageMonthStart() });
+  const spent = summarizeUsage(rows).cost;
+  const projectedSpent = spent + pendingCost;
+
+  return {
+    spent,
+    budget: settings.monthlyBudget,
+    level: budgetLevel(spent, settings),
+    projectedSpent,
+    projectedLevel: budgetLevel(projectedSpent, settings),
+    mode: settings.budgetMode,
+    month: usageMonthStart().slice(0, 7)
+  };
+}
+
+const BUDGET_ALERT_RANKS = { warning: 1, exceeded: 2 };
+
+/**
+ * Remember that an alert of `kind` ('projected' before a call, 'actual'
+ * after it) was shown for this month and level. Each kind keeps the highest
+ * level alerted this month, so returns true only when the level rises.
+ */
+function markBudgetAlert(month, level, kind) {
+  return withUsage(stats => {
+    const alerts = stats.alerts || {};
+    const previous = alerts[kind];
+    if (previous?.month === month && BUDGET_ALERT_RANKS[previous.level] >= BUDGET_ALERT_RANKS[level]) {
+      return { value: false, changed: false };
+    }
+    // Single alert slot of earlier versions
+    delete stats.alert;
+    stats.alerts = { ...alerts, [kind]: { month, level } };
+    return { value: true, changed: true };
+  });
+}
+
+/**
+ * Format a USD amount; small amounts keep more decimals
+ */
+function formatUsageCost(cost) {
+  return `$${cost.toFixed(cost > 0 && cost < 1 ? 4 : 2)}`;
+}
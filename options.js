@@ -0,0 +1,530 @@
+/**
+ * Reviewllama Options Script
+ * Edit the knowledge base troubles and templates stored in the extension
+ */
+
+document.addEventListener('DOMContentLoaded', function() {
+  // Elements
+  const troublesDiv = document.getElementById('troubles');
+  const templatesDiv = document.getElementById('templates');
+  const statusDiv = document.getElementById('status');
+  const saveBtn = document.getElementById('saveBtn');
+  const discardBtn = document.getElementById('discardBtn');
+  const resetBtn = document.getElementById('resetBtn');
+  const addTroubleBtn = document.getElementById('addTroubleBtn');
+  const addTemplateBtn = document.getElementById('addTemplateBtn');
+  const importBtn = document.getElementById('importBtn');
+  const importFile = document.getElementById('importFile');
+  const importLanguage = document.getElementById('importLanguage');
+  const csvMapping = document.getElementById('csvMapping');
+  const csvMappingRows = document.getElementById('csvMappingRows');
+  const importPreview = document.getElementById('importPreview');
+  const importPreviewRows = document.getElementById('importPreviewRows');
+  const importSummary = document.getElementById('importSummary');
+  const importStrategy = document.getElementById('importStrategy');
+  const applyImportBtn = document.getElementById('applyImportBtn');
+  const cancelImportBtn = document.getElementById('cancelImportBtn');
+  const supportedLanguagesDiv = document.getElementById('supportedLanguages');
+  const fallbackLanguage = document.getElementById('fallbackLanguage');
+  const translateKnowledgeBase = document.getElementById('translateKnowledgeBase');
+
+  // Editable copy of the knowledge base. Localized texts are kept as
+  // `[{ language, text }]` lists so language codes can be edited too.
+  let model = { troubles: [], templates: [], rest: {} };
+  let dirty = false;
+
+  // Pending import: parsed entries, plus raw rows and mapping for CSV files
+  let pendingImport = null;
+
+  // Reply language settings, saved as soon as they change
+  let languageSettings = { ...DEFAULT_LANGUAGE_SETTINGS };
+
+  // Event listeners
+  saveBtn.addEventListener('click', save);
+  discardBtn.addEventListener('click', load);
+  resetBtn.addEventListener('click', resetToBundled);
+
+  addTroubleBtn.addEventListener('click', () => {
+    model.troubles.push({
+      id: '',
+      problem: '',
+      categories: [],
+      keywords: [],
+      translations: [{ language: 'en', text: '' }],
+      extra: {}
+    });
+    setDirty(true);
+    render();
+    troublesDiv.lastElementChild.querySelector('input').focus();
+  });
+
+  addTemplateBtn.addEventListener('click', () => {
+    model.templates.push({ id: '', translations: [{ language: 'en', text: '' }] });
+    setDirty(true);
+    render();
+    templatesDiv.lastElementChild.querySelector('input').focus();
+  });
+
+  importBtn.addEventListener('click', () => importFile.click());
+  importFile.addEventListener('change', readImportFile);
+  applyImportBtn.addEventListener('click', applyImport);
+  cancelImportBtn.addEventListener('click', clearImport);
+  csvMappingRows.addEventListener('input', handleMappingChange);
+
+  document.getElementById('exportJsonBtn').addEventListener('click', () => {
+    downloadFile(`reviewllama-kb-${exportDateStamp()}.json`, knowledgeBaseToJson(buildKnowledgeBase()), 'application/json');
+  });
+  document.getElementById('exportCsvBtn').addEventListener('click', () => {
+    downloadFile(`reviewllama-kb-${exportDateStamp()}.csv`, knowledgeBaseToCsv(buildKnowledgeBase()), 'text/csv');
+  });
+  document.getElementById('exportMarkdownBtn').addEventListener('click', () => {
+    downloadFile(`reviewllama-kb-${exportDateStamp()}.md`, knowledgeBaseToMarkdown(buildKnowledgeBase()), 'text/markdown');
+  });
+
+  supportedLanguagesDiv.addEventListener('change', saveLanguageSettings);
+  fallbackLanguage.addEventListener('change', saveLanguageSettings);
+  translateKnowledgeBase.addEventListener('change', saveLanguageSettings);
+
+  [troublesDiv, templatesDiv].forEach(container => {
+    container.addEventListener('input', handleInput);
+    container.addEventListener('click', handleAction);
+  });
+
+  window.addEventListener('beforeunload', (e) => {
+    if (dirty) {
+      e.preventDefault();
+      e.returnValue = '';
+    }
+  });
+
+  loadLanguageSettings();
+  load().then(showLinkedTrouble);
+
+  /**
+   * Load reply language settings
+   */
+  async function loadLanguageSettings() {
+    languageSettings = await getLanguageSettings();
+    renderLanguageSettings();
+    render();
+  }
+
+  /**
+   * Save reply language settings from the form
+   */
+  async function saveLanguageSettings() {
+    const supported = [...supportedLanguagesDiv.querySelectorAll('input:checked')].map(input => input.value);
+    if (supported.length === 0) {
+      showStatus('Select at least one reply language', 'error');
+      renderLanguageSettings();
+      return;
+    }
+
+    languageSettings = {
+      supportedLanguages: supported,
+      fallbackLanguage: supported.includes(fallbackLanguage.value) ? fallbackLanguage.value : supported[0],
+      translateKnowledgeBase: translateKnowledgeBase.checked
+    };
+
+    try {
+      await chrome.storage.local.set({ [LANGUAGE_SETTINGS_KEY]: languageSettings });
+      renderLanguageSettings();
+      render();
+      showStatus('Language settings saved', 'success');
+    } catch (error) {
+      console.error('Error saving language settings:', error);
+      showStatus('Error saving language settings', 'error');
+    }
+  }
+
+  function renderLanguageSettings() {
+    const supported = languageSettings.supportedLanguages;
+
+    supportedLanguagesDiv.innerHTML = Object.entries(LANGUAGE_NAMES).map(([code, name]) => `
+      <label>
+        <input type="checkbox" value="${code}" ${supported.includes(code) ? 'checked' : ''}>
+        ${escapeHtml(name)} (${code})
+      </label>
+    `).join('');
+
+    fallbackLanguage.innerHTML = supported.map(code => `
+      <option value="${code}" ${code === languageSettings.fallbackLanguage ? 'selected' : ''}>${escapeHtml(languageName(code))}</option>
+    `).join('');
+
+    translateKnowledgeBase.checked = languageSettings.translateKnowledgeBase;
+  }
+
+  /**
+   * Load the stored knowledge base into the editor
+   */
+  async function load() {
+    try {
+      setModel(await getKnowledgeBase());
+      setDirty(false);
+      statusDiv.className = 'status';
+    } catch (error) {
+      console.error('Error loading knowledge base:', error);
+      showStatus('Error loading knowledge base', 'error');
+    }
+  }
+
+  /**
+   * Scroll to the trouble named in the URL hash (`#trouble=<id>`), as linked
+   * from emerging issue alerts
+   */
+  function showLinkedTrouble() {
+    const id = new URLSearchParams(location.hash.slice(1)).get('trouble');
+    const index = model.troubles.findIndex(item => item.id === id);
+    if (!id || index < 0) return;
+
+    const card = troublesDiv.querySelector(`.card[data-index="${index}"]`);
+    card.classList.add('linked');
+    card.scrollIntoView({ block: 'center' });
+  }
+
+  /**
+   * Replace the editor contents with the bundled knowledge base (not saved yet)
+   */
+  async function resetToBundled() {
+    if (!confirm('Replace all troubles and templates with the bundled knowledge base?')) {
+      return;
+    }
+    setModel(await loadKnowledgeBaseSeed());
+    setDirty(true);
+    showStatus('Bundled knowledge base loaded. Save to apply it.', 'success');
+  }
+
+  function toTranslations(texts) {
+    return Object.entries(texts || {}).map(([language, text]) => ({ language, text }));
+  }
+
+  function fromTranslations(translations) {
+    return Object.fromEntries(translations.map(({ language, text }) => [language.trim(), text.trim()]));
+  }
+
+  function setModel(kb) {
+    const { troubles = [], templates = {}, ...rest } = kb;
+    model = {
+      troubles: troubles.map(({ id, problem, categories, keywords, solution, ...extra }) => ({
+        id: id || '',
+        problem: problem || '',
+        categories: categories || [],
+        keywords: keywords || [],
+        translations: toTranslations(solution),
+        extra
+      })),
+      templates: Object.entries(templates).map(([id, texts]) => ({ id, translations: toTranslations(texts) })),
+      rest
+    };
+    render();
+  }
+
+  /**
+   * Build a knowledge base object from the editor contents
+   */
+  function buildKnowledgeBase() {
+    return {
+      ...model.rest,
+      troubles: model.troubles.map(item => ({
+        ...item.extra,
+        id: item.id.trim(),
+        problem: item.problem.trim(),
+        solution: fromTranslations(item.translations),
+        categories: item.categories,
+        keywords: item.keywords
+      })),
+      templates: Object.fromEntries(model.templates.map(template => [
+        template.id.trim(),
+        fromTranslations(template.translations)
+      ]))
+    };
+  }
+
+  /**
+   * Validate and save the knowledge base
+   */
+  async function save() {
+    const kb = buildKnowledgeBase();
+
+    // Duplicate template IDs collapse into one object key, so check them here
+    const templateIds = model.templates.map(template => template.id.trim());
+    const duplicates = templateIds.filter((id, index) => templateIds.indexOf(id) !== index);
+    const errors = [
+      ...validateKnowledgeBase(kb),
+      ...[...new Set(duplicates)].map(id => `Template ${id}: ID is used more than once`)
+    ];
+
+    if (errors.length > 0) {
+      showErrors(errors);
+      return;
+    }
+
+    try {
+      await saveKnowledgeBase(kb);
+      setDirty(false);
+      showStatus('Knowledge base saved', 'success');
+    } catch (error) {
+      console.error('Error saving knowledge base:', error);
+      showStatus(`Error saving knowledge base: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Read the chosen file and parse it by extension
+   */
+  async function readImportFile() {
+    const file = importFile.files[0];
+    importFile.value = '';
+    if (!file) return;
+
+    const text = await file.text();
+    const language = importLanguage.value.trim() || 'en';
+    clearImport();
+
+    try {
+      if (/\.csv$/i.test(file.name)) {
+        const [headers, ...rows] = parseCsv(text);
+        if (!headers) throw new Error('The file is empty');
+        pendingImport = { headers, rows, mapping: guessCsvMapping(headers, language) };
+        renderCsvMapping();
+        updateCsvImport();
+      } else if (/\.json$/i.test(file.name)) {
+        pendingImport = { entries: parseKnowledgeBaseJson(text) };
+      } else {
+        pendingImport = { entries: parseKnowledgeBaseMarkdown(text, language) };
+      }
+      renderImportPreview();
+    } catch (error) {
+      console.error('Error reading import file:', error);
+      clearImport();
+      showStatus(`Could not import ${file.name}: ${error.message}`, 'error');
+    }
+  }
+
+  function renderCsvMapping() {
+    const { headers, rows, mapping } = pendingImport;
+
+    csvMappingRows.innerHTML = headers.map((header, column) => `
+      <tr data-column="${column}">
+        <td>${escapeHtml(header)}</td>
+        <td class="sample">${escapeHtml(rows[0]?.[column])}</td>
+        <td>
+          <select data-field="field">
+            ${KB_IMPORT_FIELDS.map(field => `<option value="${field}" ${mapping[column].field === field ? 'selected' : ''}>${field}</option>`).join('')}
+          </select>
+        </td>
+        <td><input type="text" data-field="language" value="${escapeHtml(mapping[column].language)}" placeholder="en"></td>
+      </tr>
+    `).join('');
+    csvMapping.hidden = false;
+  }
+
+  function handleMappingChange(e) {
+    const row = e.target.closest('tr');
+    if (!row || !pendingImport) return;
+
+    pendingImport.mapping[Number(row.dataset.column)][e.target.dataset.field] = e.target.value.trim();
+    updateCsvImport();
+    renderImportPreview();
+  }
+
+  function updateCsvImport() {
+    pendingImport.entries = csvRowsToKnowledgeBase(pendingImport.rows, pendingImport.mapping);
+  }
+
+  /**
+   * Show which imported IDs are new, changed or unchanged
+   */
+  function renderImportPreview() {
+    const changes = compareKnowledgeBases(buildKnowledgeBase(), pendingImport.entries);
+    const count = status => changes.filter(change => change.status === status).length;
+
+    importPreviewRows.innerHTML = changes.map(change => `
+      <tr>
+        <td>${change.kind}</td>
+        <td>${escapeHtml(change.id)}</td>
+        <td><span class="badge ${change.status}">${change.status}</span></td>
+      </tr>
+    `).join('') || '<tr><td colspan="3" class="empty">No entries found in this file</td></tr>';
+
+    importSummary.textContent = `${count('new')} new, ${count('changed')} changed, ${count('unchanged')} unchanged`;
+    applyImportBtn.disabled = changes.length === 0;
+    importPreview.hidden = false;
+  }
+
+  /**
+   * Merge the pending import into the editor; it is saved with Save
+   */
+  function applyImport() {
+    const merged = mergeKnowledgeBases(buildKnowledgeBase(), pendingImport.entries, importStrategy.value);
+    setModel(merged);
+    setDirty(true);
+    clearImport();
+    showStatus('Import added to the editor. Review the entries and save.', 'success');
+  }
+
+  function clearImport() {
+    pendingImport = null;
+    csvMapping.hidden = true;
+    importPreview.hidden = true;
+  }
+
+  function splitList(value) {
+    return value.split(',').map(part => part.trim()).filter(Boolean);
+  }
+
+  /**
+   * Find the model item for an element inside a card
+   */
+  function itemFor(element) {
+    const card = element.closest('.card');
+    const list = card.dataset.section === 'troubles' ? model.troubles : model.templates;
+    return { list, index: Number(card.dataset.index), item: list[Number(card.dataset.index)] };
+  }
+
+  /**
+   * Update the model as fields are edited, without re-rendering
+   */
+  function handleInput(e) {
+    const field = e.target.dataset.field;
+    if (!field) return;
+
+    const { item } = itemFor(e.target);
+    const row = e.target.closest('.translation');
+
+    if (row) {
+      item.translations[Number(row.dataset.index)][field] = e.target.value;
+    } else if (field === 'categories' || field === 'keywords') {
+      item[field] = splitList(e.target.value);
+    } else {
+      item[field] = e.target.value;
+    }
+    setDirty(true);
+  }
+
+  /**
+   * Reorder, delete and add/remove languages
+   */
+  function handleAction(e) {
+    const button = e.target.closest('button[data-action]');
+    if (!button) return;
+
+    const { list, index, item } = itemFor(button);
+
+    switch (button.dataset.action) {
+      case 'up':
+        if (index === 0) return;
+        list.splice(index - 1, 0, list.splice(index, 1)[0]);
+        break;
+
+      case 'down':
+        if (index === list.length - 1) return;
+        list.splice(index + 1, 0, list.splice(index, 1)[0]);
+        break;
+
+      case 'delete':
+        if (!confirm(`Delete ${item.id || 'this entry'}?`)) return;
+        list.splice(index, 1);
+        break;
+
+      case 'add-language':
+        item.translations.push({ language: '', text: '' });
+        break;
+
+      case 'remove-language':
+        item.translations.splice(Number(button.closest('.translation').dataset.index), 1);
+        break;
+    }
+
+    setDirty(true);
+    render();
+  }
+
+  /**
+   * Escape text for element content and double-quoted attribute values
+   */
+  function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text || '';
+    return div.innerHTML.replace(/"/g, '&quot;');
+  }
+
+  function renderTranslations(translations) {
+    const present = new Set(translations.filter(t => t.text.trim()).map(t => t.language.trim()));
+    const missing = languageSettings.supportedLanguages.filter(code => !present.has(code));
+    const missingNote = missing.length > 0 && present.size > 0
+      ? `<div class="missing-languages">No text for ${escapeHtml(missing.map(languageName).join(', '))}; ${languageSettings.translateKnowledgeBase
+        ? 'replies translate the closest available text'
+        : `replies use the ${escapeHtml(languageName(languageSettings.fallbackLanguage))} text or the closest available`}</div>`
+      : '';
+
+    return missingNote + translations.map((translation, index) => `
+      <div class="translation" data-index="${index}">
+        <input type="text" data-field="language" placeholder="en" value="${escapeHtml(translation.language)}">
+        <textarea data-field="text">${escapeHtml(translation.text)}</textarea>
+        <button class="btn-icon btn-danger" data-action="remove-language" title="Remove language">×</button>
+      </div>
+    `).join('') + '<button data-action="add-language">+ Language</button>';
+  }
+
+  function renderCardHeader(item, index, list) {
+    return `
+      <div class="card-header">
+        <input type="text" data-field="id" placeholder="id_in_snake_case" value="${escapeHtml(item.id)}">
+        <button class="btn-icon" data-action="up" title="Move up" ${index === 0 ? 'disabled' : ''}>↑</button>
+        <button class="btn-icon" data-action="down" title="Move down" ${index === list.length - 1 ? 'disabled' : ''}>↓</button>
+        <button class="btn-icon btn-danger" data-action="delete" title="Delete">Delete</button>
+      </div>
+    `;
+  }
+
+  /**
+   * Render troubles and templates
+   */
+  function render() {
+    troublesDiv.innerHTML = model.troubles.map((item, index) => `
+      <div class="card" data-section="troubles" data-index="${index}">
+        ${renderCardHeader(item, index, model.troubles)}
+        <label>Problem</label>
+        <input type="text" data-field="problem" value="${escapeHtml(item.problem)}">
+        <label>Categories (comma-separated)</label>
+        <input type="text" data-field="categories" value="${escapeHtml(item.categories.join(', '))}">
+        <label>Keywords (comma-separated)</label>
+        <input type="text" data-field="keywords" value="${escapeHtml(item.keywords.join(', '))}">
+        <label>Solution</label>
+        ${renderTranslations(item.translations)}
+      </div>
+    `).join('') || '<div class="empty">No troubles yet</div>';
+
+    templatesDiv.innerHTML = model.templates.map((template, index) => `
+      <div class="card" data-section="templates" data-index="${index}">
+        ${renderCardHeader(template, index, model.templates)}
+        ${renderTranslations(template.translations)}
+      </div>
+    `).join('') || '<div class="empty">No templates yet</div>';
+  }
+
+  function setDirty(value) {
+    dirty = value;
+    saveBtn.disabled = !value;
+    discardBtn.disabled = !value;
+  }
+
+  function showErrors(errors) {
+    statusDiv.innerHTML = `Fix these problems before saving:<ul>${errors.map(error => `<li>${escapeHtml(error)}</li>`).join('')}</ul>`;
+    statusDiv.className = 'status error';
+    window.scrollTo({ top: 0 });
+  }
+
+  /**
+   * Show status message
+   */
+  function showStatus(message, type) {
+    statusDiv.textContent = message;
+    statusDiv.className = `status ${type}`;
+
+    setTimeout(() => {
+      statusDiv.className = 'status';
+    }, 3000);
+  }
+});
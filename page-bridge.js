@@ -0,0 +1,192 @@
+/**
+ * Reviewllama Page Bridge
+ * Runs in the page's MAIN world to read App Store Connect's own review
+ * records (Angular scope or the reviews XHR payload), which the isolated
+ * content script cannot see. Review IDs and record summaries (dates,
+ * territory, app version, developer reply) are written to data
+ * attributes on each .review-container and announced with a DOM event.
+ */
+
+(function() {
+  'use strict';
+
+  const REVIEW_SELECTOR = '.review-container';
+  const ID_ATTRIBUTE = 'data-reviewllama-asc-id';
+  const RECORD_ATTRIBUTE = 'data-reviewllama-record';
+
+  // ASC review records captured from network responses, keyed by fingerprint
+  const recordsByFingerprint = new Map();
+  let annotateTimer = null;
+
+  /**
+   * Whitespace-insensitive key used to match records to DOM elements
+   */
+  function fingerprint(title, nickname, content) {
+    return [title, nickname, content]
+      .map(part => (part || '').replace(/\s+/g, ' ').trim().toLowerCase())
+      .join('|');
+  }
+
+  /**
+   * Remember review records from an ASC reviews response
+   */
+  function captureReviews(payload) {
+    const list = payload?.data?.reviewList || payload?.reviewList;
+    if (!Array.isArray(list)) return;
+
+    list.forEach(item => {
+      const value = item.value || item;
+      if (!value || value.id === undefined) return;
+      recordsByFingerprint.set(fingerprint(value.title, value.nickname, value.review), value);
+    });
+
+    scheduleAnnotate();
+  }
+
+  /**
+   * Read the review record from Angular's scope, if debug info is enabled
+   */
+  function readScopeRecord(element) {
+    try {
+      const scope = window.angular?.element(element).scope?.();
+      const review = scope?.review || scope?.currentReview;
+      return review?.value || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Find the ASC record for a review element from scope or captured payloads
+   */
+  function findRecord(element) {
+    const scopeRecord = readScopeRecord(element);
+    if (scopeRecord && scopeRecord.id !== undefined) {
+      return scopeRecord;
+    }
+
+    const title = element.querySelector('[ng-bind*=".value.title"]')?.textContent ||
+                  element.querySelector('.review-top h3 span')?.textContent;
+    const content = element.querySelector('[ng-bind*=".value.review"]')?.textContent;
+    const nicknameMatch = (element.querySelector('.review-meta span')?.textContent || '').match(/by (.+?) –/);
+
+    return recordsByFingerprint.get(fingerprint(title, nicknameMatch?.[1], content)) || null;
+  }
+
+  /**
+   * Convert an ASC date (epoch ms or date string) to ISO, or null
+   */
+  function toIsoDate(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date.toISOString();
+  }
+
+  /**
+   * Reduce an ASC review record to the fields the content script uses
+   */
+  function summarizeRecord(record) {
+    const response = record.developerResponse;
+    let reply = null;
+
+    if (response && (response.response || response.body)) {
+      const state = String(response.pendingState || response.state || '').toUpperCase();
+      reply = {
+        text: response.response || response.body,
+        status: state.includes('PENDING') ? 'pending' :
+                (response.hidden || response.isHidden) ? 'hidden' : 'published',
+        updatedAt: toIsoDate(response.lastModified)
+      };
+    }
+
+    return {
+      id: String(record.id),
+      date: toIsoDate(record.created),
+      lastModified: toIsoDate(record.lastModified),
+      edited: !!record.edited,
+      territory: record.storeFront || record.territory || null,
+      appVersion: record.appVersionString || record.appVersion || null,
+      reply
+    };
+  }
+
+  /**
+   * Tag review elements with their ASC IDs and record summaries
+   */
+  function annotate() {
+    annotateTimer = null;
+    let updated = 0;
+
+    document.querySelectorAll(REVIEW_SELECTOR).forEach(element => {
+      const record = findRecord(element);
+      if (!record) return;
+
+      const id = String(record.id);
+      const summary = JSON.stringify(summarizeRecord(record));
+      if (element.getAttribute(ID_ATTRIBUTE) !== id ||
+          element.getAttribute(RECORD_ATTRIBUTE) !== summary) {
+        element.setAttribute(ID_ATTRIBUTE, id);
+        element.setAttribute(RECORD_ATTRIBUTE, summary);
+        updated++;
+      }
+    });
+
+    if (updated > 0) {
+      document.dispatchEvent(new CustomEvent('reviewllama:records-updated'));
+    }
+  }
+
+  function scheduleAnnotate() {
+    if (annotateTimer) return;
+    annotateTimer = setTimeout(annotate, 300);
+  }
+
+  function isReviewsUrl(url) {
+    return /\/reviews(\?|$|\/)/.test(String(url || ''));
+  }
+
+  // Capture XHR responses (ASC's Angular app uses $http / XMLHttpRequest)
+  const originalOpen = XMLHttpRequest.prototype.open;
+  XMLHttpRequest.prototype.open = function(method, url, ...rest) {
+    if (isReviewsUrl(url)) {
+      this.addEventListener('load', () => {
+        try {
+          const payload = this.responseType === 'json' ? this.response : JSON.parse(this.responseText);
+          captureReviews(payload);
+        } catch (error) {
+          // Not JSON, ignore
+        }
+      });
+    }
+    return originalOpen.call(this, method, url, ...rest);
+  };
+
+  // Capture fetch responses as well
+  const originalFetch = window.fetch;
+  window.fetch = function(input, init) {
+    const promise = originalFetch.call(this, input, init);
+    const url = typeof input === 'string' ? input : input?.url;
+    if (isReviewsUrl(url)) {
+      promise
+        .then(response => response.clone().json())
+        .then(captureReviews)
+        .catch(() => {});
+    }
+    return promise;
+  };
+
+  // Annotate reviews as Angular renders them
+  function observe() {
+    new MutationObserver(scheduleAnnotate).observe(document.body, {
+      childList: true,
+      subtree: true
+    });
+    scheduleAnnotate();
+  }
+
+  if (document.body) {
+    observe();
+  } else {
+    document.addEventListener('DOMContentLoaded', observe);
+  }
+})();
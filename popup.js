@@ -6,6 +6,20 @@
 document.addEventListener('DOMContentLoaded', function() {
   // Elements
   const apiKeyInput = document.getElementById('apiKey');
+  const providerSelect = document.getElementById('provider');
+  const baseUrlInput = document.getElementById('baseUrl');
+  const modelInput = document.getElementById('model');
+  const modelLabel = document.getElementById('modelLabel');
+  const embeddingModelInput = document.getElementById('embeddingModel');
+  const embeddingModelLabel = document.getElementById('embeddingModelLabel');
+  const embeddingModelHelp = document.getElementById('embeddingModelHelp');
+  const apiVersionInput = document.getElementById('apiVersion');
+  const apiVersionGroup = document.getElementById('apiVersionGroup');
+  const apiKeyHelp = document.getElementById('apiKeyHelp');
+  const keyStatusDiv = document.getElementById('keyStatus');
+  const keyStorageSelect = document.getElementById('keyStorage');
+  const passphraseGroup = document.getElementById('passphraseGroup');
+  const passphraseInput = document.getElementById('passphrase');
   const saveBtn = document.getElementById('saveBtn');
   const testBtn = document.getElementById('testBtn');
   const statusDiv = document.getElementById('status');
@@ -13,19 +27,123 @@ document.addEventListener('DOMContentLoaded', function() {
   const unansweredReviews = document.getElementById('unansweredReviews');
   const autoAnalyzeToggle = document.getElementById('autoAnalyze');
   const autoFillToggle = document.getElementById('autoFill');
+  const autoGenerateToggle = document.getElementById('autoGenerate');
+  const offlineModeToggle = document.getElementById('offlineMode');
+  const appOverridesGroup = document.getElementById('appOverrides');
+  const appOverridesTitle = document.getElementById('appOverridesTitle');
+  const appOverrideList = document.getElementById('appOverrideList');
   const helpLink = document.getElementById('helpLink');
   const privacyLink = document.getElementById('privacyLink');
   const debugInfo = document.getElementById('debugInfo');
+  const inboxBtn = document.getElementById('inboxBtn');
+  const historyBtn = document.getElementById('historyBtn');
+  const reviewsBtn = document.getElementById('reviewsBtn');
+  const dashboardBtn = document.getElementById('dashboardBtn');
+  const kbBtn = document.getElementById('kbBtn');
+  const promptsBtn = document.getElementById('promptsBtn');
+  const reviewerNameInput = document.getElementById('reviewerName');
+  const usageCost = document.getElementById('usageCost');
+  const usageTokens = document.getElementById('usageTokens');
+  const budgetBar = document.getElementById('budgetBar');
+  const budgetFill = document.getElementById('budgetFill');
+  const budgetText = document.getElementById('budgetText');
+  const usageBreakdown = document.getElementById('usageBreakdown');
+  const monthlyBudgetInput = document.getElementById('monthlyBudget');
+  const budgetModeSelect = document.getElementById('budgetMode');
+  const warnAtPercentInput = document.getElementById('warnAtPercent');
+  const priceTable = document.getElementById('priceTable');
+  const addPriceBtn = document.getElementById('addPriceBtn');
+  const saveUsageBtn = document.getElementById('saveUsageBtn');
+  const exportUsageBtn = document.getElementById('exportUsageBtn');
+
+  // Populate provider options
+  Object.entries(LLM_PROVIDERS).forEach(([id, provider]) => {
+    const option = document.createElement('option');
+    option.value = id;
+    option.textContent = provider.label;
+    providerSelect.appendChild(option);
+  });
+
+  const behaviorToggles = {
+    autoAnalyze: autoAnalyzeToggle,
+    autoFill: autoFillToggle,
+    autoGenerate: autoGenerateToggle,
+    offlineMode: offlineModeToggle
+  };
+  let behaviorSettings = null;
+  let currentAppId = null;
+
+  Object.entries(KEY_STORAGE_MODES).forEach(([mode, label]) => {
+    const option = document.createElement('option');
+    option.value = mode;
+    option.textContent = label;
+    keyStorageSelect.appendChild(option);
+  });
+  let keyStatus = null;
 
   // Load settings
   loadSettings();
+  loadKeyStatus();
+  loadBehaviorSettings();
+  loadUsageSettings();
+  updateUsage();
   updateStats();
 
+  // Keep toggles in sync when settings change elsewhere
+  onBehaviorSettingsChanged(settings => {
+    behaviorSettings = settings;
+    renderBehaviorSettings();
+  });
+
   // Event listeners
   saveBtn.addEventListener('click', saveSettings);
   testBtn.addEventListener('click', testAPIConnection);
-  autoAnalyzeToggle.addEventListener('change', saveSettings);
-  autoFillToggle.addEventListener('change', saveSettings);
+  providerSelect.addEventListener('change', updateProviderFields);
+  keyStorageSelect.addEventListener('change', updatePassphraseField);
+  onApiKeyChanged(loadKeyStatus);
+  Object.entries(behaviorToggles).forEach(([name, toggle]) => {
+    toggle.addEventListener('change', () => updateBehaviorSettings(settings => {
+      settings[name] = toggle.checked;
+    }));
+  });
+  reviewerNameInput.addEventListener('change', saveSettings);
+
+  addPriceBtn.addEventListener('click', () => addPriceRow('', { input: 0, output: 0 }));
+  saveUsageBtn.addEventListener('click', saveUsage);
+  exportUsageBtn.addEventListener('click', exportUsage);
+
+  // Refresh when the background records usage or warns about the budget
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes[USAGE_CONFIG.STORAGE_KEY]) {
+      updateUsage();
+    }
+  });
+
+  inboxBtn.addEventListener('click', async () => {
+    const currentWindow = await chrome.windows.getCurrent();
+    await chrome.sidePanel.open({ windowId: currentWindow.id });
+    window.close();
+  });
+
+  historyBtn.addEventListener('click', () => {
+    chrome.tabs.create({ url: 'history.html' });
+  });
+
+  reviewsBtn.addEventListener('click', () => {
+    chrome.tabs.create({ url: 'reviews.html' });
+  });
+
+  dashboardBtn.addEventListener('click', () => {
+    chrome.tabs.create({ url: 'dashboard.html' });
+  });
+
+  kbBtn.addEventListener('click', () => {
+    chrome.runtime.openOptionsPage();
+  });
+
+  promptsBtn.addEventListener('click', () => {
+    chrome.tabs.create({ url: 'prompts.html' });
+  });
 
   helpLink.addEventListener('click', (e) => {
     e.preventDefault();
@@ -43,17 +161,19 @@ document.addEventListener('DOMContentLoaded', function() {
   async function loadSettings() {
     try {
       const result = await chrome.storage.local.get([
-        'apiKey',
-        'autoAnalyze',
-        'autoFill'
+        'llmConfig',
+        'reviewerName'
       ]);
 
-      if (result.apiKey) {
-        apiKeyInput.value = result.apiKey;
-      }
+      const llmConfig = { ...DEFAULT_LLM_CONFIG, ...result.llmConfig };
+      providerSelect.value = LLM_PROVIDERS[llmConfig.provider] ? llmConfig.provider : 'openai';
+      baseUrlInput.value = llmConfig.baseUrl;
+      modelInput.value = llmConfig.model;
+      embeddingModelInput.value = llmConfig.embeddingModel;
+      apiVersionInput.value = llmConfig.apiVersion;
+      updateProviderFields();
 
-      autoAnalyzeToggle.checked = result.autoAnalyze !== false;
-      autoFillToggle.checked = result.autoFill !== false;
+      reviewerNameInput.value = result.reviewerName || '';
 
     } catch (error) {
       console.error('Error loading settings:', error);
@@ -61,28 +181,424 @@ document.addEventListener('DOMContentLoaded', function() {
     }
   }
 
+  /**
+   * Load behavior toggles and the app of the active App Store Connect tab
+   */
+  async function loadBehaviorSettings() {
+    try {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      currentAppId = parseAppIdFromUrl(tab?.url);
+      behaviorSettings = await getBehaviorSettings();
+      renderBehaviorSettings();
+    } catch (error) {
+      console.error('Error loading behavior settings:', error);
+    }
+  }
+
+  /**
+   * Show global toggles and, on an app page, that app's overrides
+   */
+  function renderBehaviorSettings() {
+    Object.entries(behaviorToggles).forEach(([name, toggle]) => {
+      toggle.checked = behaviorSettings[name] !== false;
+    });
+
+    appOverridesGroup.style.display = currentAppId ? 'block' : 'none';
+    if (!currentAppId) return;
+
+    appOverridesTitle.textContent = `This app (${currentAppId})`;
+    const overrides = behaviorSettings.appOverrides[currentAppId] || {};
+    appOverrideList.innerHTML = '';
+
+    Object.entries(BEHAVIOR_SETTINGS).forEach(([name, setting]) => {
+      const label = document.createElement('span');
+      label.textContent = setting.label;
+      label.title = setting.description;
+
+      const select = document.createElement('select');
+      select.innerHTML = `
+        <option value="">Default (${behaviorSettings[name] !== false ? 'on' : 'off'})</option>
+        <option value="on">On</option>
+        <option value="off">Off</option>
+      `;
+      select.value = typeof overrides[name] === 'boolean' ? (overrides[name] ? 'on' : 'off') : '';
+      select.addEventListener('change', () => updateBehaviorSettings(settings => {
+        const appOverrides = { ...settings.appOverrides[currentAppId] };
+        if (select.value) {
+          appOverrides[name] = select.value === 'on';
+        } else {
+          delete appOverrides[name];
+        }
+        settings.appOverrides[currentAppId] = appOverrides;
+      }));
+
+      appOverrideList.append(label, select);
+    });
+  }
+
+  /**
+   * Change behavior settings and save them right away; open App Store
+   * Connect tabs pick the change up without a reload
+   */
+  async function updateBehaviorSettings(mutate) {
+    try {
+      const settings = await getBehaviorSettings();
+      mutate(settings);
+      behaviorSettings = await saveBehaviorSettings(settings);
+      renderBehaviorSettings();
+    } catch (error) {
+      console.error('Error saving behavior settings:', error);
+      showStatus('Error saving settings', 'error');
+    }
+  }
+
+  /**
+   * Show this month's cost, tokens, budget and breakdowns
+   */
+  async function updateUsage() {
+    try {
+      const settings = await getUsageSettings();
+      const summary = summarizeUsage(await getUsageRows({ from: usageMonthStart() }));
+      const status = await getBudgetStatus(settings);
+
+      usageCost.textContent = formatUsageCost(summary.cost);
+      usageTokens.textContent = summary.tokens.toLocaleString();
+
+      budgetBar.style.display = status.level === 'none' ? 'none' : 'block';
+      budgetFill.style.width = `${Math.min(100, status.budget ? status.spent / status.budget * 100 : 0)}%`;
+      budgetFill.className = `budget-fill ${status.level}`;
+      budgetText.textContent = status.level === 'none'
+        ? 'No monthly budget set'
+        : `${formatUsageCost(status.spent)} of ${formatUsageCost(status.budget)} budget` +
+          (status.level === 'exceeded' && status.mode === 'block' ? ' · AI calls are blocked' : '');
+      if (summary.unpricedRequests > 0) {
+        budgetText.textContent += ` · ${summary.unpricedRequests} requests to models without a price`;
+      }
+
+      usageBreakdown.innerHTML = '';
+      renderUsageGroup('By operation', summary.byOperation, operation => USAGE_OPERATIONS[operation] || operation);
+      renderUsageGroup('By app', summary.byApp, appId => appId ? `App ${appId}` : 'Unknown app');
+    } catch (error) {
+      console.error('Error loading usage:', error);
+    }
+  }
+
+  function renderUsageGroup(title, groups, labelFor) {
+    const entries = Object.entries(groups).sort((a, b) => b[1].cost - a[1].cost || b[1].tokens - a[1].tokens);
+    if (entries.length === 0) return;
+
+    const heading = document.createElement('div');
+    heading.className = 'usage-heading';
+    heading.textContent = title;
+    usageBreakdown.appendChild(heading);
+
+    entries.forEach(([key, totals]) => {
+      const label = document.createElement('span');
+      label.textContent = labelFor(key);
+      const tokens = document.createElement('span');
+      tokens.className = 'usage-number';
+      tokens.textContent = `${totals.tokens.toLocaleString()} tok`;
+      const cost = document.createElement('span');
+      cost.className = 'usage-number';
+      cost.textContent = formatUsageCost(totals.cost);
+      usageBreakdown.append(label, tokens, cost);
+    });
+  }
+
+  /**
+   * Fill the budget form and price table
+   */
+  async function loadUsageSettings() {
+    try {
+      const settings = await getUsageSettings();
+      monthlyBudgetInput.value = settings.monthlyBudget || '';
+      budgetModeSelect.value = settings.budgetMode;
+      warnAtPercentInput.value = settings.warnAtPercent;
+      priceTable.innerHTML = '';
+      Object.entries(settings.prices).forEach(([model, price]) => addPriceRow(model, price));
+    } catch (error) {
+      console.error('Error loading usage settings:', error);
+    }
+  }
+
+  function addPriceRow(model, price) {
+    const modelInput = document.createElement('input');
+    modelInput.type = 'text';
+    modelInput.className = 'price-model';
+    modelInput.placeholder = 'Model';
+    modelInput.value = model;
+
+    const [inputPrice, outputPrice] = ['input', 'output'].map(kind => {
+      const input = document.createElement('input');
+      input.type = 'number';
+      input.min = '0';
+      input.step = '0.01';
+      input.className = `price-${kind}`;
+      input.title = kind === 'input' ? 'Input (prompt) tokens' : 'Output (completion) tokens';
+      input.value = price[kind];
+      return input;
+    });
+
+    const removeBtn = document.createElement('button');
+    removeBtn.textContent = '×';
+    removeBtn.title = 'Remove';
+
+    const row = [modelInput, inputPrice, outputPrice, removeBtn];
+    removeBtn.addEventListener('click', () => row.forEach(element => element.remove()));
+    priceTable.append(...row);
+  }
+
+  /**
+   * Read the price table; rows without a model name are ignored
+   */
+  function readPriceTable() {
+    const prices = {};
+    priceTable.querySelectorAll('.price-model').forEach(modelInput => {
+      const model = modelInput.value.trim();
+      if (!model) return;
+      const inputPrice = modelInput.nextElementSibling;
+      const outputPrice = inputPrice.nextElementSibling;
+      prices[model] = {
+        input: parseFloat(inputPrice.value) || 0,
+        output: parseFloat(outputPrice.value) || 0
+      };
+    });
+    return prices;
+  }
+
+  async function saveUsage() {
+    try {
+      await saveUsageSettings({
+        monthlyBudget: parseFloat(monthlyBudgetInput.value) || 0,
+        budgetMode: budgetModeSelect.value,
+        warnAtPercent: parseFloat(warnAtPercentInput.value) || 0,
+        prices: readPriceTable()
+      });
+      showStatus('Budget and prices saved', 'success');
+      updateUsage();
+    } catch (error) {
+      showStatus(error.message, 'error');
+    }
+  }
+
+  /**
+   * Download daily usage per app, operation and model as CSV
+   */
+  async function exportUsage() {
+    const rows = await getUsageRows();
+    if (rows.length === 0) {
+      showStatus('No usage recorded yet', 'error');
+      return;
+    }
+
+    const csv = toCsv(rows.map(row => ({
+      ...row,
+      operation: USAGE_OPERATIONS[row.operation] || row.operation,
+      cost: row.cost.toFixed(6)
+    })), [
+      { key: 'day', label: 'Date' },
+      { key: 'appId', label: 'App ID' },
+      { key: 'operation', label: 'Operation' },
+      { key: 'model', label: 'Model' },
+      { key: 'requests', label: 'Requests' },
+      { key: 'promptTokens', label: 'Input Tokens' },
+      { key: 'completionTokens', label: 'Output Tokens' },
+      { key: 'totalTokens', label: 'Total Tokens' },
+      { key: 'cost', label: 'Estimated Cost (USD)' },
+      { key: 'unpricedRequests', label: 'Requests Without Price' }
+    ]);
+    downloadFile(`reviewllama-usage-${exportDateStamp()}.csv`, csv, 'text/csv');
+  }
+
+  /**
+   * Show provider-specific placeholders and fields
+   */
+  function updateProviderFields() {
+    const provider = LLM_PROVIDERS[providerSelect.value];
+    const isAzure = providerSelect.value === 'azure';
+
+    baseUrlInput.placeholder = provider.defaultBaseUrl;
+    modelInput.placeholder = provider.defaultModel || 'deployment-name';
+    modelLabel.textContent = isAzure ? 'Deployment' : 'Model';
+    apiVersionInput.placeholder = provider.defaultApiVersion || '';
+    apiVersionGroup.style.display = isAzure ? 'block' : 'none';
+
+    // Without embeddings, the knowledge base is matched by keywords only
+    embeddingModelLabel.textContent = isAzure ? 'Embedding Deployment' : 'Embedding Model';
+    embeddingModelInput.disabled = !provider.buildEmbeddingRequest;
+    embeddingModelInput.placeholder = provider.defaultEmbeddingModel || (provider.buildEmbeddingRequest ? 'Optional' : 'Not supported');
+    embeddingModelHelp.textContent = provider.buildEmbeddingRequest
+      ? 'Matches reviews to the knowledge base by meaning; keywords are used without one'
+      : `${provider.label} has no embeddings API; the knowledge base is matched by keywords`;
+    apiKeyInput.placeholder = keyStatus?.masked || (provider.requiresApiKey ? 'sk-...' : 'Optional');
+    apiKeyHelp.textContent = provider.requiresApiKey
+      ? `Your ${provider.label} API key for AI-powered features`
+      : 'Only needed if your local server requires a bearer token';
+  }
+
+  /**
+   * Show the masked key and, for an encrypted key, the lock or unlock controls.
+   * The key itself is never put back into the input.
+   */
+  async function loadKeyStatus() {
+    try {
+      keyStatus = await getKeyVaultStatus();
+    } catch (error) {
+      console.error('Error loading key status:', error);
+      return;
+    }
+
+    keyStorageSelect.value = keyStatus.mode;
+    updatePassphraseField();
+    updateProviderFields();
+    keyStatusDiv.innerHTML = '';
+    if (!keyStatus.hasKey) return;
+
+    const label = document.createElement('span');
+    label.className = 'key-label';
+    label.textContent = keyStatus.locked
+      ? `🔒 ${keyStatus.masked} is locked`
+      : `Saved: ${keyStatus.masked}${keyStatus.mode === 'encrypted' ? ' (unlocked)' : ''}`;
+    keyStatusDiv.appendChild(label);
+
+    if (keyStatus.locked) {
+      const unlockInput = document.createElement('input');
+      unlockInput.type = 'password';
+      unlockInput.placeholder = 'Passphrase';
+      const unlockBtn = keyButton('Unlock', 'btn-primary', async () => {
+        await unlockApiKey(unlockInput.value);
+        showStatus('API key unlocked for this session', 'success');
+      });
+      unlockInput.addEventListener('keydown', e => {
+        if (e.key === 'Enter') unlockBtn.click();
+      });
+      keyStatusDiv.append(unlockInput, unlockBtn);
+      unlockInput.focus();
+    } else if (keyStatus.mode === 'encrypted') {
+      keyStatusDiv.appendChild(keyButton('Lock', 'btn-secondary', async () => {
+        await lockApiKey();
+        showStatus('API key locked', 'success');
+      }));
+    }
+
+    keyStatusDiv.appendChild(keyButton('Remove', 'btn-secondary', async () => {
+      if (!confirm('Remove the stored API key?')) return;
+      await forgetApiKey();
+      showStatus('API key removed', 'success');
+    }));
+  }
+
+  function keyButton(text, className, action) {
+    const button = document.createElement('button');
+    button.textContent = text;
+    button.className = className;
+    button.addEventListener('click', async () => {
+      try {
+        await action();
+      } catch (error) {
+        showStatus(error.message, 'error');
+      }
+    });
+    return button;
+  }
+
+  function updatePassphraseField() {
+    passphraseGroup.style.display = keyStorageSelect.value === 'encrypted' ? 'block' : 'none';
+  }
+
+  /**
+   * Store a newly typed key, or move the current key to another storage mode
+   * or passphrase
+   */
+  async function saveApiKeyStorage() {
+    const typedKey = apiKeyInput.value.trim();
+    const mode = keyStorageSelect.value;
+    const passphrase = passphraseInput.value;
+    const status = await getKeyVaultStatus();
+
+    if (!typedKey && mode === status.mode && !(mode === 'encrypted' && passphrase)) {
+      return;
+    }
+
+    const apiKey = typedKey || await readApiKey();
+    if (!apiKey && status.hasKey) {
+      throw new Error('Unlock the API key before changing how it is stored');
+    }
+
+    await storeApiKey(apiKey || '', { mode, passphrase });
+    apiKeyInput.value = '';
+    passphraseInput.value = '';
+  }
+
+  /**
+   * Read the provider form into an llmConfig object
+   */
+  function readLLMConfig() {
+    return {
+      provider: providerSelect.value,
+      baseUrl: baseUrlInput.value.trim(),
+      model: modelInput.value.trim(),
+      apiVersion: apiVersionInput.value.trim(),
+      embeddingModel: embeddingModelInput.value.trim()
+    };
+  }
+
+  /**
+   * Ask for host access to a custom base URL not covered by the manifest.
+   * Must run synchronously inside the click handler to keep the user gesture.
+   */
+  function requestHostPermission(llmConfig) {
+    const { baseUrl } = resolveLLMConfig(llmConfig);
+    let origin;
+    try {
+      origin = new URL(baseUrl).origin;
+    } catch (error) {
+      return Promise.resolve(false);
+    }
+    return chrome.permissions.request({ origins: [`${origin}/*`] });
+  }
+
   /**
    * Save settings
    */
-  async function saveSettings() {
-    const apiKey = apiKeyInput.value.trim();
+  async function saveSettings(event) {
+    const llmConfig = readLLMConfig();
+    const isSaveClick = event?.target === saveBtn;
 
-    if (!apiKey && apiKeyInput.value) {
+    if (!apiKeyInput.value.trim() && apiKeyInput.value) {
       showStatus('Please enter a valid API key', 'error');
       return;
     }
 
+    const permissionRequest = isSaveClick
+      ? requestHostPermission(llmConfig)
+      : Promise.resolve(true);
+
     try {
+      if (!await permissionRequest) {
+        showStatus('Host access to the base URL was not granted', 'error');
+        return;
+      }
+
+      // The key is only touched by the Save button
+      if (isSaveClick) {
+        try {
+          await saveApiKeyStorage();
+        } catch (error) {
+          showStatus(error.message, 'error');
+          return;
+        }
+      }
+
       await chrome.storage.local.set({
-        apiKey: apiKey,
-        autoAnalyze: autoAnalyzeToggle.checked,
-        autoFill: autoFillToggle.checked
+        llmConfig: llmConfig,
+        reviewerName: reviewerNameInput.value.trim()
       });
 
-      // Notify background script
+      // Notify background script; it picks up key changes from storage
       chrome.runtime.sendMessage({
-        type: 'SAVE_API_KEY',
-        data: { apiKey }
+        type: 'SAVE_LLM_CONFIG',
+        data: { llmConfig }
       });
 
       showStatus('Settings saved successfully!', 'success');
@@ -94,41 +610,52 @@ document.addEventListener('DOMContentLoaded', function() {
   }
 
   /**
-   * Test API connection
+   * Test API connection against the selected provider
    */
   async function testAPIConnection() {
-    const apiKey = apiKeyInput.value.trim();
+    const typedKey = apiKeyInput.value.trim();
+    const llmConfig = readLLMConfig();
+    const config = resolveLLMConfig(llmConfig);
+    const provider = LLM_PROVIDERS[config.provider];
 
-    if (!apiKey) {
+    if (provider.requiresApiKey && !typedKey && !keyStatus?.hasKey) {
       showStatus('Please enter an API key first', 'error');
       return;
     }
+    if (provider.requiresApiKey && !typedKey && keyStatus.locked) {
+      showStatus('Unlock the API key first', 'error');
+      return;
+    }
+
+    const permissionRequest = requestHostPermission(llmConfig);
+    const apiKey = typedKey || await readApiKey() || '';
 
     testBtn.disabled = true;
     testBtn.textContent = 'Testing...';
 
     try {
-      // Make actual API call to verify key
-      const response = await fetch('https://api.openai.com/v1/models', {
+      if (!await permissionRequest) {
+        showStatus('Host access to the base URL was not granted', 'error');
+        return;
+      }
+
+      // Make actual API call to verify key and endpoint
+      const request = provider.buildTestRequest(config, apiKey);
+      const response = await fetch(request.url, {
         method: 'GET',
-        headers: {
-          'Authorization': `Bearer ${apiKey}`,
-          'Content-Type': 'application/json'
-        }
+        headers: request.headers
       });
 
       if (response.ok) {
-        const data = await response.json();
-        // Check if gpt-4o-mini is available
-        const hasGPT4oMini = data.data.some(model => model.id === 'gpt-4o-mini');
+        const models = provider.parseTestResponse(await response.json());
 
-        if (hasGPT4oMini) {
-          showStatus('✓ API key is valid! GPT-4o-mini available', 'success');
+        if (config.provider === 'azure' || models.includes(config.model)) {
+          showStatus(`✓ Connected to ${provider.label}! ${config.model} available`, 'success');
         } else {
-          showStatus('✓ API key is valid (but GPT-4o-mini not found)', 'success');
+          showStatus(`✓ Connected to ${provider.label} (but ${config.model} not found)`, 'success');
         }
       } else {
-        const error = await response.json();
+        const error = await response.json().catch(() => ({}));
         showStatus(`API Error: ${error.error?.message || 'Invalid API key'}`, 'error');
       }
 
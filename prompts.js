@@ -0,0 +1,496 @@
+/**
+ * Reviewllama Prompt Templates Script
+ * Edit prompt profiles and the reply policy, and preview the rendered
+ * prompts on a real review
+ */
+
+document.addEventListener('DOMContentLoaded', function() {
+  // Elements
+  const statusDiv = document.getElementById('status');
+  const saveBtn = document.getElementById('saveBtn');
+  const discardBtn = document.getElementById('discardBtn');
+  const profileSelect = document.getElementById('profileSelect');
+  const addProfileBtn = document.getElementById('addProfileBtn');
+  const deleteProfileBtn = document.getElementById('deleteProfileBtn');
+  const profileName = document.getElementById('profileName');
+  const appFields = document.getElementById('appFields');
+  const profileAppId = document.getElementById('profileAppId');
+  const profileAppName = document.getElementById('profileAppName');
+  const profileBrandVoice = document.getElementById('profileBrandVoice');
+  const variablesDiv = document.getElementById('variables');
+  const promptFieldsDiv = document.getElementById('promptFields');
+  const previewReview = document.getElementById('previewReview');
+  const previewSource = document.getElementById('previewSource');
+  const previewSystem = document.getElementById('previewSystem');
+  const previewPrompt = document.getElementById('previewPrompt');
+  const refreshReviewsBtn = document.getElementById('refreshReviewsBtn');
+  const policyMaxLength = document.getElementById('policyMaxLength');
+  const policyAllowEmoji = document.getElementById('policyAllowEmoji');
+  const policyAutoRepair = document.getElementById('policyAutoRepair');
+  const policyForbidden = document.getElementById('policyForbidden');
+  const policyLanguages = document.getElementById('policyLanguages');
+  const checkReply = document.getElementById('checkReply');
+  const checkResult = document.getElementById('checkResult');
+
+  let bundledPrompts = {};
+  let knowledgeBase = null;
+  let languageSettings = { ...DEFAULT_LANGUAGE_SETTINGS };
+  let profiles = [];
+  let replyPolicy = { ...DEFAULT_REPLY_POLICY };
+  let selectedIndex = 0;
+  let dirty = false;
+
+  // Reviews to preview with; `pageApp` is the app open in App Store Connect
+  let previewReviews = [];
+  let previewSourceText = '';
+  let pageApp = null;
+
+  // Reply language and variables of the previewed review, for the policy check
+  let policyCheckContext = { language: 'en', variables: {} };
+
+  // Prompt textarea that variables are inserted into
+  let activePrompt = null;
+
+  const sampleReview = {
+    id: 'sample',
+    nickname: PROMPT_VARIABLES.NICKNAME.sample,
+    appVersion: PROMPT_VARIABLES.VERSION.sample,
+    rating: Number(PROMPT_VARIABLES.RATING.sample),
+    title: PROMPT_VARIABLES.TITLE.sample,
+    content: PROMPT_VARIABLES.CONTENT.sample,
+    dateText: PROMPT_VARIABLES.DATE.sample,
+    territory: PROMPT_VARIABLES.TERRITORY.sample,
+    language: 'en'
+  };
+
+  // Event listeners
+  saveBtn.addEventListener('click', save);
+  discardBtn.addEventListener('click', load);
+  refreshReviewsBtn.addEventListener('click', loadPreviewReviews);
+  previewReview.addEventListener('change', renderPreview);
+
+  profileSelect.addEventListener('change', () => {
+    selectedIndex = Number(profileSelect.value);
+    renderProfile();
+  });
+
+  addProfileBtn.addEventListener('click', () => {
+    const appTaken = pageApp && profiles.some(profile => profile.appId === pageApp.appId);
+    profiles.push({
+      id: `app_${Date.now()}`,
+      name: (!appTaken && pageApp?.appName) || 'New app',
+      appId: appTaken ? '' : pageApp?.appId || '',
+      appName: appTaken ? '' : pageApp?.appName || '',
+      brandVoice: '',
+      prompts: {}
+    });
+    selectedIndex = profiles.length - 1;
+    setDirty(true);
+    renderProfile();
+    profileName.focus();
+  });
+
+  deleteProfileBtn.addEventListener('click', () => {
+    if (!confirm(`Delete the "${profiles[selectedIndex].name}" profile?`)) {
+      return;
+    }
+    profiles.splice(selectedIndex, 1);
+    selectedIndex = 0;
+    setDirty(true);
+    renderProfile();
+  });
+
+  [
+    [profileName, 'name'],
+    [profileAppId, 'appId'],
+    [profileAppName, 'appName'],
+    [profileBrandVoice, 'brandVoice']
+  ].forEach(([input, field]) => {
+    input.addEventListener('input', () => {
+      profiles[selectedIndex][field] = input.value;
+      setDirty(true);
+      if (field === 'name') {
+        renderProfileOptions();
+      }
+      renderPreview();
+    });
+  });
+
+  [policyMaxLength, policyAllowEmoji, policyAutoRepair, policyForbidden, policyLanguages].forEach(input => {
+    input.addEventListener('input', () => {
+      replyPolicy = readPolicyForm();
+      setDirty(true);
+      renderPreview();
+    });
+  });
+  checkReply.addEventListener('input', renderPolicyCheck);
+
+  promptFieldsDiv.addEventListener('input', (e) => {
+    const name = e.target.dataset.prompt;
+    if (!name) return;
+
+    // Text equal to the inherited prompt is stored empty, so it keeps following it
+    const inherited = inheritedPrompt(name);
+    profiles[selectedIndex].prompts = {
+      ...profiles[selectedIndex].prompts,
+      [name]: e.target.value === inherited ? '' : e.target.value
+    };
+    setDirty(true);
+    renderPromptState(name);
+    renderPreview();
+  });
+
+  promptFieldsDiv.addEventListener('focusin', (e) => {
+    if (e.target.dataset.prompt) {
+      activePrompt = e.target;
+    }
+  });
+
+  promptFieldsDiv.addEventListener('click', (e) => {
+    const name = e.target.dataset.reset;
+    if (!name) return;
+
+    const textarea = promptFieldsDiv.querySelector(`textarea[data-prompt="${name}"]`);
+    textarea.value = inheritedPrompt(name);
+    textarea.dispatchEvent(new Event('input', { bubbles: true }));
+  });
+
+  variablesDiv.addEventListener('click', (e) => {
+    const name = e.target.dataset.variable;
+    if (!name) return;
+
+    const textarea = activePrompt || promptFieldsDiv.querySelector('textarea[data-prompt="response_generation_prompt"]');
+    textarea.setRangeText(`{${name}}`, textarea.selectionStart, textarea.selectionEnd, 'end');
+    textarea.focus();
+    textarea.dispatchEvent(new Event('input', { bubbles: true }));
+  });
+
+  window.addEventListener('beforeunload', (e) => {
+    if (dirty) {
+      e.preventDefault();
+      e.returnValue = '';
+    }
+  });
+
+  initialize();
+
+  async function initialize() {
+    try {
+      const response = await fetch(chrome.runtime.getURL('prompts.json'));
+      bundledPrompts = await response.json();
+      knowledgeBase = await getKnowledgeBase();
+      languageSettings = await getLanguageSettings();
+    } catch (error) {
+      console.error('Error loading prompts:', error);
+      showStatus('Error loading bundled prompts', 'error');
+    }
+
+    renderVariables();
+    await load();
+    await loadPreviewReviews();
+  }
+
+  /**
+   * Load stored profiles and reply policy into the editor
+   */
+  async function load() {
+    profiles = (await getPromptProfiles()).map(profile => ({ ...profile, prompts: { ...profile.prompts } }));
+    replyPolicy = await getReplyPolicy();
+    renderPolicy();
+    selectedIndex = Math.min(selectedIndex, profiles.length - 1);
+    setDirty(false);
+    statusDiv.className = 'status';
+    renderProfile();
+  }
+
+  /**
+   * Validate and save all profiles and the reply policy
+   */
+  async function save() {
+    const cleaned = profiles.map(profile => ({
+      ...profile,
+      name: profile.name.trim(),
+      appId: profile.id === PROMPT_TEMPLATE_CONFIG.DEFAULT_PROFILE_ID ? null : (profile.appId || '').trim(),
+      appName: (profile.appName || '').trim(),
+      brandVoice: (profile.brandVoice || '').trim()
+    }));
+
+    const errors = [...validatePromptProfiles(cleaned), ...validateReplyPolicy(replyPolicy)];
+    if (errors.length > 0) {
+      showErrors(errors);
+      return;
+    }
+
+    try {
+      profiles = await savePromptProfiles(cleaned);
+      replyPolicy = await saveReplyPolicy(replyPolicy);
+      setDirty(false);
+      renderProfile();
+      showStatus('Prompts and reply policy saved', 'success');
+    } catch (error) {
+      console.error('Error saving prompts:', error);
+      showStatus(`Error saving prompts: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Reviews from an open App Store Connect tab, preferring the active one
+   */
+  async function loadPreviewReviews() {
+    const tabs = await chrome.tabs.query({ url: 'https://appstoreconnect.apple.com/*' });
+    tabs.sort((a, b) => Number(b.active) - Number(a.active));
+
+    previewReviews = [];
+    pageApp = null;
+
+    for (const tab of tabs) {
+      const response = await new Promise(resolve => {
+        chrome.tabs.sendMessage(tab.id, { type: 'GET_REVIEWS' }, (result) => {
+          resolve(chrome.runtime.lastError ? null : result);
+        });
+      });
+
+      if (response?.success && response.data.reviews.length > 0) {
+        previewReviews = response.data.reviews;
+        const first = previewReviews[0];
+        pageApp = { appId: first.appId || parseAppIdFromUrl(response.data.url), appName: first.appName || '' };
+        break;
+      }
+    }
+
+    previewReview.innerHTML = (previewReviews.length > 0 ? previewReviews : [sampleReview]).map((review, index) => `
+      <option value="${index}">${'★'.repeat(review.rating || 0)} ${escapeHtml(review.title || '(no title)')} — ${escapeHtml(review.nickname || '')}</option>
+    `).join('');
+    previewSourceText = previewReviews.length > 0
+      ? `${previewReviews.length} reviews from the open App Store Connect page`
+      : 'Sample review. Open Ratings & Reviews in App Store Connect to preview real reviews.';
+
+    renderPreview();
+  }
+
+  /**
+   * Prompt text the selected profile uses when it leaves a prompt empty
+   */
+  function inheritedPrompt(name) {
+    const profile = profiles[selectedIndex];
+    if (profile.id === PROMPT_TEMPLATE_CONFIG.DEFAULT_PROFILE_ID) {
+      return bundledPrompts[name] || '';
+    }
+    return profiles[0].prompts?.[name]?.trim() ? profiles[0].prompts[name] : bundledPrompts[name] || '';
+  }
+
+  /**
+   * KB context for the preview: keyword matches only, as embeddings need the background worker
+   */
+  function previewContext(review, replyLanguage) {
+    if (!knowledgeBase) {
+      return '';
+    }
+
+    const troubles = knowledgeBase.troubles;
+    const chain = languageFallbackChain(replyLanguage, languageSettings);
+    return combineKnowledgeBaseScores(troubles, scoreKnowledgeBaseLexical(reviewMatchText(review), troubles))
+      .map(match => {
+        const item = troubles.find(trouble => trouble.id === match.id);
+        const solution = getLocalizedText(item.solution, chain);
+        return solution ? `Problem: ${item.problem}\nSolution: ${solution.text}` : '';
+      })
+      .filter(Boolean)
+      .join('\n\n');
+  }
+
+  function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text || '';
+    return div.innerHTML.replace(/"/g, '&quot;');
+  }
+
+  /**
+   * Escape rendered prompt text and highlight placeholders left unfilled
+   */
+  function highlightUnknown(text, unknown) {
+    let html = escapeHtml(text);
+    unknown.forEach(name => {
+      html = html.split(`{${name}}`).join(`<mark>{${name}}</mark>`);
+    });
+    return html;
+  }
+
+  function renderPreview() {
+    if (profiles.length === 0) return;
+
+    const review = (previewReviews.length > 0 ? previewReviews : [sampleReview])[Number(previewReview.value) || 0];
+    const profile = profiles[selectedIndex];
+
+    // Resolve as for the selected profile's own app, so edits show even for other apps' reviews
+    const resolved = resolvePromptProfile(profiles, profile.appId, bundledPrompts);
+    const replyLanguage = resolveReplyLanguage(review.language || review.analysis?.language, languageSettings);
+    const variables = buildPromptVariables(review, {
+      language: languageName(replyLanguage),
+      context: previewContext(review, replyLanguage),
+      appName: resolved.appName,
+      brandVoice: resolved.brandVoice
+    });
+
+    variables.REPLY_POLICY = describeReplyPolicy(replyPolicy, replyLanguage, variables);
+
+    const system = resolved.prompts.system_prompt;
+    const reply = resolved.prompts.response_generation_prompt;
+    previewSystem.innerHTML = highlightUnknown(renderPromptTemplate(system, variables), findUnknownPlaceholders(system));
+    previewPrompt.innerHTML = highlightUnknown(renderReplyPrompt(reply, variables), findUnknownPlaceholders(reply));
+    policyCheckContext = { language: replyLanguage, variables };
+    renderPolicyCheck();
+
+    const reviewProfile = resolvePromptProfile(profiles, review.appId, bundledPrompts).profile;
+    previewSource.textContent = reviewProfile !== profile
+      ? `${previewSourceText} Replies to this review use the "${reviewProfile.name}" profile; showing "${profile.name}".`
+      : previewSourceText;
+  }
+
+  /**
+   * Show what the policy flags or fixes in the pasted reply
+   */
+  function renderPolicyCheck() {
+    const text = checkReply.value.trim();
+    checkResult.hidden = !text;
+    if (!text) return;
+
+    const result = enforceReplyPolicy(text, replyPolicy, policyCheckContext);
+    const notes = [
+      ...result.repairs.map(repair => `Fixed: ${repair}`),
+      ...result.violations.map(violation => `Violation: ${violation}`)
+    ];
+    checkResult.textContent = `${notes.length > 0 ? notes.join('\n') : 'No problems found'}\n\n${result.text}`;
+  }
+
+  /**
+   * Reply policy from the form
+   */
+  function readPolicyForm() {
+    const languages = {};
+    policyLanguages.querySelectorAll('tr[data-language]').forEach(row => {
+      const field = name => row.querySelector(`[data-field="${name}"]`).value.trim();
+      const rules = { greeting: field('greeting'), signOff: field('signOff'), formality: field('formality') };
+      if (rules.greeting || rules.signOff || rules.formality !== 'any') {
+        languages[row.dataset.language] = rules;
+      }
+    });
+
+    return {
+      maxLength: Number(policyMaxLength.value),
+      allowEmoji: policyAllowEmoji.checked,
+      autoRepair: policyAutoRepair.checked,
+      forbiddenPhrases: policyForbidden.value.split('\n').map(line => line.trim()).filter(Boolean),
+      languages
+    };
+  }
+
+  function renderPolicy() {
+    policyMaxLength.value = replyPolicy.maxLength;
+    policyAllowEmoji.checked = replyPolicy.allowEmoji;
+    policyAutoRepair.checked = replyPolicy.autoRepair;
+    policyForbidden.value = replyPolicy.forbiddenPhrases.join('\n');
+
+    // Reply languages, plus any language that still has rules
+    const languages = [...new Set([...languageSettings.supportedLanguages, ...Object.keys(replyPolicy.languages)])];
+    policyLanguages.innerHTML = languages.map(language => {
+      const rules = replyPolicy.languages[language] || {};
+      const formality = rules.formality || 'any';
+      return `
+        <tr data-language="${escapeHtml(language)}">
+          <td>${escapeHtml(languageName(language))}</td>
+          <td><input type="text" data-field="greeting" value="${escapeHtml(rules.greeting)}" placeholder="Hi {NICKNAME},"></td>
+          <td><input type="text" data-field="signOff" value="${escapeHtml(rules.signOff)}" placeholder="The {APP_NAME} team"></td>
+          <td>
+            <select data-field="formality">
+              <option value="any" ${formality === 'any' ? 'selected' : ''}>Any</option>
+              <option value="formal" ${formality === 'formal' ? 'selected' : ''}>Formal</option>
+              <option value="informal" ${formality === 'informal' ? 'selected' : ''}>Informal</option>
+            </select>
+          </td>
+        </tr>
+      `;
+    }).join('');
+  }
+
+  function renderVariables() {
+    variablesDiv.innerHTML = Object.entries(PROMPT_VARIABLES).map(([name, variable]) => `
+      <button class="variable" data-variable="${name}" title="${escapeHtml(variable.description)}">{${name}}</button>
+    `).join('');
+  }
+
+  function renderProfileOptions() {
+    profileSelect.innerHTML = profiles.map((profile, index) => `
+      <option value="${index}" ${index === selectedIndex ? 'selected' : ''}>
+        ${escapeHtml(profile.name || '(unnamed)')}${profile.appId ? ` (app ${escapeHtml(profile.appId)})` : ''}
+      </option>
+    `).join('');
+  }
+
+  /**
+   * Show whether a prompt is customized and which placeholders are unknown
+   */
+  function renderPromptState(name) {
+    const text = profiles[selectedIndex].prompts?.[name];
+    const stateDiv = promptFieldsDiv.querySelector(`[data-state="${name}"]`);
+    const unknown = findUnknownPlaceholders(text);
+    const isDefault = profiles[selectedIndex].id === PROMPT_TEMPLATE_CONFIG.DEFAULT_PROFILE_ID;
+
+    stateDiv.innerHTML = unknown.length > 0
+      ? `<div class="warning">Unknown placeholders: ${unknown.map(variable => `{${escapeHtml(variable)}}`).join(', ')}</div>`
+      : `<div class="help-text">${text?.trim() ? 'Customized' : `Using the ${isDefault ? 'bundled' : 'default profile'} prompt`}</div>`;
+  }
+
+  function renderProfile() {
+    const profile = profiles[selectedIndex];
+    const isDefault = profile.id === PROMPT_TEMPLATE_CONFIG.DEFAULT_PROFILE_ID;
+
+    renderProfileOptions();
+    deleteProfileBtn.disabled = isDefault;
+    appFields.hidden = isDefault;
+    profileName.value = profile.name || '';
+    profileAppId.value = profile.appId || '';
+    profileAppName.value = profile.appName || '';
+    profileBrandVoice.value = profile.brandVoice || '';
+    profileBrandVoice.placeholder = isDefault || !profiles[0].brandVoice
+      ? 'e.g. Friendly and short, address reviewers by name, never promise release dates'
+      : `Default profile: ${profiles[0].brandVoice}`;
+
+    promptFieldsDiv.innerHTML = Object.entries(EDITABLE_PROMPTS).map(([name, title]) => `
+      <div class="label-row">
+        <label>${escapeHtml(title)}</label>
+        <button data-reset="${name}">Reset to ${isDefault ? 'bundled' : 'default'}</button>
+      </div>
+      <textarea class="prompt" data-prompt="${name}">${escapeHtml(profile.prompts?.[name]?.trim() ? profile.prompts[name] : inheritedPrompt(name))}</textarea>
+      <div data-state="${name}"></div>
+    `).join('');
+    activePrompt = null;
+
+    Object.keys(EDITABLE_PROMPTS).forEach(renderPromptState);
+    renderPreview();
+  }
+
+  function setDirty(value) {
+    dirty = value;
+    saveBtn.disabled = !value;
+    discardBtn.disabled = !value;
+  }
+
+  function showErrors(errors) {
+    statusDiv.innerHTML = `Fix these problems before saving:<ul>${errors.map(error => `<li>${escapeHtml(error)}</li>`).join('')}</ul>`;
+    statusDiv.className = 'status error';
+    window.scrollTo({ top: 0 });
+  }
+
+  /**
+   * Show status message
+   */
+  function showStatus(message, type) {
+    statusDiv.textContent = message;
+    statusDiv.className = `status ${type}`;
+
+    setTimeout(() => {
+      statusDiv.className = 'status';
+    }, 3000);
+  }
+});
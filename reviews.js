@@ -0,0 +1,220 @@
+/**
+ * Reviewllama Review Database Script
+ * Search and filter every review stored from App Store Connect
+ */
+
+document.addEventListener('DOMContentLoaded', function() {
+  // Elements
+  const searchInput = document.getElementById('search');
+  const appFilter = document.getElementById('appFilter');
+  const ratingFilter = document.getElementById('ratingFilter');
+  const sentimentFilter = document.getElementById('sentimentFilter');
+  const categoryFilter = document.getElementById('categoryFilter');
+  const languageFilter = document.getElementById('languageFilter');
+  const versionFilter = document.getElementById('versionFilter');
+  const repliedFilter = document.getElementById('repliedFilter');
+  const fromFilter = document.getElementById('fromFilter');
+  const toFilter = document.getElementById('toFilter');
+  const clearDbBtn = document.getElementById('clearDbBtn');
+  const exportBtn = document.getElementById('exportBtn');
+  const exportPanel = document.getElementById('exportPanel');
+  const summaryDiv = document.getElementById('summary');
+  const entriesDiv = document.getElementById('entries');
+  const emptyDiv = document.getElementById('empty');
+
+  const filterControls = [
+    searchInput, appFilter, ratingFilter, sentimentFilter, categoryFilter,
+    languageFilter, versionFilter, repliedFilter, fromFilter, toFilter
+  ];
+
+  const SEARCH_DELAY_MS = 250;
+  let searchTimer = null;
+  let searchId = 0;
+
+  // Event listeners
+  searchInput.addEventListener('input', () => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(search, SEARCH_DELAY_MS);
+  });
+  filterControls.slice(1).forEach(filter => filter.addEventListener('change', search));
+  clearDbBtn.addEventListener('click', clearDatabase);
+
+  initReviewExportPanel({
+    button: exportBtn,
+    panel: exportPanel,
+    name: 'reviews',
+    title: 'Review report',
+    loadReviews: exportStoredReviews,
+    getFilters: () => activeFilterLabels(filterControls)
+  });
+
+  entriesDiv.addEventListener('click', (e) => {
+    const header = e.target.closest('.entry-header');
+    if (header) {
+      header.parentElement.classList.toggle('open');
+    }
+  });
+
+  loadFacets().then(search);
+
+  function sendMessage(type, data) {
+    return new Promise(resolve => chrome.runtime.sendMessage({ type, data }, resolve));
+  }
+
+  function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text || '';
+    return div.innerHTML;
+  }
+
+  function formatDate(value) {
+    return value ? new Date(value).toLocaleDateString() : '';
+  }
+
+  function addOptions(select, options) {
+    options.forEach(({ value, label }) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      select.appendChild(option);
+    });
+  }
+
+  /**
+   * Fill the app, language and version filters from the stored reviews
+   */
+  async function loadFacets() {
+    const response = await sendMessage('GET_REVIEW_FACETS');
+    if (!response?.success) return;
+
+    const facets = response.data;
+    addOptions(appFilter, facets.apps.filter(app => app.appId).map(app => ({
+      value: app.appId,
+      label: `${app.appName || app.appId} (${app.count})`
+    })));
+    addOptions(languageFilter, facets.languages.map(language => ({ value: language, label: languageName(language) })));
+    addOptions(versionFilter, facets.versions.map(version => ({ value: version, label: `Since ${version}` })));
+  }
+
+  function getFilters() {
+    return {
+      query: searchInput.value.trim(),
+      appId: appFilter.value,
+      rating: ratingFilter.value,
+      sentiment: sentimentFilter.value,
+      category: categoryFilter.value,
+      language: languageFilter.value,
+      minVersion: versionFilter.value,
+      replied: repliedFilter.value,
+      from: fromFilter.value,
+      to: toFilter.value
+    };
+  }
+
+  /**
+   * Run the search; results of an older search that finishes late are dropped
+   */
+  async function search() {
+    const id = ++searchId;
+    const filters = getFilters();
+    const response = await sendMessage('SEARCH_REVIEWS', filters);
+    if (id !== searchId) return;
+
+    if (!response?.success) {
+      summaryDiv.textContent = `Search failed: ${response?.error || 'no response'}`;
+      entriesDiv.innerHTML = '';
+      return;
+    }
+    render(response.data, filters);
+  }
+
+  /**
+   * Wrap words that start with a searched word in <mark>
+   */
+  function highlight(text, words) {
+    if (words.length === 0) {
+      return escapeHtml(text);
+    }
+    return (text || '').split(/([\p{L}\p{N}']+)/u).map((part, index) => {
+      const folded = tokenizeMatchText(part)[0];
+      const matches = index % 2 === 1 && folded && words.some(word => folded.startsWith(word));
+      return matches ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part);
+    }).join('');
+  }
+
+  function renderEntry(review, words) {
+    const analysis = review.analysis;
+    const labels = [
+      analysis ? `<span class="label ${escapeHtml(analysis.sentiment)}">${escapeHtml(analysis.sentiment)}</span>` : '',
+      analysis ? `<span class="label">${escapeHtml(analysis.category)}</span>` : '',
+      ...(analysis?.topics || []).map(topic => `<span class="label">${escapeHtml(topic)}</span>`),
+      review.hasResponse ? '<span class="label answered">answered</span>' : ''
+    ].join('');
+
+    const meta = [
+      review.nickname,
+      formatDate(review.date) || review.dateText,
+      review.territory,
+      review.appVersion ? `v${review.appVersion}` : '',
+      languageName(analysis?.language || review.language)
+    ].filter(Boolean).map(escapeHtml).join(' · ');
+
+    const details = [
+      review.appName || review.appId ? `App: ${review.appName || review.appId}` : '',
+      `First seen ${formatDate(review.firstSeenAt)}`,
+      `last seen ${formatDate(review.lastSeenAt)}`,
+      `ID ${review.id}`
+    ].filter(Boolean).map(escapeHtml).join(' · ');
+
+    return `
+      <div class="entry">
+        <div class="entry-header">
+          <span class="stars">${'★'.repeat(review.rating || 0)}</span>
+          <span class="entry-title">${highlight(review.title || '(no title)', words)}</span>
+          <span class="entry-meta">${meta}</span>
+        </div>
+        <div class="entry-review">${highlight(review.content, words)}</div>
+        <div class="labels">${labels}</div>
+        <div class="details">
+          ${review.developerReply?.text ? `<div class="reply">${highlight(review.developerReply.text, words)}</div>` : ''}
+          <div class="details-meta">${details}</div>
+        </div>
+      </div>
+    `;
+  }
+
+  function render({ total, reviews }, filters) {
+    const words = tokenizeMatchText(filters.query);
+    const filtered = Object.entries(filters).some(([key, value]) => value && key !== 'query') || words.length > 0;
+
+    emptyDiv.style.display = total === 0 && !filtered ? 'block' : 'none';
+    summaryDiv.innerHTML = total === 0 && !filtered
+      ? ''
+      : `<strong>${total}</strong> review${total === 1 ? '' : 's'} match` +
+        (reviews.length < total ? ` (showing the newest ${reviews.length})` : '');
+    entriesDiv.innerHTML = reviews.map(review => renderEntry(review, words)).join('');
+  }
+
+  /**
+   * Every stored review matching the current search and filters
+   */
+  async function exportStoredReviews() {
+    const response = await sendMessage('EXPORT_REVIEWS', getFilters());
+    if (!response?.success) {
+      throw new Error(response?.error || 'no response');
+    }
+    return response.data;
+  }
+
+  async function clearDatabase() {
+    if (!confirm('Delete every stored review? Reviews are stored again when you next open them in App Store Connect.')) return;
+
+    const response = await sendMessage('CLEAR_REVIEW_DB');
+    if (response?.success) {
+      [appFilter, languageFilter, versionFilter].forEach(select => {
+        select.length = 1;
+      });
+      search();
+    }
+  }
+});
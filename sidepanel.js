@@ -0,0 +1,484 @@
+/**
+ * Reviewllama Side Panel Script
+ * Review inbox with filtering, sorting and keyboard triage for the active tab,
+ * plus the bulk draft approval queue
+ */
+
+document.addEventListener('DOMContentLoaded', function() {
+  // Elements
+  const searchInput = document.getElementById('search');
+  const ratingFilter = document.getElementById('ratingFilter');
+  const answeredFilter = document.getElementById('answeredFilter');
+  const languageFilter = document.getElementById('languageFilter');
+  const categoryFilter = document.getElementById('categoryFilter');
+  const kbFilter = document.getElementById('kbFilter');
+  const sortOrder = document.getElementById('sortOrder');
+  const reviewList = document.getElementById('reviewList');
+  const countSpan = document.getElementById('count');
+  const emptyDiv = document.getElementById('empty');
+  const statusDiv = document.getElementById('status');
+  const tabButtons = document.querySelectorAll('.tab');
+  const reviewsView = document.getElementById('reviewsView');
+  const draftsView = document.getElementById('draftsView');
+  const draftAllBtn = document.getElementById('draftAllBtn');
+  const draftPendingReviews = document.getElementById('draftPendingReviews');
+  const draftStatusFilter = document.getElementById('draftStatusFilter');
+  const draftPending = document.getElementById('draftPending');
+  const draftsEmpty = document.getElementById('draftsEmpty');
+  const draftList = document.getElementById('draftList');
+  const exportBtn = document.getElementById('exportBtn');
+  const exportPanel = document.getElementById('exportPanel');
+
+  // State
+  let tabId = null;
+  let reviews = [];
+  let visibleReviews = [];
+  let selectedId = null;
+  let refreshTimer = null;
+  let currentView = 'reviews';
+  let drafts = [];
+  let draftRefreshTimer = null;
+  // Bulk draft errors per review ID, until the review is drafted again
+  const draftFailures = new Map();
+
+  // Event listeners
+  [ratingFilter, answeredFilter, languageFilter, categoryFilter, kbFilter, sortOrder].forEach(control => {
+    control.addEventListener('change', render);
+  });
+  searchInput.addEventListener('input', render);
+  document.addEventListener('keydown', handleKeydown);
+  draftAllBtn.addEventListener('click', draftAllUnanswered);
+  draftStatusFilter.addEventListener('change', renderDrafts);
+  draftList.addEventListener('click', handleDraftClick);
+  draftList.addEventListener('change', handleDraftEdit);
+
+  // Exports the reviews of the tab as listed, with the inbox filters applied
+  initReviewExportPanel({
+    button: exportBtn,
+    panel: exportPanel,
+    name: 'inbox',
+    title: 'Review inbox report',
+    loadReviews: async () => getVisibleReviews(),
+    getFilters: () => activeFilterLabels([searchInput, ratingFilter, answeredFilter, languageFilter, categoryFilter, kbFilter])
+  });
+
+  tabButtons.forEach(button => {
+    button.addEventListener('click', () => showView(button.dataset.view));
+  });
+
+  reviewList.addEventListener('click', (e) => {
+    const item = e.target.closest('.review-item');
+    if (item) {
+      select(item.dataset.id);
+      sendReviewAction('FOCUS_REVIEW');
+    }
+  });
+
+  // Reload when the content script or background reports changes, or the user switches tabs
+  chrome.runtime.onMessage.addListener((request, sender) => {
+    if (request.type === 'REVIEWS_UPDATED' && sender.tab?.id === tabId) {
+      scheduleRefresh();
+    } else if (request.type === 'DRAFTS_UPDATED') {
+      clearTimeout(draftRefreshTimer);
+      draftRefreshTimer = setTimeout(loadDrafts, 300);
+    } else if (request.type === 'BULK_DRAFT_FAILED') {
+      draftFailures.set(request.data.reviewId, request.data.error);
+      render();
+    } else if (request.type === 'BULK_DRAFTS_FINISHED') {
+      showBulkDraftSummary(request.data);
+    }
+    return false;
+  });
+  chrome.tabs.onActivated.addListener(scheduleRefresh);
+  chrome.tabs.onUpdated.addListener((updatedTabId, changeInfo) => {
+    if (changeInfo.status === 'complete') {
+      scheduleRefresh();
+    }
+  });
+
+  loadReviews();
+  loadDrafts();
+
+  function showView(view) {
+    currentView = view;
+    tabButtons.forEach(button => button.classList.toggle('active', button.dataset.view === view));
+    reviewsView.style.display = view === 'reviews' ? 'block' : 'none';
+    draftsView.style.display = view === 'drafts' ? 'block' : 'none';
+    if (view === 'reviews') {
+      render();
+    } else {
+      renderDrafts();
+    }
+  }
+
+  function scheduleRefresh() {
+    clearTimeout(refreshTimer);
+    refreshTimer = setTimeout(loadReviews, 300);
+  }
+
+  /**
+   * Fetch reviews from the content script in the active tab
+   */
+  async function loadReviews() {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+
+    if (!tab || !tab.url || !tab.url.includes('appstoreconnect.apple.com')) {
+      tabId = null;
+      reviews = [];
+      emptyDiv.textContent = 'Open the Ratings & Reviews page in App Store Connect.';
+      render();
+      return;
+    }
+
+    tabId = tab.id;
+    chrome.tabs.sendMessage(tabId, { type: 'GET_REVIEWS' }, (response) => {
+      if (chrome.runtime.lastError || !response?.success) {
+        reviews = [];
+        emptyDiv.textContent = 'No reviews found. Are you on the Ratings & Reviews page?';
+      } else {
+        reviews = response.data.reviews;
+        emptyDiv.textContent = 'No reviews match the filters.';
+      }
+      updateFilterOptions();
+      render();
+    });
+  }
+
+  /**
+   * Fill language and category filters from the loaded reviews
+   */
+  function updateFilterOptions() {
+    fillOptions(languageFilter, 'All languages', reviews.map(r => r.language || r.analysis?.language));
+    fillOptions(categoryFilter, 'All categories', reviews.map(r => r.analysis?.category));
+  }
+
+  function fillOptions(selectElement, allLabel, values) {
+    const current = selectElement.value;
+    const unique = [...new Set(values.filter(Boolean))].sort();
+
+    selectElement.innerHTML = '';
+    selectElement.appendChild(new Option(allLabel, ''));
+    unique.forEach(value => selectElement.appendChild(new Option(value, value)));
+    selectElement.value = unique.includes(current) ? current : '';
+  }
+
+  /**
+   * Higher is more urgent: unanswered, low rating, negative, bug reports, recent
+   */
+  function urgencyScore(review) {
+    let score = 0;
+    if (!review.hasResponse) score += 50;
+    score += (5 - (review.rating || 5)) * 10;
+    if (review.analysis?.sentiment === 'negative') score += 15;
+    if (['bug', 'complaint'].includes(review.analysis?.category)) score += 10;
+    if (review.analysis?.category === 'question') score += 8;
+
+    const time = reviewTime(review);
+    if (time) {
+      const ageDays = (Date.now() - time) / (24 * 60 * 60 * 1000);
+      score += Math.max(0, 14 - ageDays);
+    }
+    return score;
+  }
+
+  function reviewTime(review) {
+    const time = Date.parse(review.date || review.dateText || '');
+    return isNaN(time) ? 0 : time;
+  }
+
+  /**
+   * Apply filters and sort order
+   */
+  function getVisibleReviews() {
+    const query = searchInput.value.trim().toLowerCase();
+
+    const filtered = reviews.filter(review => {
+      if (query && !`${review.title} ${review.content} ${review.nickname}`.toLowerCase().includes(query)) return false;
+      if (ratingFilter.value && review.rating !== Number(ratingFilter.value)) return false;
+      if (answeredFilter.value === 'answered' && !review.hasResponse) return false;
+      if (answeredFilter.value === 'unanswered' && review.hasResponse) return false;
+      if (languageFilter.value && (review.language || review.analysis?.language) !== languageFilter.value) return false;
+      if (categoryFilter.value && review.analysis?.category !== categoryFilter.value) return false;
+      if (kbFilter.value === 'matched' && review.kbMatches.length === 0) return false;
+      if (kbFilter.value === 'unmatched' && review.kbMatches.length > 0) return false;
+      return true;
+    });
+
+    const comparators = {
+      urgency: (a, b) => urgencyScore(b) - urgencyScore(a),
+      date: (a, b) => reviewTime(b) - reviewTime(a),
+      rating: (a, b) => a.rating - b.rating
+    };
+    return filtered.sort(comparators[sortOrder.value]);
+  }
+
+  function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text || '';
+    return div.innerHTML;
+  }
+
+  /**
+   * Tag for a knowledge base match (older drafts store bare IDs)
+   */
+  function renderKbTag(match) {
+    const item = typeof match === 'string' ? { id: match } : match;
+    const confidence = item.confidence !== undefined ? ` ${Math.round(item.confidence * 100)}%` : '';
+    return `<span class="tag kb">KB: ${escapeHtml(item.id)}${confidence}</span>`;
+  }
+
+  /**
+   * Render the review list
+   */
+  function render() {
+    visibleReviews = getVisibleReviews();
+    if (currentView === 'reviews') {
+      countSpan.textContent = `${visibleReviews.length} of ${reviews.length}`;
+    }
+    draftAllBtn.disabled = !reviews.some(review => !review.hasResponse);
+    emptyDiv.style.display = visibleReviews.length === 0 ? 'block' : 'none';
+
+    if (!visibleReviews.some(r => r.id === selectedId)) {
+      selectedId = visibleReviews[0]?.id || null;
+    }
+
+    reviewList.innerHTML = visibleReviews.map(review => {
+      const sentiment = review.analysis?.sentiment;
+      const category = review.analysis?.category;
+      const language = review.language || review.analysis?.language;
+      const date = review.date ? new Date(review.date).toLocaleDateString() : review.dateText;
+
+      return `
+        <li class="review-item ${review.id === selectedId ? 'selected' : ''}" data-id="${escapeHtml(review.id)}">
+          <div class="review-top">
+            <span class="stars">${'★'.repeat(review.rating)}${'☆'.repeat(5 - review.rating)}</span>
+            <span class="review-title">${escapeHtml(review.title || '(no title)')}</span>
+          </div>
+          <div class="review-snippet">${escapeHtml(review.content)}</div>
+          <div class="review-meta">
+            <span class="tag ${review.hasResponse ? 'answered' : 'unanswered'}">${review.hasResponse ? 'Answered' : 'Unanswered'}</span>
+            ${sentiment ? `<span class="tag ${escapeHtml(sentiment)}">${escapeHtml(sentiment)}</span>` : ''}
+            ${category ? `<span class="tag">${escapeHtml(category)}</span>` : ''}
+            ${language ? `<span class="tag">${escapeHtml(language)}</span>` : ''}
+            ${review.kbMatches.map(renderKbTag).join('')}
+            ${draftFailures.has(review.id) ? `<span class="tag failed" title="${escapeHtml(draftFailures.get(review.id))}">Draft failed</span>` : ''}
+            <span>${escapeHtml(review.nickname)}${date ? ` · ${escapeHtml(date)}` : ''}</span>
+          </div>
+          ${review.generatedResponse ? `<div class="draft">${escapeHtml(review.generatedResponse)}</div>` : ''}
+        </li>
+      `;
+    }).join('');
+  }
+
+  function select(reviewId) {
+    selectedId = reviewId;
+    reviewList.querySelectorAll('.review-item').forEach(item => {
+      item.classList.toggle('selected', item.dataset.id === reviewId);
+    });
+    reviewList.querySelector('.review-item.selected')?.scrollIntoView({ block: 'nearest' });
+  }
+
+  function moveSelection(delta) {
+    if (visibleReviews.length === 0) return;
+    const index = visibleReviews.findIndex(r => r.id === selectedId);
+    const next = Math.min(visibleReviews.length - 1, Math.max(0, index + delta));
+    select(visibleReviews[next].id);
+  }
+
+  /**
+   * Ask the content script to act on the selected review
+   */
+  function sendReviewAction(type) {
+    if (!tabId || !selectedId) return;
+
+    chrome.tabs.sendMessage(tabId, { type, data: { reviewId: selectedId } }, (response) => {
+      if (chrome.runtime.lastError) {
+        showStatus('Content script not available on this tab', 'error');
+      } else if (!response?.success) {
+        showStatus(response?.error || 'Action failed', 'error');
+      }
+    });
+  }
+
+  /**
+   * Queue draft generation for every unanswered review on the page
+   */
+  function draftAllUnanswered() {
+    const unanswered = reviews.filter(review => !review.hasResponse);
+    draftAllBtn.disabled = true;
+    unanswered.forEach(review => draftFailures.delete(review.id));
+
+    chrome.runtime.sendMessage({
+      type: 'DRAFT_ALL_UNANSWERED',
+      data: { reviews: unanswered }
+    }, (response) => {
+      draftAllBtn.disabled = false;
+      if (!response?.success) {
+        showStatus(response?.error || 'Could not start drafting', 'error');
+      } else if (response.data.queued === 0) {
+        showStatus('Every unanswered review already has a draft', 'success');
+      } else {
+        showStatus(`Drafting ${response.data.queued} replies in the background`, 'success');
+      }
+    });
+  }
+
+  /**
+   * Report a finished bulk draft run; failed reviews stay tagged in the list
+   */
+  function showBulkDraftSummary({ drafted, failed }) {
+    if (failed.length === 0) {
+      showStatus(`Drafted ${drafted} ${drafted === 1 ? 'reply' : 'replies'}`, 'success');
+      return;
+    }
+    showStatus(`Drafted ${drafted}, ${failed.length} failed: ${failed[0].error}`, 'error');
+  }
+
+  /**
+   * Fetch stored drafts from the background worker
+   */
+  function loadDrafts() {
+    chrome.runtime.sendMessage({ type: 'GET_DRAFTS' }, (response) => {
+      if (!response?.success) return;
+
+      drafts = response.data.drafts;
+      const pendingText = response.data.pending > 0 ? `Generating ${response.data.pending}…` : '';
+      draftPending.textContent = pendingText;
+      draftPendingReviews.textContent = pendingText;
+      renderDrafts();
+    });
+  }
+
+  /**
+   * Render the draft approval queue
+   */
+  function renderDrafts() {
+    const status = draftStatusFilter.value;
+    const visibleDrafts = drafts
+      .filter(draft => !status || draft.status === status)
+      .sort((a, b) => b.updatedAt - a.updatedAt);
+
+    if (currentView === 'drafts') {
+      countSpan.textContent = `${visibleDrafts.length} of ${drafts.length}`;
+    }
+    draftsEmpty.style.display = visibleDrafts.length === 0 ? 'block' : 'none';
+
+    draftList.innerHTML = visibleDrafts.map(draft => {
+      const review = draft.review;
+      const editable = draft.status !== 'posted';
+
+      return `
+        <li class="review-item draft-item" data-id="${escapeHtml(draft.reviewId)}">
+          <div class="review-top">
+            <span class="stars">${'★'.repeat(review.rating)}${'☆'.repeat(5 - review.rating)}</span>
+            <span class="review-title">${escapeHtml(review.title || '(no title)')}</span>
+            <span class="tag ${escapeHtml(draft.status)}">${escapeHtml(draft.status)}</span>
+          </div>
+          <div class="review-snippet">${escapeHtml(review.content)}</div>
+          <textarea ${editable ? '' : 'disabled'}>${escapeHtml(draft.text)}</textarea>
+          ${draft.matchedKBItems?.length ? `<div class="review-meta">${draft.matchedKBItems.map(renderKbTag).join('')}</div>` : ''}
+          ${draft.policyViolations?.length ? `<div class="policy-warning" title="Checked when the draft was generated">Reply policy: ${escapeHtml(draft.policyViolations.join('; '))}</div>` : ''}
+          <div class="draft-actions">
+            <button class="action primary" data-action="approve" ${draft.status === 'draft' || draft.status === 'rejected' ? '' : 'disabled'}>Approve</button>
+            <button class="action" data-action="reject" ${draft.status === 'draft' || draft.status === 'approved' ? '' : 'disabled'}>Reject</button>
+            <button class="action" data-action="insert" ${draft.status === 'approved' ? '' : 'disabled'}>Insert into reply</button>
+          </div>
+        </li>
+      `;
+    }).join('');
+  }
+
+  /**
+   * Persist a draft change and refresh the queue
+   */
+  function updateDraft(reviewId, changes) {
+    chrome.runtime.sendMessage({
+      type: 'UPDATE_DRAFT',
+      data: { reviewId, ...changes }
+    }, (response) => {
+      if (!response?.success) {
+        showStatus(response?.error || 'Could not update draft', 'error');
+      }
+    });
+  }
+
+  function handleDraftClick(e) {
+    const button = e.target.closest('button[data-action]');
+    if (!button) return;
+
+    const item = button.closest('.draft-item');
+    const reviewId = item.dataset.id;
+    const text = item.querySelector('textarea').value;
+
+    switch (button.dataset.action) {
+      case 'approve':
+        updateDraft(reviewId, { text, status: 'approved' });
+        break;
+
+      case 'reject':
+        updateDraft(reviewId, { status: 'rejected' });
+        break;
+
+      case 'insert':
+        if (!tabId) {
+          showStatus('Open the review in App Store Connect first', 'error');
+          return;
+        }
+        chrome.tabs.sendMessage(tabId, { type: 'INSERT_DRAFT', data: { reviewId, text } }, (response) => {
+          if (chrome.runtime.lastError) {
+            showStatus('Content script not available on this tab', 'error');
+          } else if (!response?.success) {
+            showStatus(response?.error || 'Could not insert draft', 'error');
+          }
+        });
+        break;
+    }
+  }
+
+  function handleDraftEdit(e) {
+    if (e.target.tagName !== 'TEXTAREA') return;
+    updateDraft(e.target.closest('.draft-item').dataset.id, { text: e.target.value });
+  }
+
+  /**
+   * Keyboard triage shortcuts
+   */
+  function handleKeydown(e) {
+    const inField = ['INPUT', 'SELECT', 'TEXTAREA'].includes(e.target.tagName);
+    if (inField) {
+      if (e.key === 'Escape') e.target.blur();
+      return;
+    }
+    if (e.metaKey || e.ctrlKey || e.altKey || currentView !== 'reviews') return;
+
+    const actions = {
+      'j': () => moveSelection(1),
+      'ArrowDown': () => moveSelection(1),
+      'k': () => moveSelection(-1),
+      'ArrowUp': () => moveSelection(-1),
+      'Enter': () => sendReviewAction('FOCUS_REVIEW'),
+      'r': () => sendReviewAction('OPEN_REPLY'),
+      'a': () => sendReviewAction('ACCEPT_DRAFT'),
+      'g': () => sendReviewAction('REGENERATE_DRAFT'),
+      '/': () => searchInput.focus()
+    };
+
+    if (actions[e.key]) {
+      e.preventDefault();
+      actions[e.key]();
+    }
+  }
+
+  /**
+   * Show status message
+   */
+  function showStatus(message, type) {
+    statusDiv.textContent = message;
+    statusDiv.className = `status ${type}`;
+
+    // Hide after 3 seconds
+    setTimeout(() => {
+      statusDiv.className = 'status';
+    }, 3000);
+  }
+});